@@ -6,4 +6,6 @@ const shell = require('shelljs');
 
 // copy corpora folder
 shell.cp('-r', 'src/corpora/*.txt', 'build/corpora/');
+// copy static folder
+shell.cp('-r', 'src/static', 'build/');
 shell.echo('postbuild successful');
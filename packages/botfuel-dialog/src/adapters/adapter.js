@@ -17,12 +17,16 @@
 // @flow
 
 import type { UserMessage } from '../types';
-import type { BotMessageJson } from '../messages/message';
+import type Message, { BotMessageJson } from '../messages/message';
+import type { QuickreplyJson } from '../messages/quickreply';
 import type Bot from '../bot';
 
 const uuidv4 = require('uuid/v4');
 const logger = require('logtown')('Adapter');
 const MissingImplementationError = require('../errors/missing-implementation-error');
+const PostbackMessage = require('../messages/postback-message');
+const UserTextMessage = require('../messages/user-text-message');
+const { getFallbackMessages } = require('../utils/fallbacks');
 
 /**
  * An adapter adapts the messages to the messaging platform.
@@ -63,16 +67,70 @@ class Adapter {
     logger.debug('handleMessage', userMessage);
     await this.addUserIfNecessary(userMessage.user);
     const botMessages = await this.bot.handleMessage(this.extendMessage(userMessage));
+    await this.sendMessages(botMessages);
+  }
 
-    for (const botMessage of botMessages) {
-      // TODO: Remove this ugly line
-      const extendedBotMessage = this.extendMessage(botMessage);
-
+  /**
+   * Sends bot messages to the messaging platform, one after the other.
+   */
+  async sendMessages(botMessages: BotMessageJson[]): Promise<void> {
+    logger.debug('sendMessages', botMessages);
+    for (const botMessage of this.prepareMessages(botMessages)) {
       // eslint-disable-next-line no-await-in-loop
-      await this.sendMessage(extendedBotMessage);
+      await this.sendMessage(botMessage);
     }
   }
 
+  /**
+   * Prepares bot messages to be sent to the messaging platform,
+   * the messages not supported by the platform are degraded to supported ones.
+   * @param botMessages - the bot messages
+   * @returns the messages to send
+   */
+  prepareMessages(botMessages: BotMessageJson[]): BotMessageJson[] {
+    const messageTypes = this.getSupportedMessageTypes();
+    const features = this.getSupportedFeatures();
+    const preparedMessages = [];
+    for (const botMessage of botMessages) {
+      for (const fallbackMessage of getFallbackMessages(botMessage, messageTypes, features)) {
+        // TODO: Remove this ugly line
+        preparedMessages.push(this.extendMessage(fallbackMessage));
+      }
+    }
+    return preparedMessages;
+  }
+
+  /**
+   * Gets the types of the bot messages supported by the messaging platform.
+   * Adapters override it with the types their platform displays,
+   * the other messages are degraded to supported ones (tables to text for example).
+   * @returns the message types, only the texts by default
+   */
+  getSupportedMessageTypes(): string[] {
+    return ['text'];
+  }
+
+  /**
+   * Gets the features of the bot messages supported by the messaging platform,
+   * among the MESSAGE_FEATURES of the fallbacks (several images per card for example).
+   * The supported messages lose the other features.
+   * @returns the message features, none by default
+   */
+  getSupportedFeatures(): string[] {
+    return [];
+  }
+
+  /**
+   * Sends bot messages which do not respond to a user message.
+   * This method is called by the {@link Bot}'s sendProactive method.
+   * By default, they are sent like responses, which suits the platforms
+   * where the bot pushes its messages (like the Botfuel webchat or the test adapter log).
+   */
+  async sendProactiveMessages(userId: string, botMessages: BotMessageJson[]): Promise<void> {
+    logger.debug('sendProactiveMessages', userId, botMessages);
+    await this.sendMessages(botMessages);
+  }
+
   /**
    * Adds the user if necessary.
    * Calls the corresponding method of the brain.
@@ -92,6 +150,24 @@ class Adapter {
     throw new MissingImplementationError();
   }
 
+  /**
+   * Builds the user message for a selected quick reply.
+   * A quick reply with a postback dialog gives a postback message, handled without the NLU,
+   * other quick replies give a text message.
+   * @param quickreply - the quick reply, as found in the json of a quick replies message
+   * @returns the user message
+   */
+  getQuickreplyMessage(quickreply: string | QuickreplyJson): Message {
+    logger.debug('getQuickreplyMessage', quickreply);
+    if (typeof quickreply === 'string') {
+      return new UserTextMessage(quickreply);
+    }
+    if (quickreply.value) {
+      return new PostbackMessage(quickreply.value);
+    }
+    return new UserTextMessage(quickreply.text);
+  }
+
   /**
    * Extend a message with extra properties
    * @param {Object} message - bot or user message
@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+// @flow
+
+import type Bot from '../bot';
+import type { ConversationData, UserData } from '../types';
+
+const express = require('express');
+const _ = require('lodash');
+const logger = require('logtown')('AdminRouter');
+const { TOKEN_SCHEME, getRejectionReason } = require('../utils/request-verification');
+
+// the keys starting with an underscore are managed by the sdk
+const isUserScopedKey = (key: string): boolean => !key.startsWith('_');
+
+/**
+ * Gets the keys set by the dialogs, the internal keys (and the mongodb _id) are left out.
+ */
+const getKeys = (data: Object): Object =>
+  _.pickBy(data, (value, key: string) => isUserScopedKey(key));
+
+const toUserSummary = (user: UserData): Object => ({
+  userId: user._userId,
+  createdAt: user._createdAt,
+  conversations: user._conversations.length,
+  handover: user._handover || null,
+});
+
+const toConversation = (conversation: ConversationData): Object => ({
+  uuid: conversation.uuid,
+  createdAt: conversation._createdAt,
+  dialogs: conversation._dialogs,
+  transcript: (conversation: Object)._transcript || [],
+  keys: getKeys(conversation),
+});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Parses a pagination parameter of the query.
+ * @returns the integer value, the default value when missing or null when invalid
+ */
+const parsePageParam = (value: mixed, defaultValue: number): ?number => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+};
+
+type Handler = (
+  req: express$Request,
+  res: express$Response,
+  next: express$NextFunction,
+) => Promise<void>;
+
+// wraps an async handler so that its errors give a 500 response
+const route = (handler: Handler) => async (
+  req: express$Request,
+  res: express$Response,
+  next: express$NextFunction,
+) => {
+  try {
+    await handler(req, res, next);
+  } catch (error) {
+    logger.error(req.method, req.path, error);
+    res.status(500).send({ error: error.message });
+  }
+};
+
+/**
+ * Creates the admin router, mounted on /admin by the {@link WebAdapter}
+ * when the adapter config has an admin token.
+ * The requests must have the header Authorization: Bearer <token>.
+ * - GET /admin/users?search=<text>&offset=<offset>&limit=<limit>: a page of the users,
+ *   optionally the ones matching a text in their id or in the values of their keys,
+ *   with the total number of matching users: { users, total, offset, limit }
+ * - GET /admin/users/:userId: a user and its keys
+ * - PUT /admin/users/:userId/keys/:key: sets a key of a user to the value of the body
+ * - DELETE /admin/users/:userId: deletes a user and its scheduled jobs
+ * - GET /admin/users/:userId/conversations: the conversations of a user, the last first
+ * - GET /admin/users/:userId/dialogs: the dialogs of the last conversation of a user
+ * - DELETE /admin/users/:userId/dialogs: resets the dialogs of the last conversation of a user
+ * - GET /admin/bot/:key: a value of the global scope
+ *
+ * The responses do not depend on the brain, the conversations are sorted the same way
+ * and the storage fields like the mongodb _id are left out.
+ * @param bot - the bot
+ * @param token - the admin token
+ * @returns the router
+ */
+const createAdminRouter = (bot: Bot, token: string): express$Router => {
+  const { brain } = bot;
+  const router = express.Router();
+
+  router.use((req: express$Request, res: express$Response, next: express$NextFunction) => {
+    const reason = getRejectionReason(req, [TOKEN_SCHEME], { tokens: [token] });
+    if (reason) {
+      logger.warn('rejected', req.method, req.path, reason);
+      res.status(401).send({ error: 'Unauthorized' });
+    } else {
+      next();
+    }
+  });
+
+  // the routes of a user respond 404 when the user does not exist
+  router.param('userId', route(async (req, res, next) => {
+    const { userId } = req.params;
+    if (await brain.hasUser(userId)) {
+      next();
+    } else {
+      res.status(404).send({ error: `Unknown user ${userId}` });
+    }
+  }));
+
+  router.get('/users', route(async (req, res) => {
+    const search = typeof req.query.search === 'string' ? req.query.search : '';
+    const offset = parsePageParam(req.query.offset, 0);
+    const limit = parsePageParam(req.query.limit, DEFAULT_LIMIT);
+    if (offset == null || limit == null || limit === 0 || limit > MAX_LIMIT) {
+      res.status(400).send({
+        error: `The offset should be a natural number and the limit between 1 and ${MAX_LIMIT}`,
+      });
+      return;
+    }
+    const { users, total } = await brain.searchUsers(search, { offset, limit });
+    res.status(200).send({
+      users: users.map(toUserSummary),
+      total,
+      offset,
+      limit,
+    });
+  }));
+
+  router.get('/users/:userId', route(async (req, res) => {
+    const user = await brain.getUser(req.params.userId);
+    res.status(200).send({ ...toUserSummary(user), keys: getKeys(user) });
+  }));
+
+  router.put('/users/:userId/keys/:key', route(async (req, res) => {
+    const { userId, key } = req.params;
+    if (!isUserScopedKey(key)) {
+      res.status(400).send({ error: `The key ${key} is managed by the sdk` });
+      return;
+    }
+    const body = (req.body: any);
+    if (!body || !('value' in body)) {
+      res.status(400).send({ error: 'The body should be { "value": <value> }' });
+      return;
+    }
+    const { value } = body;
+    logger.info('setting user key', userId, key);
+    // like the other changes, it does not overwrite a running turn of the user
+    const user = await brain.runTurn(userId, async () => brain.userSet(userId, key, value));
+    res.status(200).send(getKeys(user));
+  }));
+
+  router.delete('/users/:userId', route(async (req, res) => {
+    const { userId } = req.params;
+    logger.info('deleting user', userId);
+    await brain.runTurn(userId, async () => {
+      for (const job of await brain.getJobs(userId)) {
+        await brain.removeJob(job.id); // eslint-disable-line no-await-in-loop
+      }
+      await brain.deleteUser(userId);
+    });
+    res.sendStatus(204);
+  }));
+
+  router.get('/users/:userId/conversations', route(async (req, res) => {
+    const user = await brain.getUser(req.params.userId);
+    const conversations = _.orderBy(user._conversations, '_createdAt', 'desc');
+    res.status(200).send(conversations.map(toConversation));
+  }));
+
+  router.get('/users/:userId/dialogs', route(async (req, res) => {
+    const dialogs = await brain.getDialogs(req.params.userId);
+    res.status(200).send(dialogs);
+  }));
+
+  router.delete('/users/:userId/dialogs', route(async (req, res) => {
+    const { userId } = req.params;
+    logger.info('resetting dialogs', userId);
+    const dialogs = { stack: [], previous: [] };
+    await brain.runTurn(userId, async () => brain.conversationSet(userId, '_dialogs', dialogs));
+    res.status(200).send(dialogs);
+  }));
+
+  router.get('/bot/:key', route(async (req, res) => {
+    const { key } = req.params;
+    res.status(200).send({ key, value: await brain.botGet(key) });
+  }));
+
+  return router;
+};
+
+module.exports = createAdminRouter;
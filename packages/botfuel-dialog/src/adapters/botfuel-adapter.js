@@ -15,12 +15,15 @@
  */
 
 const logger = require('logtown')('BotfuelAdapter');
+const { MESSAGE_FEATURES, MESSAGE_TYPES } = require('../utils/fallbacks');
+const { IP_SCHEME } = require('../utils/request-verification');
 const WebAdapter = require('./web-adapter');
 
 const CHAT_SERVER_URL = process.env.CHAT_SERVER || 'https://webchat.botfuel.io';
 
 /**
  * Adapter for Botfuel's webchat.
+ * Messages are posted to the webchat server, so proactive messages are delivered like responses.
  * @extends WebAdapter
  */
 class BotfuelAdapter extends WebAdapter {
@@ -31,6 +34,31 @@ class BotfuelAdapter extends WebAdapter {
     await this.handleMessage(req.body);
   }
 
+  /**
+   * The webchat server neither signs nor authenticates its requests,
+   * they can only be verified by ip.
+   * @inheritDoc
+   */
+  getWebhookVerificationSchemes() {
+    return [IP_SCHEME];
+  }
+
+  /**
+   * The webchat displays every built-in message type, including the tables.
+   * @inheritDoc
+   */
+  getSupportedMessageTypes() {
+    return MESSAGE_TYPES;
+  }
+
+  /**
+   * The webchat displays the features of the messages too.
+   * @inheritDoc
+   */
+  getSupportedFeatures() {
+    return MESSAGE_FEATURES;
+  }
+
   /** @inheritDoc */
   getUrl(botMessage) {
     return `${CHAT_SERVER_URL}/bots/${process.env.BOTFUEL_APP_TOKEN}/users/${
@@ -43,10 +71,42 @@ class BotfuelAdapter extends WebAdapter {
     return {};
   }
 
-  /** @inheritDoc */
+  /**
+   * Translates the cards to the format of the webchat, which displays a single image per card.
+   * @inheritDoc
+   */
   getBody(botMessage) {
+    if (botMessage.type === 'cards') {
+      return {
+        ...botMessage,
+        payload: {
+          ...botMessage.payload,
+          value: botMessage.payload.value.map(BotfuelAdapter.getWebchatCard),
+        },
+      };
+    }
     return botMessage;
   }
+
+  /**
+   * Gets the webchat json of a card.
+   * @param {Object} card - the card json
+   * @returns {Object} the webchat card
+   */
+  static getWebchatCard(card) {
+    const webchatCard = {
+      title: card.title,
+      image_url: card.imageUrls[0],
+      buttons: card.actions,
+    };
+    if (card.subtitle) {
+      webchatCard.subtitle = card.subtitle;
+    }
+    if (card.defaultAction) {
+      webchatCard.default_action = card.defaultAction;
+    }
+    return webchatCard;
+  }
 }
 
 module.exports = BotfuelAdapter;
@@ -0,0 +1,139 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+// @flow
+
+import type { BotMessageJson } from '../messages/message';
+
+const logger = require('logtown')('RestAdapter');
+const { MESSAGE_FEATURES, MESSAGE_TYPES } = require('../utils/fallbacks');
+const WebAdapter = require('./web-adapter');
+
+const DEFAULT_OUTBOX_SIZE = 50; // number of messages kept by user
+const DEFAULT_OUTBOX_DURATION = 86400000; // one day in ms
+
+/**
+ * Adapter answering the user messages posted to /webhook in the http response,
+ * so that any frontend can talk to the bot without a server receiving its messages.
+ *
+ * The body of the request is the user message json
+ * and the response is the list of the bot messages json of the turn,
+ * or a 500 error when the turn fails.
+ * The proactive messages of a user (see {@link Bot#sendProactive}) are kept
+ * until the next request of the user, and are sent before the bot messages of the turn,
+ * at most outboxSize messages (50 by default) during outboxDuration ms (one day by default)
+ * of the adapter config rest parameter.
+ * @extends WebAdapter
+ */
+class RestAdapter extends WebAdapter {
+  outboxes: { [string]: { botMessage: BotMessageJson, expiresAt: number }[] };
+  outboxSize: number;
+  outboxDuration: number;
+
+  /**
+   * @constructor
+   * @param {Object} bot - the bot
+   */
+  constructor(bot: Object) {
+    super(bot);
+    // the messages not sent yet, by user
+    this.outboxes = {};
+    const restConfig = (bot.config && bot.config.adapter.rest) || {};
+    this.outboxSize = restConfig.outboxSize || DEFAULT_OUTBOX_SIZE;
+    this.outboxDuration = restConfig.outboxDuration || DEFAULT_OUTBOX_DURATION;
+  }
+
+  /** @inheritDoc */
+  async handleRequest(req: express$Request, res: express$Response): Promise<void> {
+    logger.debug('handleRequest', req.body);
+    const userMessage = (req.body: any);
+    if (!userMessage || !userMessage.user || !userMessage.type) {
+      res.status(400).send({ message: 'The body should be a user message with a user and a type' });
+      return;
+    }
+    try {
+      await this.addUserIfNecessary(userMessage.user);
+      const botMessages = await this.bot.handleMessage(this.extendMessage(userMessage));
+      // the messages of the turn are not shared with the concurrent requests of the user
+      res
+        .status(200)
+        .send([...this.takeMessages(userMessage.user), ...this.prepareMessages(botMessages)]);
+    } catch (error) {
+      logger.error('handleRequest', error);
+      res.status(500).send({ message: 'The user message could not be handled' });
+    }
+  }
+
+  /**
+   * The frontend receives the json of the bot messages, it renders any type.
+   * @inheritDoc
+   */
+  getSupportedMessageTypes(): string[] {
+    return MESSAGE_TYPES;
+  }
+
+  /**
+   * The frontend receives the json of the bot messages, with all their features.
+   * @inheritDoc
+   */
+  getSupportedFeatures(): string[] {
+    return MESSAGE_FEATURES;
+  }
+
+  /**
+   * Keeps a proactive bot message until it is sent in the response to its user,
+   * the oldest messages are dropped when the outbox of the user is full.
+   * @inheritDoc
+   */
+  async sendMessage(botMessage: BotMessageJson): Promise<void> {
+    logger.debug('sendMessage', botMessage);
+    const { user } = botMessage;
+    this.pruneOutboxes();
+    const expiresAt = Date.now() + this.outboxDuration;
+    this.outboxes[user] = [...(this.outboxes[user] || []), { botMessage, expiresAt }]
+      .slice(-this.outboxSize);
+  }
+
+  /**
+   * Takes the messages not sent yet to a user.
+   * @param userId - the user id
+   * @returns the bot messages
+   */
+  takeMessages(userId: string): BotMessageJson[] {
+    this.pruneOutboxes();
+    const outbox = this.outboxes[userId] || [];
+    delete this.outboxes[userId];
+    return outbox.map(({ botMessage }) => botMessage);
+  }
+
+  /**
+   * Removes the expired messages of the outboxes, and the outboxes left empty.
+   */
+  pruneOutboxes(): void {
+    const now = Date.now();
+    for (const userId of Object.keys(this.outboxes)) {
+      const outbox = this.outboxes[userId].filter(({ expiresAt }) => expiresAt > now);
+      if (outbox.length > 0) {
+        this.outboxes[userId] = outbox;
+      } else {
+        delete this.outboxes[userId];
+      }
+    }
+  }
+}
+
+module.exports = RestAdapter;
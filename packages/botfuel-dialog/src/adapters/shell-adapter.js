@@ -17,15 +17,30 @@
 const readline = require('readline');
 const chalk = require('chalk');
 const logger = require('logtown')('ShellAdapter');
-const uuidv4 = require('uuid/v4');
 const UserTextMessage = require('../messages/user-text-message');
 const PostbackMessage = require('../messages/postback-message');
+const { MESSAGE_TYPES, describeTable } = require('../utils/fallbacks');
+const { signDialogData } = require('../utils/postback-signature');
 const Adapter = require('./adapter');
 
 const DELIMITER = `${chalk.bold('> ')}`;
 
+// the user id when the adapter config has no userId
+const DEFAULT_USER_ID = 'SHELL_USER';
+
+const COMMANDS_HELP = [
+  '/reset: starts a new conversation',
+  '/stack: prints the dialogs',
+  '/brain: prints the user data',
+  '/user <id>: changes the user',
+  '/postback <dialog> <json>: sends a postback, with the json data of the dialog',
+  '/help: prints the commands',
+].join('\n');
+
 /**
  * Shell adapter.
+ * The lines starting with a slash are commands inspecting and manipulating the bot state,
+ * type /help to list them.
  * @extends Adapter
  */
 class ShellAdapter extends Adapter {
@@ -35,7 +50,8 @@ class ShellAdapter extends Adapter {
    */
   constructor(bot) {
     super(bot);
-    this.userId = uuidv4();
+    const adapterConfig = bot.config ? bot.config.adapter : {};
+    this.userId = adapterConfig.userId || DEFAULT_USER_ID;
     this.botTextColor = '#16a085';
     this.rl = readline.createInterface({
       input: process.stdin,
@@ -47,18 +63,133 @@ class ShellAdapter extends Adapter {
   async run() {
     logger.debug('run');
     this.rl.on('line', async (input) => {
+      if (input.startsWith('/')) {
+        await this.handleCommand(input);
+        return;
+      }
       const userMessage = new UserTextMessage(input).toJson(this.userId);
       await this.handleMessage(userMessage);
     });
   }
 
+  /**
+   * Prints the messages of the shell user as they come,
+   * the messages of other users are ignored as the shell has a single user.
+   * @inheritDoc
+   */
+  async sendProactiveMessages(userId, botMessages) {
+    logger.debug('sendProactiveMessages', userId, botMessages);
+    if (userId !== this.userId) {
+      logger.warn(`Proactive messages for the user ${userId} are ignored by the shell`);
+      return;
+    }
+    await this.sendMessages(botMessages);
+  }
+
   /* eslint-disable no-console */
+  /**
+   * Handles a developer command.
+   * @param {String} input - the command line
+   * @returns {Promise.<void>}
+   */
+  async handleCommand(input) {
+    logger.debug('handleCommand', input);
+    const [command, ...args] = input.trim().split(/\s+/);
+    const { brain } = this.bot;
+    try {
+      switch (command) {
+        case '/reset':
+          await this.addUserIfNecessary(this.userId);
+          await brain.addConversation(this.userId);
+          this.print('New conversation started.');
+          break;
+        case '/stack': {
+          await this.addUserIfNecessary(this.userId);
+          const { stack, previous } = await brain.getDialogs(this.userId);
+          this.print(JSON.stringify({ stack, previous }, null, 2));
+          break;
+        }
+        case '/brain':
+          await this.addUserIfNecessary(this.userId);
+          this.print(JSON.stringify(await brain.getUser(this.userId), null, 2));
+          break;
+        case '/user':
+          if (!args[0]) {
+            throw new Error('Usage: /user <id>');
+          }
+          [this.userId] = args;
+          this.print(`User ${this.userId}.`);
+          break;
+        case '/postback': {
+          if (!args[0]) {
+            throw new Error('Usage: /postback <dialog> <json>');
+          }
+          const data = args.length > 1 ? JSON.parse(args.slice(1).join(' ')) : {};
+          const dialogData = { name: args[0], data: { messageEntities: [], ...data } };
+          // the developer commands are trusted, their postbacks are signed like the rendered ones
+          const { postbacks = {} } = this.bot.config || {};
+          const userMessage = new PostbackMessage(postbacks.secret
+            ? signDialogData(dialogData, this.userId, postbacks)
+            : dialogData).toJson(this.userId);
+          await this.handleMessage(userMessage);
+          break;
+        }
+        case '/help':
+          this.print(COMMANDS_HELP);
+          break;
+        default:
+          throw new Error(`Unknown command ${command}, type /help to list the commands`);
+      }
+    } catch (error) {
+      console.log(chalk.red(error.message));
+    }
+  }
+
+  /**
+   * Prints a text in the bot color.
+   * @param {String} text - the text
+   * @returns {void}
+   */
+  print(text) {
+    console.log(chalk.hex(this.botTextColor)(`${DELIMITER}${text}`));
+  }
+
+  /**
+   * The shell renders every built-in message type itself, none of them is degraded.
+   * @inheritDoc
+   */
+  getSupportedMessageTypes() {
+    return MESSAGE_TYPES;
+  }
+
+  /**
+   * The shell prints every image of the cards, but not the icons of the quick replies.
+   * @inheritDoc
+   */
+  getSupportedFeatures() {
+    return ['multipleCardImages'];
+  }
+
   /** @inheritDoc */
   async sendMessage(botMessage) {
-    if (botMessage.type === 'actions') {
-      await this.sendActionsMessage(botMessage);
-    } else {
-      console.log(chalk.hex(this.botTextColor)(`${DELIMITER}${botMessage.payload.value}`));
+    switch (botMessage.type) {
+      case 'actions':
+        await this.sendActionsMessage(botMessage);
+        break;
+      case 'quickreplies':
+        await this.sendQuickrepliesMessage(botMessage);
+        break;
+      case 'cards':
+        await this.sendCardsMessage(botMessage);
+        break;
+      case 'table':
+        this.print(`\n${describeTable(botMessage.payload.value)}`);
+        break;
+      case 'image':
+        this.print(`[image] ${botMessage.payload.value}`);
+        break;
+      default:
+        this.print(botMessage.payload.value);
     }
   }
 
@@ -68,7 +199,40 @@ class ShellAdapter extends Adapter {
    * @returns {Promise.<void>}
    */
   async sendActionsMessage(actionsMessage) {
-    const actions = actionsMessage.payload.value;
+    await this.selectAction(actionsMessage.payload.value);
+  }
+
+  /**
+   * Send cards message, the cards are printed and their actions can be selected
+   * @param {Object} cardsMessage - the cards message
+   * @returns {Promise.<void>}
+   */
+  async sendCardsMessage(cardsMessage) {
+    const cards = cardsMessage.payload.value;
+    const actions = [];
+    cards.forEach((card) => {
+      const lines = [chalk.bold(card.title)];
+      if (card.subtitle) {
+        lines.push(card.subtitle);
+      }
+      lines.push(...card.imageUrls.map(imageUrl => `[image] ${imageUrl}`));
+      this.print(lines.join('\n'));
+      if (card.defaultAction) {
+        actions.push(card.defaultAction);
+      }
+      actions.push(...card.actions);
+    });
+    if (actions.length > 0) {
+      await this.selectAction(actions);
+    }
+  }
+
+  /**
+   * Asks the user to select an action
+   * @param {Object[]} actions - the actions json
+   * @returns {Promise.<void>}
+   */
+  async selectAction(actions) {
     let str = 'Please select:\n';
     actions.forEach((action, index) => {
       str += `${index + 1}: (${action.type}) ${action.text}\n`;
@@ -80,10 +244,8 @@ class ShellAdapter extends Adapter {
         const selected = actions[id - 1];
         // postback
         if (selected.type === 'postback') {
-          const userMessage = new PostbackMessage({
-            name: selected.value.name,
-            data: selected.value.data,
-          }).toJson(this.userId);
+          // the value is sent back as is, with its signature
+          const userMessage = new PostbackMessage(selected.value).toJson(this.userId);
           await this.handleMessage(userMessage);
           // link
         } else if (selected.type === 'link') {
@@ -94,6 +256,29 @@ class ShellAdapter extends Adapter {
       }
     });
   }
+
+  /**
+   * Send quick replies message
+   * @param {Object} quickrepliesMessage - the quick replies message
+   * @returns {Promise.<void>}
+   */
+  async sendQuickrepliesMessage(quickrepliesMessage) {
+    const quickreplies = quickrepliesMessage.payload.value;
+    let str = 'Please select:\n';
+    quickreplies.forEach((quickreply, index) => {
+      str += `${index + 1}: ${typeof quickreply === 'string' ? quickreply : quickreply.text}\n`;
+    });
+
+    this.rl.question(chalk.hex(this.botTextColor)(str), async (answer) => {
+      const id = parseInt(answer, 10);
+      if (id >= 1 && id <= quickreplies.length) {
+        const userMessage = this.getQuickreplyMessage(quickreplies[id - 1]).toJson(this.userId);
+        await this.handleMessage(userMessage);
+      } else {
+        console.log(chalk.red('Invalid choice!'));
+      }
+    });
+  }
 }
 
 module.exports = ShellAdapter;
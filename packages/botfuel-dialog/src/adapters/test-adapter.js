@@ -15,6 +15,7 @@
  */
 
 const logger = require('logtown')('TestAdapter');
+const { MESSAGE_FEATURES, MESSAGE_TYPES } = require('../utils/fallbacks');
 const Adapter = require('./adapter');
 
 /**
@@ -43,6 +44,67 @@ class TestAdapter extends Adapter {
     }
   }
 
+  /**
+   * Plays the selection of a quick reply of the last quick replies message of the log.
+   * @param {String} text - the text of the quick reply
+   * @returns {Promise.<void>}
+   */
+  async selectQuickreply(text) {
+    logger.debug('selectQuickreply', text);
+    const quickrepliesMessage = this.log
+      .slice()
+      .reverse()
+      .find(message => message.type === 'quickreplies');
+    const quickreply =
+      quickrepliesMessage &&
+      quickrepliesMessage.payload.value.find(value =>
+        (typeof value === 'string' ? value : value.text) === text);
+    if (!quickreply) {
+      throw new Error(`No quick reply '${text}' to select`);
+    }
+    await this.play([this.getQuickreplyMessage(quickreply)]);
+  }
+
+  /**
+   * Replaces the clock of the bot scheduler by a fake clock,
+   * which only moves forward when advanceTime is called.
+   * @param {Number} [time=Date.now()] - the initial time in ms
+   * @returns {void}
+   */
+  useFakeClock(time = Date.now()) {
+    logger.debug('useFakeClock', time);
+    this.time = time;
+    this.bot.scheduler.setClock(() => this.time);
+  }
+
+  /**
+   * Moves the fake clock forward and executes the jobs which became due,
+   * their messages are added to the log.
+   * @param {Number} duration - the duration in ms
+   * @returns {Promise.<void>}
+   */
+  async advanceTime(duration) {
+    logger.debug('advanceTime', duration);
+    if (this.time === undefined) {
+      this.useFakeClock();
+    }
+    this.time += duration;
+    await this.bot.scheduler.poll();
+  }
+
+  /**
+   * The tests check the bot messages as they are built, none of them is degraded.
+   * @inheritDoc
+   */
+  getSupportedMessageTypes() {
+    return MESSAGE_TYPES;
+  }
+
+  /** @inheritDoc */
+  getSupportedFeatures() {
+    return MESSAGE_FEATURES;
+  }
+
   /** @inheritDoc */
   async sendMessage(botMessage) {
     this.log.push(botMessage);
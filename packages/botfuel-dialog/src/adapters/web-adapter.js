@@ -17,6 +17,7 @@
 // @flow
 
 import type { BotMessageJson } from '../messages/message';
+import type { VerificationConfig } from '../config';
 
 const url = require('url');
 const querystring = require('querystring');
@@ -25,8 +26,18 @@ const exphbs = require('express-handlebars');
 const rp = require('request-promise-native');
 const bodyParser = require('body-parser');
 const logger = require('logtown')('WebAdapter');
+const ConfigurationError = require('../errors/configuration-error');
 const MissingImplementationError = require('../errors/missing-implementation-error');
+const {
+  SIGNATURE_SCHEME,
+  TOKEN_SCHEME,
+  IP_SCHEME,
+  validateVerificationConfig,
+  getConfiguredSchemes,
+  getRejectionReason,
+} = require('../utils/request-verification');
 const Adapter = require('./adapter');
+const createAdminRouter = require('./admin-router');
 
 // absolute urls to static and template folders
 const PORT = process.env.PORT || process.env.BOTFUEL_ADAPTER_PORT || 5000;
@@ -37,26 +48,142 @@ const TEMPLATE_BASE_URL = url.resolve(BOT_URL, 'templates/');
 // screenshot service url
 const SCREENSHOT_SERVICE_URL = 'https://botfuel-screenshot-service.herokuapp.com/';
 
+// wraps an async agent route so that its errors give a 500 response
+const wrapAgentRoute = handler => async (req: express$Request, res: express$Response) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    logger.error(req.method, req.path, error);
+    res.status(500).send({ error: error.message });
+  }
+};
+
 /**
  * Generic web adapter (to be subclassed), it serves:
  * - /webhook : requests to the bot
  * - /static: static files under src/static
  * - /templates: handlebars templates under src/templates
+ * - /agent: when the operatorVerification parameter has tokens, routes for the human agents
+ *   taking over conversations (see {@link Dialog#handover}):
+ *   - GET /agent/users: the users waiting for an agent
+ *   - GET /agent/users/:userId/transcript: the transcript of the conversation of a user
+ *   - POST /agent/users/:userId/messages: sends the text of the body to a user
+ *   - POST /agent/users/:userId/handback: hands the conversation of a user back to the bot
+ * - /healthz: 200 while the server runs, for the health checks of the load balancers
+ * - /readyz: 200 when the brain and the NLU are initialized, 503 otherwise
+ * - /metrics: the bot {@link Metrics} in the Prometheus text format
+ * - /admin: when the adapter config has an admin token, the admin API over the brain
+ *   (see {@link createAdminRouter})
+ *
+ * The /webhook requests are verified with the schemes of the adapter config verification
+ * parameter and the operator routes (/agent and /metrics) with the ones of the
+ * operatorVerification parameter, all the configured schemes have to accept a request:
+ * - secret: the X-Botfuel-Signature header is sha256=<hex HMAC-SHA256 of timestamp.body>,
+ *   where timestamp is the X-Botfuel-Timestamp header in ms,
+ *   the requests older than tolerance ms (5 minutes by default) are rejected
+ * - tokens: the Authorization header is Bearer <one of the tokens>
+ * - ips: the request comes from one of the ips
+ * The templates are not verified since they are fetched by the browsers and the screenshot service.
  * @extends Adapter
  */
 class WebAdapter extends Adapter {
   /** @inheritDoc */
   async run() {
     logger.debug('run');
+    const app = this.createApp();
+    const server = app.listen(PORT, () => logger.info('run: listening on port', PORT));
+    this.handleServer(server);
+  }
+
+  /**
+   * Creates the express app.
+   * @returns the express app
+   */
+  createApp(): express$Application {
+    logger.debug('createApp');
     const app = express();
-    app.use(bodyParser.json());
+    // keep the raw body for the signature verification
+    app.use(bodyParser.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }));
     app.use('/static', express.static('src/static'));
     const hbs = exphbs.create({});
     app.engine('handlebars', hbs.engine);
     app.set('view engine', 'handlebars');
     app.set('views', 'src/templates');
     this.createRoutes(app);
-    app.listen(PORT, () => logger.info('run: listening on port', PORT));
+    return app;
+  }
+
+  /**
+   * Handles the http server of the express app, does nothing by default.
+   * Adapters serving other protocols on the same port override it.
+   * @param server - the http server
+   */
+  handleServer(server: ?Object): void {} // eslint-disable-line no-unused-vars
+
+  /**
+   * Gets the verification schemes of the webhook supported by the adapter.
+   * Subclasses restrict them to the ones their messaging platform can use.
+   * @returns the schemes among 'signature', 'token' and 'ip'
+   */
+  getWebhookVerificationSchemes(): string[] {
+    return [SIGNATURE_SCHEME, TOKEN_SCHEME, IP_SCHEME];
+  }
+
+  /**
+   * Gets the verification schemes of the operator routes (/agent and /metrics),
+   * the requests of the operators have no signed body.
+   * @returns the schemes among 'token' and 'ip'
+   */
+  getOperatorVerificationSchemes(): string[] {
+    return [TOKEN_SCHEME, IP_SCHEME];
+  }
+
+  /**
+   * Gets a verification config of the adapter config.
+   * @param name - the name of the parameter: verification or operatorVerification
+   * @returns the verification config
+   */
+  getVerificationConfig(name: 'verification' | 'operatorVerification'): VerificationConfig {
+    const { config } = this.bot;
+    return (config && config.adapter[name]) || {};
+  }
+
+  /**
+   * Creates an express middleware verifying the requests,
+   * the rejected requests get a 401 response.
+   * The verification config is checked first, so that an invalid config fails at startup.
+   * @param name - the name of the verification config parameter
+   * @param schemes - the schemes supported by the adapter
+   * @returns the middleware
+   */
+  createVerifier(
+    name: 'verification' | 'operatorVerification',
+    schemes: string[],
+  ): express$Middleware {
+    const verificationConfig = this.getVerificationConfig(name);
+    validateVerificationConfig(verificationConfig, name);
+    const unsupportedSchemes = getConfiguredSchemes(verificationConfig)
+      .filter(scheme => !schemes.includes(scheme));
+    if (unsupportedSchemes.length > 0) {
+      throw new ConfigurationError(
+        `The adapter ${this.constructor.name} does not support the ${name} schemes: ${
+          unsupportedSchemes.join(', ')
+        }.`,
+      );
+    }
+    return (req: express$Request, res: express$Response, next: express$NextFunction) => {
+      const reason = getRejectionReason(req, schemes, verificationConfig);
+      if (reason) {
+        logger.warn('createVerifier: rejected', req.method, req.path, reason);
+        res.status(401).send({ error: 'Unauthorized' });
+      } else {
+        next();
+      }
+    };
   }
 
   /**
@@ -66,8 +193,28 @@ class WebAdapter extends Adapter {
    */
   createRoutes(app: express$Application) {
     logger.debug('createRoutes');
+    app.use('/webhook', this.createVerifier('verification', this.getWebhookVerificationSchemes()));
+    app.use(
+      ['/agent', '/metrics'],
+      this.createVerifier('operatorVerification', this.getOperatorVerificationSchemes()),
+    );
     app.post('/webhook', (req: express$Request, res: express$Response) => this.handleRequest(req, res));
     app.get('/templates/:id', (req: express$Request, res: express$Response) => this.handleTemplate(req, res));
+    // the agents read the conversations and write to the users, they must be authenticated
+    if (this.getVerificationConfig('operatorVerification').tokens) {
+      app.get('/agent/users', wrapAgentRoute(this.handleAgentQueue.bind(this)));
+      app.get('/agent/users/:userId/transcript', wrapAgentRoute(this.handleAgentTranscript.bind(this)));
+      app.post('/agent/users/:userId/messages', wrapAgentRoute(this.handleAgentMessage.bind(this)));
+      app.post('/agent/users/:userId/handback', wrapAgentRoute(this.handleAgentHandback.bind(this)));
+    }
+    app.get('/healthz', (req: express$Request, res: express$Response) => this.handleHealth(req, res));
+    app.get('/readyz', (req: express$Request, res: express$Response) => this.handleReadiness(req, res));
+    app.get('/metrics', (req: express$Request, res: express$Response) => this.handleMetrics(req, res));
+    const { config } = this.bot;
+    const adminConfig = config && config.adapter.admin;
+    if (adminConfig && adminConfig.token) {
+      app.use('/admin', createAdminRouter(this.bot, adminConfig.token));
+    }
   }
 
   /**
@@ -104,6 +251,131 @@ class WebAdapter extends Adapter {
     });
   }
 
+  /**
+   * Health check route, the bot is healthy as long as it serves requests.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  handleHealth(
+    req: express$Request, // eslint-disable-line no-unused-vars
+    res: express$Response,
+  ): void {
+    res.status(200).send({ status: 'ok' });
+  }
+
+  /**
+   * Readiness route, the bot is ready once the brain and the NLU are initialized.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  handleReadiness(
+    req: express$Request, // eslint-disable-line no-unused-vars
+    res: express$Response,
+  ): void {
+    const ready = this.bot.isReady();
+    res.status(ready ? 200 : 503).send({ ready, ...this.bot.readiness });
+  }
+
+  /**
+   * Metrics route, in the Prometheus text format.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  handleMetrics(
+    req: express$Request, // eslint-disable-line no-unused-vars
+    res: express$Response,
+  ): void {
+    res
+      .status(200)
+      .type('text/plain; version=0.0.4')
+      .send(this.bot.metrics.render());
+  }
+
+  /**
+   * Agent route listing the users waiting for an agent.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  async handleAgentQueue(
+    req: express$Request,
+    res: express$Response,
+  ): Promise<void> {
+    logger.debug('handleAgentQueue');
+    const queue = await this.bot.brain.getAgentQueue();
+    res.status(200).send(queue);
+  }
+
+  /**
+   * Agent route sending the transcript of the conversation of a user.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  async handleAgentTranscript(
+    req: express$Request,
+    res: express$Response,
+  ): Promise<void> {
+    const { userId } = req.params;
+    logger.debug('handleAgentTranscript', userId);
+    if (!(await this.bot.brain.hasUser(userId))) {
+      res.status(404).send({ message: `Unknown user '${userId}'` });
+      return;
+    }
+    const transcript = await this.bot.brain.getTranscript(userId);
+    res.status(200).send(transcript);
+  }
+
+  /**
+   * Agent route sending a message of the agent to a user whose conversation is handed over.
+   * @param req - the request object, its body contains the text of the message
+   * @param res - the response object
+   */
+  async handleAgentMessage(
+    req: express$Request,
+    res: express$Response,
+  ): Promise<void> {
+    const { userId } = req.params;
+    const { text } = (req.body: any);
+    logger.debug('handleAgentMessage', userId, text);
+    if (!text) {
+      res.status(400).send({ message: 'The text of the message is missing' });
+      return;
+    }
+    if (!(await this.isHandedOver(userId))) {
+      res.status(404).send({ message: `The conversation of '${userId}' is not handed over` });
+      return;
+    }
+    const agentMessage = await this.bot.sendAgentMessage(userId, text);
+    res.status(200).send(agentMessage);
+  }
+
+  /**
+   * Agent route handing the conversation of a user back to the bot.
+   * @param req - the request object
+   * @param res - the response object
+   */
+  async handleAgentHandback(
+    req: express$Request,
+    res: express$Response,
+  ): Promise<void> {
+    const { userId } = req.params;
+    logger.debug('handleAgentHandback', userId);
+    if (!(await this.isHandedOver(userId))) {
+      res.status(404).send({ message: `The conversation of '${userId}' is not handed over` });
+      return;
+    }
+    await this.bot.handback(userId);
+    res.sendStatus(200);
+  }
+
+  /**
+   * Checks if there is a user whose conversation is handed over to an agent.
+   * @param userId - the user id
+   */
+  async isHandedOver(userId: string): Promise<boolean> {
+    const { brain } = this.bot;
+    return (await brain.hasUser(userId)) && brain.isHandedOver(userId);
+  }
+
   /** @inheritDoc */
   async sendMessage(botMessage: BotMessageJson) {
     const requestOptions = {
@@ -0,0 +1,325 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+// @flow
+
+import type { UserMessage } from '../types';
+import type { BotMessageJson } from '../messages/message';
+
+const crypto = require('crypto');
+const path = require('path');
+const url = require('url');
+const express = require('express');
+const uuidv4 = require('uuid/v4');
+const WebSocket = require('ws');
+const logger = require('logtown')('WebSocketAdapter');
+const { IP_SCHEME, safeEqual, getRejectionReason } = require('../utils/request-verification');
+const WebAdapter = require('./web-adapter');
+
+const SOCKET_PATH = '/socket';
+const DEFAULT_OUTBOX_SIZE = 50; // number of messages kept by user
+const DEFAULT_OUTBOX_DURATION = 86400000; // one day in ms
+
+/**
+ * Adapter for web chats connected with a WebSocket, it serves:
+ * - the routes of the {@link WebAdapter},
+ * - /socket: the WebSocket of the users,
+ * - /static/websocket-client.html: a sample web chat.
+ *
+ * A socket is bound to the user id given by the userId and token query parameters
+ * (/socket?userId=...&token=...) when the token is the one of the user id,
+ * or else to a new user id, so that nobody can connect as another user.
+ * The token is an HMAC of the user id with the secret of the adapter config socket parameter,
+ * without secret a random one is used and the tokens are lost when the bot restarts.
+ * The connections are verified with the ips of the adapter config verification parameter.
+ * The data exchanged are json, the client sends user messages (the user is set by the adapter)
+ * and receives events:
+ * - { event: 'connected', userId, token }: the user id of the socket and its token,
+ * - { event: 'typing', typing }: whether the bot is computing its response,
+ * - { event: 'message', message }: a bot message,
+ * - { event: 'error', message }: the error message of an invalid user message.
+ *
+ * The bot messages of a turn are not streamed while the dialogs run:
+ * they are pushed one after the other when the turn ends,
+ * the typing indicator covers the computation of the turn.
+ *
+ * The bot messages of a user without open socket are kept
+ * and sent when the user connects again with the same user id,
+ * at most outboxSize messages (50 by default) during outboxDuration ms (one day by default).
+ * @extends WebAdapter
+ */
+class WebSocketAdapter extends WebAdapter {
+  sockets: { [string]: WebSocket[] };
+  outboxes: { [string]: { botMessage: BotMessageJson, expiresAt: number }[] };
+  socketServer: ?WebSocket.Server;
+  secret: string;
+  outboxSize: number;
+  outboxDuration: number;
+
+  /**
+   * @constructor
+   * @param {Object} bot - the bot
+   */
+  constructor(bot: Object) {
+    super(bot);
+    // the open sockets, by user
+    this.sockets = {};
+    // the messages not delivered yet, by user
+    this.outboxes = {};
+    this.socketServer = null;
+    const socketConfig = (bot.config && bot.config.adapter.socket) || {};
+    this.secret = socketConfig.secret || crypto.randomBytes(32).toString('hex');
+    this.outboxSize = socketConfig.outboxSize || DEFAULT_OUTBOX_SIZE;
+    this.outboxDuration = socketConfig.outboxDuration || DEFAULT_OUTBOX_DURATION;
+  }
+
+  /**
+   * The socket connections have no body to sign and the browsers can not set their headers.
+   * @inheritDoc
+   */
+  getWebhookVerificationSchemes(): string[] {
+    return [IP_SCHEME];
+  }
+
+  /**
+   * Serves the sample web chat after the static files of the bot.
+   * @inheritDoc
+   */
+  createApp(): express$Application {
+    const app = super.createApp();
+    app.use('/static', express.static(path.join(__dirname, '../static')));
+    return app;
+  }
+
+  /**
+   * Serves the WebSocket on the http server.
+   * @inheritDoc
+   */
+  handleServer(server: ?Object): void {
+    logger.debug('handleServer');
+    this.socketServer = new WebSocket.Server({
+      server,
+      path: SOCKET_PATH,
+      verifyClient: ({ req }) => this.verifyConnection(req),
+    });
+    this.socketServer.on('connection', (socket, req) => this.handleConnection(socket, req));
+  }
+
+  /**
+   * Verifies the http request of a connection with the ips of the verification config.
+   * @param req - the http request of the connection
+   * @returns true if the connection is accepted
+   */
+  verifyConnection(req: http$IncomingMessage): boolean {
+    const reason = getRejectionReason(req, [IP_SCHEME], this.getVerificationConfig('verification'));
+    if (reason) {
+      logger.warn('verifyConnection: rejected', reason);
+    }
+    return !reason;
+  }
+
+  /**
+   * Gets the token proving the identity of a user when it connects again.
+   * Bots authenticating their users can give them their tokens.
+   * @param userId - the user id
+   * @returns the token
+   */
+  getUserToken(userId: string): string {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(userId)
+      .digest('hex');
+  }
+
+  /**
+   * Gets the user id of a connection,
+   * the one of the query when its token is valid, else a new one.
+   * @param req - the http request of the connection
+   * @returns the user id
+   */
+  getConnectionUserId(req: http$IncomingMessage): string {
+    const { query } = url.parse(req.url, true);
+    const { userId, token } = query || {};
+    if (typeof userId === 'string' && userId) {
+      if (typeof token === 'string' && safeEqual(token, this.getUserToken(userId))) {
+        return userId;
+      }
+      logger.warn('getConnectionUserId: invalid token for user', userId);
+    }
+    return uuidv4();
+  }
+
+  /**
+   * Binds a new socket to its user and sends the messages not delivered yet.
+   * @param socket - the socket
+   * @param req - the http request of the connection
+   */
+  handleConnection(socket: WebSocket, req: http$IncomingMessage): void {
+    const userId = this.getConnectionUserId(req);
+    logger.debug('handleConnection', userId);
+    this.sockets[userId] = [...(this.sockets[userId] || []), socket];
+    socket.on('message', data =>
+      this.handleData(userId, socket, data).catch((error) => {
+        logger.error('handleData', userId, error);
+        this.send(socket, { event: 'error', message: 'The message could not be handled' });
+      }));
+    socket.on('close', () => this.handleClose(userId, socket));
+    this.send(socket, { event: 'connected', userId, token: this.getUserToken(userId) });
+    this.pruneOutboxes();
+    const outbox = this.outboxes[userId] || [];
+    delete this.outboxes[userId];
+    for (const { botMessage } of outbox) {
+      this.send(socket, { event: 'message', message: botMessage });
+    }
+  }
+
+  /**
+   * Unbinds a closed socket from its user.
+   * @param userId - the user id
+   * @param socket - the socket
+   */
+  handleClose(userId: string, socket: WebSocket): void {
+    logger.debug('handleClose', userId);
+    const sockets = (this.sockets[userId] || []).filter(userSocket => userSocket !== socket);
+    if (sockets.length > 0) {
+      this.sockets[userId] = sockets;
+    } else {
+      delete this.sockets[userId];
+    }
+  }
+
+  /**
+   * Handles the data received on a socket, it should be a user message json.
+   * @param userId - the user id of the socket
+   * @param socket - the socket
+   * @param data - the data
+   */
+  async handleData(userId: string, socket: WebSocket, data: string): Promise<void> {
+    logger.debug('handleData', userId, data);
+    let userMessage;
+    try {
+      userMessage = JSON.parse(data);
+    } catch (error) {
+      userMessage = null;
+    }
+    if (!userMessage || !userMessage.type) {
+      this.send(socket, { event: 'error', message: 'The data should be a user message json' });
+      return;
+    }
+    await this.handleMessage({ ...userMessage, user: userId });
+  }
+
+  /**
+   * Tells the user that the bot is typing while it computes its response.
+   * @inheritDoc
+   */
+  async handleMessage(userMessage: UserMessage): Promise<void> {
+    this.sendTyping(userMessage.user, true);
+    try {
+      await super.handleMessage(userMessage);
+    } finally {
+      this.sendTyping(userMessage.user, false);
+    }
+  }
+
+  /**
+   * Sends a typing indicator to the open sockets of a user, it is not kept for later.
+   * @param userId - the user id
+   * @param typing - whether the bot is typing
+   */
+  sendTyping(userId: string, typing: boolean): void {
+    for (const socket of this.getOpenSockets(userId)) {
+      this.send(socket, { event: 'typing', typing });
+    }
+  }
+
+  /**
+   * The websocket client displays the texts, images, actions and quick replies,
+   * the tables and cards are degraded to them.
+   * @inheritDoc
+   */
+  getSupportedMessageTypes(): string[] {
+    return ['text', 'image', 'actions', 'quickreplies'];
+  }
+
+  /**
+   * The websocket client does not display the icons of the quick replies.
+   * @inheritDoc
+   */
+  getSupportedFeatures(): string[] {
+    return [];
+  }
+
+  /**
+   * Pushes a bot message to the open sockets of its user, once its turn has ended,
+   * keeps it until the user connects again when there is none,
+   * the oldest messages are dropped when the outbox of the user is full.
+   * @inheritDoc
+   */
+  async sendMessage(botMessage: BotMessageJson): Promise<void> {
+    logger.debug('sendMessage', botMessage);
+    const { user } = botMessage;
+    const sockets = this.getOpenSockets(user);
+    if (sockets.length === 0) {
+      this.pruneOutboxes();
+      const expiresAt = Date.now() + this.outboxDuration;
+      this.outboxes[user] = [...(this.outboxes[user] || []), { botMessage, expiresAt }]
+        .slice(-this.outboxSize);
+      return;
+    }
+    for (const socket of sockets) {
+      this.send(socket, { event: 'message', message: botMessage });
+    }
+  }
+
+  /**
+   * Removes the expired messages of the outboxes, and the outboxes left empty.
+   */
+  pruneOutboxes(): void {
+    const now = Date.now();
+    for (const userId of Object.keys(this.outboxes)) {
+      const outbox = this.outboxes[userId].filter(({ expiresAt }) => expiresAt > now);
+      if (outbox.length > 0) {
+        this.outboxes[userId] = outbox;
+      } else {
+        delete this.outboxes[userId];
+      }
+    }
+  }
+
+  /**
+   * Gets the open sockets of a user.
+   * @param userId - the user id
+   * @returns the sockets
+   */
+  getOpenSockets(userId: string): WebSocket[] {
+    return (this.sockets[userId] || []).filter(socket => socket.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Sends json data on a socket, unless it was closed meanwhile.
+   * @param socket - the socket
+   * @param data - the data
+   */
+  send(socket: WebSocket, data: {}): void {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(data));
+    }
+  }
+}
+
+module.exports = WebSocketAdapter;
@@ -23,15 +23,21 @@ import type {
   ImageMessage,
   TextMessage,
   FileMessage,
+  EventMessage,
+  LocationMessage,
   DialogData,
   ErrorObject,
+  ProactiveMessage,
+  MessageEntities,
 } from './types';
 import type { BotMessageJson } from './messages/message';
 import type Adapter from './adapters/adapter';
 import type Brain from './brains/brain';
 import type Nlu from './nlus/nlu';
+import type ClassificationResult from './nlus/classification-result';
 
 const Logger = require('logtown');
+const kebabCase = require('lodash/kebabCase');
 const AdapterResolver = require('./adapter-resolver');
 const BrainResolver = require('./brain-resolver');
 const NluResolver = require('./nlu-resolver');
@@ -41,7 +47,11 @@ const AuthenticationError = require('./errors/authentication-error');
 const DialogError = require('./errors/dialog-error');
 const ResolutionError = require('./errors/resolution-error');
 const { checkCredentials } = require('./utils/environment');
+const { verifyDialogData } = require('./utils/postback-signature');
 const MiddlewareManager = require('./middleware-manager');
+const AgentTextMessage = require('./messages/agent-text-message');
+const Metrics = require('./metrics');
+const Scheduler = require('./scheduler');
 
 const logger = Logger.getLogger('Bot');
 
@@ -53,23 +63,31 @@ const logger = Logger.getLogger('Bot');
  * - a {@link Brain},
  * - a {@link Config},
  * - a {@link DialogManager},
+ * - a {@link Metrics} registry,
  * - a {@link MiddlewareManager},
- * - a {@link Nlu} (Natural Language Understanding) module.
+ * - a {@link Nlu} (Natural Language Understanding) module,
+ * - a {@link Scheduler}.
  */
 class Bot {
   adapter: Adapter;
   brain: Brain;
   config: Config;
   dm: DialogManager;
+  metrics: Metrics;
   middlewareManager: MiddlewareManager;
   nlu: Nlu;
+  readiness: { brain: boolean, nlu: boolean };
+  scheduler: Scheduler;
 
   constructor(config: RawConfig) {
     logger.debug('constructor', config);
     this.config = getConfiguration(config);
     logger.debug('constructor', this.config);
     checkCredentials(this.config);
-    this.brain = new BrainResolver(this).resolve(this.config.brain.name);
+    this.metrics = new Metrics();
+    this.readiness = { brain: false, nlu: false };
+    this.brain = this.metrics.wrapBrain(new BrainResolver(this).resolve(this.config.brain.name));
+    this.scheduler = new Scheduler(this);
     this.nlu = new NluResolver(this).resolve(this.config.nlu.name);
     this.dm = new DialogManager(this);
     this.adapter = new AdapterResolver(this).resolve(this.config.adapter.name);
@@ -83,16 +101,29 @@ class Bot {
   async init(): Promise<void> {
     logger.debug('init');
     await this.brain.init();
+    this.readiness.brain = true;
     await this.nlu.init();
+    this.readiness.nlu = true;
+    await this.dm.init();
+  }
+
+  /**
+   * Checks if the brain and the NLU are initialized.
+   */
+  isReady(): boolean {
+    return this.readiness.brain && this.readiness.nlu;
   }
 
   /**
    * Runs the bot.
+   * The bot is initialized before the adapter runs,
+   * so that the adapter never handles a message with an uninitialized brain or NLU.
    */
   async run(): Promise<void> {
     logger.debug('run');
     await this.init();
     await this.adapter.run();
+    this.scheduler.start();
   }
 
   /**
@@ -115,33 +146,220 @@ class Bot {
 
   /**
    * Handles a user message.
+   * The turns of a user are run one after the other, in the order of arrival of the messages,
+   * so that they do not overwrite each other's dialogs.
    */
   async handleMessage(userMessage: UserMessage): Promise<BotMessageJson[]> {
     logger.debug('handleMessage', userMessage);
+    return this.brain.runTurn(userMessage.user, async () => this.handleTurn(userMessage));
+  }
+
+  /**
+   * Executes a dialog for a user without a user message, for example to notify an event.
+   * The dialog is executed against the current dialogs of the user,
+   * in a turn ordered with the turns of the user messages,
+   * and the bot messages are sent through the adapter.
+   * The dialog is not executed while the conversation is handed over to an agent.
+   * @param userId - the user id
+   * @param dialogData - the dialog to execute
+   * @returns the bot messages sent
+   */
+  async sendProactive(userId: string, dialogData: DialogData): Promise<BotMessageJson[]> {
+    logger.debug('sendProactive', userId, dialogData);
+    return this.brain.runTurn(userId, async () => {
+      await this.adapter.addUserIfNecessary(userId);
+      return this.executeProactiveDialog(userId, dialogData);
+    });
+  }
+
+  /**
+   * Executes a dialog scheduled for a user (see {@link Scheduler}) like a proactive dialog,
+   * the dialog is dropped when the user was deleted since it was scheduled.
+   * @param userId - the user id
+   * @param dialogData - the dialog to execute
+   * @returns the bot messages sent
+   */
+  async sendScheduledDialog(userId: string, dialogData: DialogData): Promise<BotMessageJson[]> {
+    logger.debug('sendScheduledDialog', userId, dialogData);
+    return this.brain.runTurn(userId, async () => {
+      if (!(await this.brain.hasUser(userId))) {
+        logger.warn('sendScheduledDialog: dropping the dialog of a deleted user', userId);
+        return [];
+      }
+      return this.executeProactiveDialog(userId, dialogData);
+    });
+  }
+
+  /**
+   * Executes a proactive dialog in the turn of an existing user and sends its messages.
+   * @private
+   */
+  async executeProactiveDialog(
+    userId: string,
+    dialogData: DialogData,
+  ): Promise<BotMessageJson[]> {
+    if (await this.brain.isHandedOver(userId)) {
+      // the bot does not talk over the agent
+      logger.warn('executeProactiveDialog: skipping the dialog of a handed over user', userId);
+      return [];
+    }
+    const proactiveMessage: ProactiveMessage = { type: 'proactive', user: userId };
+    const botMessages = await this.dm.executeDialog(proactiveMessage, dialogData);
+    this.countSentMessages(botMessages);
+    await this.adapter.sendProactiveMessages(userId, botMessages);
+    await this.brain.addToTranscript(userId, botMessages);
+    return botMessages;
+  }
+
+  /**
+   * Sends a message written by a human agent to a user whose conversation is handed over.
+   * @param userId - the user id
+   * @param text - the text of the message
+   * @returns the agent message sent
+   */
+  async sendAgentMessage(userId: string, text: string): Promise<BotMessageJson> {
+    logger.debug('sendAgentMessage', userId, text);
+    return this.brain.runTurn(userId, async () => {
+      const agentMessage = new AgentTextMessage(text).toJson(userId);
+      this.countSentMessages([agentMessage]);
+      await this.adapter.sendProactiveMessages(userId, [agentMessage]);
+      await this.brain.addToTranscript(userId, [agentMessage]);
+      return agentMessage;
+    });
+  }
+
+  /**
+   * Hands the conversation of a user back to the bot,
+   * the next user message is handled by the dialogs which were on the stack.
+   * @param userId - the user id
+   */
+  async handback(userId: string): Promise<void> {
+    logger.debug('handback', userId);
+    await this.brain.runTurn(userId, async () => this.brain.endHandover(userId));
+  }
+
+  /**
+   * Handles a user message once the previous turns of the user have completed.
+   * @private
+   */
+  async handleTurn(userMessage: UserMessage): Promise<BotMessageJson[]> {
+    logger.debug('handleTurn', userMessage);
+    this.metrics.increment('botfuel_messages_received_total', { type: userMessage.type });
+    const botMessages = await this.metrics.time(
+      'botfuel_turn_duration_seconds',
+      { type: userMessage.type },
+      async () => this.computeTurn(userMessage),
+    );
+    this.countSentMessages(botMessages);
+    return botMessages;
+  }
+
+  /**
+   * Computes the bot messages of a turn and adds the turn to the transcript.
+   * @private
+   */
+  async computeTurn(userMessage: UserMessage): Promise<BotMessageJson[]> {
+    logger.debug('computeTurn', userMessage);
+    const userId = userMessage.user;
+    let botMessages: BotMessageJson[] = [];
     try {
+      if (await this.brain.isHandedOver(userId)) {
+        // an agent answers the user until the conversation is handed back
+        logger.debug('computeTurn: handed over');
+        await this.brain.addToTranscript(userId, [userMessage]);
+        return [];
+      }
       const contextIn = {
-        user: userMessage.user,
+        user: userId,
         brain: this.brain,
         userMessage,
         config: this.config,
       };
-      let botMessages: BotMessageJson[] = [];
       await this.middlewareManager.in(contextIn, async () => {
-        logger.debug('handleMessage: responding');
+        logger.debug('computeTurn: responding');
         botMessages = await this.respond(userMessage);
       });
       const contextOut = {
-        user: userMessage.user,
+        user: userId,
         brain: this.brain,
         botMessages,
         config: this.config,
         userMessage,
       };
       await this.middlewareManager.out(contextOut, async () => {});
-      return botMessages;
+      await this.brain.addToTranscript(userId, [userMessage, ...botMessages]);
     } catch (error) {
-      logger.debug('handleMessage: catching error', error);
-      return this.respondWhenError(userMessage, error);
+      logger.debug('computeTurn: catching error', error);
+      botMessages = await this.respondWhenError(userMessage, error);
+      await this.addFailedTurnToTranscript(userMessage, botMessages);
+    }
+    return botMessages;
+  }
+
+  /**
+   * Executes a dialog for the user turn.
+   * A snapshot of the conversation is pushed first, so that the turn can be undone,
+   * the ignored turns, the proactive and catch executions do not push any.
+   * @private
+   */
+  async executeDialog(userMessage: UserMessage, dialog: DialogData): Promise<BotMessageJson[]> {
+    await this.brain.pushSnapshot(userMessage.user);
+    return this.dm.executeDialog(userMessage, dialog);
+  }
+
+  /**
+   * Executes the classification results for the user turn,
+   * a snapshot of the conversation is pushed first (see executeDialog).
+   * @private
+   */
+  async executeClassificationResults(
+    userMessage: UserMessage,
+    classificationResults: ClassificationResult[],
+    messageEntities: MessageEntities,
+  ): Promise<BotMessageJson[]> {
+    await this.brain.pushSnapshot(userMessage.user);
+    return this.dm.executeClassificationResults(
+      userMessage,
+      classificationResults,
+      messageEntities,
+    );
+  }
+
+  /**
+   * Adds a turn handled by the catch dialog to the transcript,
+   * the turn is answered even when the transcript can not be updated.
+   * @private
+   */
+  async addFailedTurnToTranscript(
+    userMessage: UserMessage,
+    botMessages: BotMessageJson[],
+  ): Promise<void> {
+    try {
+      await this.brain.addToTranscript(userMessage.user, [userMessage, ...botMessages]);
+    } catch (error) {
+      logger.error('addFailedTurnToTranscript', userMessage.user, error);
+    }
+  }
+
+  /**
+   * Counts the bot messages sent.
+   * @private
+   */
+  countSentMessages(botMessages: BotMessageJson[]): void {
+    for (const botMessage of botMessages) {
+      this.metrics.increment('botfuel_messages_sent_total', { type: botMessage.type });
+    }
+  }
+
+  /**
+   * Counts the intents and qnas classified by the NLU.
+   * @private
+   */
+  countClassificationResults(classificationResults: ClassificationResult[]): void {
+    for (const classificationResult of classificationResults) {
+      this.metrics.increment('botfuel_intents_classified_total', {
+        name: classificationResult.name,
+      });
     }
   }
 
@@ -160,6 +378,16 @@ class Bot {
       case 'file':
         logger.debug('respond: file', userMessage);
         return this.respondWhenFile(userMessage);
+      case 'location':
+        logger.debug('respond: location', userMessage);
+        return this.respondWhenLocation(userMessage);
+      case 'event':
+        logger.debug('respond: event', userMessage);
+        return this.respondWhenEvent(userMessage);
+      case 'proactive':
+        // proactive messages are only given to the dialogs executed by sendProactive
+        logger.warn('respond: ignoring proactive message', userMessage);
+        return [];
       case 'text':
       default:
         logger.debug('respond: text', userMessage);
@@ -182,18 +410,20 @@ class Bot {
         data: {},
       };
 
-      return this.dm.executeDialog(userMessage, complexInputDialog);
+      return this.executeDialog(userMessage, complexInputDialog);
     }
 
-    const { classificationResults, messageEntities } = await this.nlu.compute(
-      userMessage.payload.value,
-      {
+    const { classificationResults, messageEntities } = await this.metrics.time(
+      'botfuel_nlu_duration_seconds',
+      { operation: 'compute' },
+      async () => this.nlu.compute(userMessage.payload.value, {
         brain: this.brain,
         userMessage,
-      },
+      }),
     );
     logger.debug('respondWhenText: classificationResults', classificationResults, messageEntities);
-    return this.dm.executeClassificationResults(
+    this.countClassificationResults(classificationResults);
+    return this.executeClassificationResults(
       userMessage,
       classificationResults,
       messageEntities,
@@ -202,17 +432,47 @@ class Bot {
 
   /**
    * Computes the responses for a user message of type postback.
+   * When a postbacks secret is configured, the postbacks rendered by the views are signed
+   * and the postbacks whose signature does not verify are rejected.
+   * The dialogs with a false postbackReachable characteristic are never executed by a postback.
+   * Depending on the postbacks rejection setting, the rejected postbacks are
+   * handled by the default dialog or ignored.
    * @private
    */
   async respondWhenPostback(userMessage: PostbackMessage): Promise<BotMessageJson[]> {
     logger.debug('respondWhenPostback', userMessage);
+    const reason = this.getPostbackRejectionReason(userMessage);
+    if (reason) {
+      logger.warn('respondWhenPostback: rejected', userMessage.user, reason);
+      if (this.config.postbacks.rejection === 'ignore') {
+        return [];
+      }
+      return this.executeDialog(userMessage, { name: 'default', data: {} });
+    }
+    // only the entities and the review action of the postback are given to the dialog
+    const { messageEntities, review } = userMessage.payload.value.data;
     const dialog = {
       name: userMessage.payload.value.name,
-      data: {
-        messageEntities: userMessage.payload.value.data.messageEntities,
-      },
+      data: review ? { messageEntities, review } : { messageEntities },
     };
-    return this.dm.executeDialog(userMessage, dialog);
+    return this.executeDialog(userMessage, dialog);
+  }
+
+  /**
+   * Gets the reason why a postback is rejected.
+   * @param userMessage - the postback message
+   * @returns the reason, null if the postback is accepted
+   */
+  getPostbackRejectionReason(userMessage: PostbackMessage): ?string {
+    const dialogData = userMessage.payload.value;
+    const dialog = this.dm.getPath(dialogData.name) && this.dm.resolve(dialogData.name);
+    if (dialog && dialog.characteristics.postbackReachable === false) {
+      return `dialog ${dialogData.name} not reachable by postback`;
+    }
+    if (this.config.postbacks.secret) {
+      return verifyDialogData(dialogData, userMessage.user, this.config.postbacks);
+    }
+    return null;
   }
 
   /**
@@ -227,7 +487,7 @@ class Bot {
         url: userMessage.payload.value,
       },
     };
-    return this.dm.executeDialog(userMessage, dialog);
+    return this.executeDialog(userMessage, dialog);
   }
 
   /**
@@ -242,9 +502,52 @@ class Bot {
         url: userMessage.payload.value,
       },
     };
-    return this.dm.executeDialog(userMessage, dialog);
+    return this.executeDialog(userMessage, dialog);
   }
 
+  /**
+   * Computes the responses for a user message of type location.
+   * The location is given to the dialogs as a system:location entity.
+   * @private
+   */
+  async respondWhenLocation(userMessage: LocationMessage): Promise<BotMessageJson[]> {
+    logger.debug('respondWhenLocation', userMessage);
+    const { classificationResults, messageEntities } = await this.metrics.time(
+      'botfuel_nlu_duration_seconds',
+      { operation: 'computeLocation' },
+      async () => this.nlu.computeLocation(userMessage.payload.value, {
+        brain: this.brain,
+        userMessage,
+      }),
+    );
+    this.countClassificationResults(classificationResults);
+    return this.executeClassificationResults(
+      userMessage,
+      classificationResults,
+      messageEntities,
+    );
+  }
+
+  /**
+   * Computes the responses for a user message of type event.
+   * The event is handled by the dialog named after it (event-conversation-started for example),
+   * the events without such a dialog are ignored.
+   * @private
+   */
+  async respondWhenEvent(userMessage: EventMessage): Promise<BotMessageJson[]> {
+    logger.debug('respondWhenEvent', userMessage);
+    const { name, data } = userMessage.payload.value;
+    const dialogName = `event-${kebabCase(name)}`;
+    if (!this.dm.getPath(dialogName)) {
+      logger.debug('respondWhenEvent: ignoring unhandled event', name);
+      return [];
+    }
+    const dialog: DialogData = {
+      name: dialogName,
+      data: { ...data },
+    };
+    return this.executeDialog(userMessage, dialog);
+  }
 
   async respondWhenError(userMessage: UserMessage, error: ErrorObject): Promise<BotMessageJson[]> {
     logger.debug('respondWhenError', userMessage, error);
@@ -271,6 +574,7 @@ class Bot {
       {},
     );
 
+    this.metrics.increment('botfuel_catch_dialog_total', { error: error.constructor.name });
     const catchDialog = {
       name: 'catch',
       data: {
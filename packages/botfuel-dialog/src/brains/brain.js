@@ -17,11 +17,26 @@
 // @flow
 
 import type { Config } from '../config';
-import type { DialogsData, UserData, ConversationData } from '../types';
+import type {
+  DialogsData,
+  UserData,
+  UsersPage,
+  ConversationData,
+  ConversationSnapshot,
+  HandoverData,
+  ScheduledJob,
+  TranscriptMessage,
+} from '../types';
+import type TurnLock from './turn-lock';
 
+const _ = require('lodash');
 const uuidv4 = require('uuid/v4');
 const logger = require('logtown')('Brain');
 const MissingImplementationError = require('../errors/missing-implementation-error');
+const MemoryTurnLock = require('./memory-turn-lock');
+
+// conversation keys which are not part of the snapshots
+const UNSNAPSHOTTED_KEYS = ['_history', '_transcript', '_createdAt', 'uuid'];
 
 /**
  * A brain is a storage for user and conversation data.
@@ -30,9 +45,18 @@ const MissingImplementationError = require('../errors/missing-implementation-err
 class Brain {
   config: Config;
   conversationDuration: number;
+  historySize: number;
+  transcriptSize: number;
+  turnLeaseDuration: number;
+  turnLock: TurnLock;
 
   constructor(config: Config) {
     this.conversationDuration = config.brain.conversationDuration;
+    this.historySize = config.brain.historySize;
+    this.transcriptSize = config.brain.transcriptSize;
+    this.turnLeaseDuration = config.brain.turnLeaseDuration;
+    // turns are serialized in memory unless the brain provides a shared lock
+    this.turnLock = new MemoryTurnLock();
   }
 
   /**
@@ -95,6 +119,15 @@ class Brain {
     throw new MissingImplementationError();
   }
 
+  /**
+   * Deletes a user and its conversations.
+   * @abstract
+   * @returns true if the user existed
+   */
+  async deleteUser(userId: string): Promise<boolean> { // eslint-disable-line no-unused-vars
+    throw new MissingImplementationError();
+  }
+
   /**
    * Gets all users.
    * @returns the users
@@ -103,6 +136,21 @@ class Brain {
     throw new MissingImplementationError();
   }
 
+  /**
+   * Searches the users whose id or the string value of a key set by the dialogs
+   * contains a text, case insensitively.
+   * @abstract
+   * @param search - the text, all the users match an empty text
+   * @param page - the number of users to skip and the maximum number of users to return
+   * @returns the page of the matching users sorted by creation date and their total number
+   */
+  async searchUsers(
+    search: string, // eslint-disable-line no-unused-vars
+    page: { offset: number, limit: number }, // eslint-disable-line no-unused-vars
+  ): Promise<UsersPage> {
+    throw new MissingImplementationError();
+  }
+
   /**
    * Gets the init value for creating a new conversation.
    */
@@ -210,6 +258,174 @@ class Brain {
     await this.conversationSet(userId, '_dialogs', dialogs);
   }
 
+  /**
+   * Saves a snapshot of the last conversation of a user in its history.
+   * Only the last snapshots are kept (see the brain historySize setting).
+   */
+  async pushSnapshot(userId: string): Promise<void> {
+    logger.debug('pushSnapshot', userId);
+    const conversation = await this.fetchLastConversation(userId);
+    const snapshot: ConversationSnapshot = _.cloneDeep(_.omit(conversation, UNSNAPSHOTTED_KEYS));
+    const history = [...(conversation._history || []), snapshot].slice(-this.historySize);
+    await this.conversationSet(userId, '_history', history);
+  }
+
+  /**
+   * Removes the last snapshot from the history of the last conversation of a user.
+   * @returns the snapshot or null if the history is empty
+   */
+  async popSnapshot(userId: string): Promise<?ConversationSnapshot> {
+    logger.debug('popSnapshot', userId);
+    const conversation = await this.fetchLastConversation(userId);
+    const history = conversation._history || [];
+    if (history.length === 0) {
+      return null;
+    }
+    await this.conversationSet(userId, '_history', history.slice(0, -1));
+    return history[history.length - 1];
+  }
+
+  /**
+   * Restores a snapshot in the last conversation of a user,
+   * the values set after the snapshot are removed.
+   */
+  async restoreSnapshot(userId: string, snapshot: ConversationSnapshot): Promise<void> {
+    logger.debug('restoreSnapshot', userId);
+    const conversation = await this.fetchLastConversation(userId);
+    const keys = _.union(
+      Object.keys(_.omit(conversation, UNSNAPSHOTTED_KEYS)),
+      Object.keys(snapshot),
+    );
+    for (const key of keys) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.conversationSet(userId, key, snapshot[key]);
+    }
+  }
+
+  /**
+   * Runs a turn of a user once the previous turns of this user have completed.
+   * @param userId - the user id
+   * @param turn - the function executing the turn
+   * @returns the value returned by the turn
+   */
+  async runTurn<T>(userId: string, turn: () => Promise<T>): Promise<T> {
+    logger.debug('runTurn', userId);
+    return this.turnLock.run(userId, turn);
+  }
+
+  /**
+   * Adds messages to the transcript of the last conversation of a user.
+   * Only the last messages are kept (see the brain transcriptSize setting).
+   * @param userId - the user id
+   * @param messages - the user, bot or agent messages
+   */
+  async addToTranscript(
+    userId: string,
+    messages: $ReadOnlyArray<TranscriptMessage>,
+  ): Promise<void> {
+    logger.debug('addToTranscript', userId, messages);
+    const transcript = await this.getTranscript(userId);
+    await this.conversationSet(
+      userId,
+      '_transcript',
+      [...transcript, ...messages].slice(-this.transcriptSize),
+    );
+  }
+
+  /**
+   * Gets the transcript of the last conversation of a user.
+   * @param userId - the user id
+   * @returns the messages in the order they were exchanged
+   */
+  async getTranscript(userId: string): Promise<TranscriptMessage[]> {
+    logger.debug('getTranscript', userId);
+    const transcript = await this.conversationGet(userId, '_transcript');
+    return ((transcript: any): ?(TranscriptMessage[])) || [];
+  }
+
+  /**
+   * Hands the conversation of a user over to a human agent,
+   * the user is added to the agent queue.
+   * @param userId - the user id
+   */
+  async startHandover(userId: string): Promise<void> {
+    logger.debug('startHandover', userId);
+    const handover: HandoverData = { userId, since: Date.now() };
+    await this.userSet(userId, '_handover', handover);
+  }
+
+  /**
+   * Hands the conversation of a user back to the bot,
+   * the user is removed from the agent queue.
+   * @param userId - the user id
+   */
+  async endHandover(userId: string): Promise<void> {
+    logger.debug('endHandover', userId);
+    await this.userSet(userId, '_handover', null);
+  }
+
+  /**
+   * Checks if the conversation of a user is handed over to a human agent.
+   * @param userId - the user id
+   */
+  async isHandedOver(userId: string): Promise<boolean> {
+    logger.debug('isHandedOver', userId);
+    return !!(await this.userGet(userId, '_handover'));
+  }
+
+  /**
+   * Gets the agent queue.
+   * @abstract
+   * @returns the users waiting for an agent, the longest waiting first
+   */
+  async getAgentQueue(): Promise<HandoverData[]> {
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Stores a scheduled job.
+   * @abstract
+   * @returns the job
+   */
+  async addJob(job: ScheduledJob): Promise<ScheduledJob> { // eslint-disable-line no-unused-vars
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Removes a scheduled job.
+   * @abstract
+   * @returns true if the job existed
+   */
+  async removeJob(jobId: string): Promise<boolean> { // eslint-disable-line no-unused-vars
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Gets the pending jobs, optionally restricted to the jobs of a user.
+   * @abstract
+   * @returns the jobs sorted by execution time
+   */
+  async getJobs(userId: ?string): Promise<ScheduledJob[]> { // eslint-disable-line no-unused-vars
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Leases and returns the jobs due at a given time, their attempts are incremented.
+   * A leased job is not returned again until its lease expires,
+   * even when several bots share the brain.
+   * The jobs stay in the brain until they are removed.
+   * @abstract
+   * @param time - the time in ms
+   * @param leaseDuration - the duration of the lease in ms
+   * @returns the due jobs sorted by execution time
+   */
+  async leaseDueJobs(
+    time: number, // eslint-disable-line no-unused-vars
+    leaseDuration: number, // eslint-disable-line no-unused-vars
+  ): Promise<ScheduledJob[]> {
+    throw new MissingImplementationError();
+  }
+
   /**
    * Gets a value for a key within the global scope.
    * @abstract
@@ -16,6 +16,7 @@
 
 const logger = require('logtown')('MemoryBrain');
 const last = require('lodash/last');
+const sortBy = require('lodash/sortBy');
 const Brain = require('./brain');
 
 /**
@@ -35,6 +36,7 @@ class MemoryBrain extends Brain {
     logger.debug('clean');
     this.users = {};
     this.global = {};
+    this.jobs = [];
   }
 
   /** @inheritdoc */
@@ -63,12 +65,31 @@ class MemoryBrain extends Brain {
     return this.users[userId];
   }
 
+  /** @inheritdoc */
+  async deleteUser(userId) {
+    logger.debug('deleteUser', userId);
+    const existed = await this.hasUser(userId);
+    delete this.users[userId];
+    return existed;
+  }
+
   /** @inheritdoc */
   async getAllUsers() {
     logger.debug('getAllUsers');
     return Object.values(this.users);
   }
 
+  /** @inheritdoc */
+  async searchUsers(search, { offset, limit }) {
+    logger.debug('searchUsers', search, offset, limit);
+    const lowerCaseSearch = search.toLowerCase();
+    const matches = text => typeof text === 'string' && text.toLowerCase().includes(lowerCaseSearch);
+    const users = sortBy(Object.values(this.users), '_createdAt').filter(user =>
+      Object.keys(user).some(key =>
+        (key === '_userId' || !key.startsWith('_')) && matches(user[key])));
+    return { users: users.slice(offset, offset + limit), total: users.length };
+  }
+
   /** @inheritdoc */
   async userSet(userId, key, value) {
     logger.debug('userSet', userId, key, value);
@@ -102,6 +123,56 @@ class MemoryBrain extends Brain {
     return lastConversation;
   }
 
+  /** @inheritdoc */
+  async getAgentQueue() {
+    logger.debug('getAgentQueue');
+    const handovers = Object.values(this.users)
+      .map(user => user._handover)
+      .filter(handover => !!handover);
+    return sortBy(handovers, 'since');
+  }
+
+  /** @inheritdoc */
+  async addJob(job) {
+    logger.debug('addJob', job);
+    this.jobs = sortBy([...this.jobs, job], 'runAt');
+    return job;
+  }
+
+  /** @inheritdoc */
+  async removeJob(jobId) {
+    logger.debug('removeJob', jobId);
+    const jobs = this.jobs.filter(job => job.id !== jobId);
+    const removed = jobs.length < this.jobs.length;
+    this.jobs = jobs;
+    return removed;
+  }
+
+  /** @inheritdoc */
+  async getJobs(userId) {
+    logger.debug('getJobs', userId);
+    return this.jobs.filter(job => !userId || job.userId === userId);
+  }
+
+  /** @inheritdoc */
+  async leaseDueJobs(time, leaseDuration) {
+    logger.debug('leaseDueJobs', time, leaseDuration);
+    const dueJobs = [];
+    this.jobs = this.jobs.map((job) => {
+      if (job.runAt > time || job.leasedUntil > time) {
+        return job;
+      }
+      const dueJob = {
+        ...job,
+        leasedUntil: time + leaseDuration,
+        attempts: (job.attempts || 0) + 1,
+      };
+      dueJobs.push(dueJob);
+      return dueJob;
+    });
+    return dueJobs;
+  }
+
   /** @inheritdoc */
   async botGet(key) {
     return this.global[key];
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const logger = require('logtown')('MemoryTurnLock');
+const TurnLock = require('./turn-lock');
+
+/**
+ * Turn lock for a single process, turns are chained in memory.
+ * @extends TurnLock
+ */
+class MemoryTurnLock extends TurnLock {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    // the promise resolved when the last requested turn of each user completes
+    this.queues = {};
+  }
+
+  /** @inheritdoc */
+  async acquire(userId) {
+    logger.debug('acquire', userId);
+    const previous = this.queues[userId] || Promise.resolve();
+    let complete;
+    const completed = new Promise((resolve) => {
+      complete = resolve;
+    });
+    const queue = previous.then(() => completed);
+    this.queues[userId] = queue;
+    await previous;
+    return { complete, queue };
+  }
+
+  /** @inheritdoc */
+  async release(userId, lease) {
+    logger.debug('release', userId);
+    lease.complete();
+    if (this.queues[userId] === lease.queue) {
+      // no turn is waiting
+      delete this.queues[userId];
+    }
+  }
+}
+
+module.exports = MemoryTurnLock;
@@ -15,9 +15,11 @@
  */
 
 const { MongoClient } = require('mongodb');
+const escapeRegExp = require('lodash/escapeRegExp');
 const logger = require('logtown')('MongoBrain');
 const MissingCredentialsError = require('../errors/missing-credentials-error');
 const Brain = require('./brain');
+const MongoTurnLock = require('./mongo-turn-lock');
 
 /**
  * Brain with MongoDB storage.
@@ -35,8 +37,17 @@ class MongoBrain extends Brain {
     this.db = await MongoClient.connect(this.getMongoDbUri());
     this.users = this.db.collection('users');
     this.global = this.db.collection('global');
+    this.locks = this.db.collection('locks');
+    this.jobs = this.db.collection('jobs');
     // ensure userId uniqueness
     this.users.ensureIndex({ _userId: 1 }, { unique: true });
+    this.locks.ensureIndex({ _userId: 1 }, { unique: true });
+    // only the users waiting for an agent are indexed
+    this.users.ensureIndex({ '_handover.since': 1 }, { sparse: true });
+    this.jobs.ensureIndex({ id: 1 }, { unique: true });
+    this.jobs.ensureIndex({ runAt: 1 });
+    // turns are serialized across all the processes sharing the database
+    this.turnLock = new MongoTurnLock(this.locks, this.turnLeaseDuration);
   }
 
   /**
@@ -63,6 +74,8 @@ class MongoBrain extends Brain {
     logger.debug('clean');
     await this.global.deleteMany();
     await this.users.deleteMany();
+    await this.locks.deleteMany();
+    await this.jobs.deleteMany();
   }
 
   /** @inheritdoc */
@@ -98,12 +111,47 @@ class MongoBrain extends Brain {
     return user;
   }
 
+  /** @inheritdoc */
+  async deleteUser(userId) {
+    logger.debug('deleteUser', userId);
+    const result = await this.users.deleteOne({ _userId: userId });
+    return result.deletedCount > 0;
+  }
+
   /** @inheritdoc */
   async getAllUsers() {
     logger.debug('getAllUsers');
     return this.users.find().toArray();
   }
 
+  /** @inheritdoc */
+  async searchUsers(search, { offset, limit }) {
+    logger.debug('searchUsers', search, offset, limit);
+    const regex = new RegExp(escapeRegExp(search), 'i');
+    const [{ users, total }] = await this.users
+      .aggregate([
+        // the keys set by the dialogs are the ones which do not start with an underscore
+        { $addFields: { _keys: { $objectToArray: '$$ROOT' } } },
+        {
+          $match: {
+            $or: [
+              { _userId: regex },
+              { _keys: { $elemMatch: { k: { $not: /^_/ }, v: regex } } },
+            ],
+          },
+        },
+        { $sort: { _createdAt: 1 } },
+        {
+          $facet: {
+            users: [{ $skip: offset }, { $limit: limit }, { $project: { _keys: 0 } }],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ])
+      .toArray();
+    return { users, total: total.length > 0 ? total[0].count : 0 };
+  }
+
   /**
    * Wraps mongodb findOneAndUpdate and throws if user does not exist
    * @async
@@ -171,10 +219,65 @@ class MongoBrain extends Brain {
     await this.db.dropDatabase();
   }
 
+  /** @inheritdoc */
+  async getAgentQueue() {
+    logger.debug('getAgentQueue');
+    const users = await this.users
+      .find({ '_handover.since': { $exists: true } }, { _handover: 1 })
+      .sort({ '_handover.since': 1 })
+      .toArray();
+    return users.map(user => user._handover);
+  }
+
+  /** @inheritdoc */
+  async addJob(job) {
+    logger.debug('addJob', job);
+    // insertOne adds the mongo _id to the inserted document
+    await this.jobs.insertOne({ ...job });
+    return job;
+  }
+
+  /** @inheritdoc */
+  async removeJob(jobId) {
+    logger.debug('removeJob', jobId);
+    const result = await this.jobs.deleteOne({ id: jobId });
+    return result.deletedCount > 0;
+  }
+
+  /** @inheritdoc */
+  async getJobs(userId) {
+    logger.debug('getJobs', userId);
+    const query = userId ? { userId } : {};
+    return this.jobs
+      .find(query, { _id: 0 })
+      .sort({ runAt: 1 })
+      .toArray();
+  }
+
+  /** @inheritdoc */
+  async leaseDueJobs(time, leaseDuration) {
+    logger.debug('leaseDueJobs', time, leaseDuration);
+    const dueJobs = [];
+    // jobs are leased one by one so that each job is taken by a single bot
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await this.jobs.findOneAndUpdate(
+        { runAt: { $lte: time }, leasedUntil: { $not: { $gt: time } } },
+        { $set: { leasedUntil: time + leaseDuration }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, projection: { _id: 0 }, returnOriginal: false },
+      );
+      if (!result.value) {
+        return dueJobs;
+      }
+      dueJobs.push(result.value);
+    }
+  }
+
   /** @inheritdoc */
   async botGet(key) {
     const global = await this.global.findOne({});
-    return global[key];
+    // there is no global document until a first value is set
+    return global ? global[key] : undefined;
   }
 
   /** @inheritdoc */
@@ -0,0 +1,192 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const uuidv4 = require('uuid/v4');
+const logger = require('logtown')('MongoTurnLock');
+const TurnLock = require('./turn-lock');
+
+const POLLING_INTERVAL = 50; // in ms
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Turn lock shared by all the processes using the same MongoDB database.
+ *
+ * The lock of a user is a queue of tickets: each turn pushes a ticket and waits until its ticket
+ * is at the head of the queue, which guarantees that the turns are run in the order
+ * in which they were requested.
+ * The head of the queue holds a lease, renewed while its turn runs.
+ * When the lease is not renewed (because the process running the turn died for example),
+ * the head is dropped and the next ticket is served.
+ * The lock of a user is deleted once its queue is empty.
+ * @extends TurnLock
+ */
+class MongoTurnLock extends TurnLock {
+  /**
+   * @constructor
+   * @param {Object} locks - the mongodb collection storing the locks
+   * @param {Number} leaseDuration - the duration of a lease in ms
+   */
+  constructor(locks, leaseDuration) {
+    super();
+    this.locks = locks;
+    this.leaseDuration = leaseDuration;
+  }
+
+  /**
+   * Waits for some time.
+   * @param {Number} duration - the duration in ms
+   * @returns {Promise.<void>}
+   */
+  async sleep(duration) {
+    await new Promise(resolve => setTimeout(resolve, duration));
+  }
+
+  /**
+   * Pushes a ticket in the queue of a user, the lock is created if necessary.
+   * The concurrent creations of a new lock fail with a duplicate key error,
+   * the ticket is then pushed by the next poll.
+   * @param {String} userId - the user id
+   * @param {String} ticket - the ticket
+   * @param {Number} [position] - the position of the ticket, at the end of the queue by default
+   * @returns {Promise.<Boolean>} true if the ticket was pushed
+   */
+  async enqueue(userId, ticket, position) {
+    const push = position === undefined
+      ? { $each: [ticket] }
+      : { $each: [ticket], $position: position };
+    try {
+      await this.locks.updateOne(
+        { _userId: userId },
+        { $push: { queue: push }, $setOnInsert: { expiresAt: Date.now() + this.leaseDuration } },
+        { upsert: true },
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+      logger.debug('enqueue: duplicate key', userId, ticket);
+      return false;
+    }
+  }
+
+  /** @inheritdoc */
+  async acquire(userId) {
+    logger.debug('acquire', userId);
+    return this.tryAcquire(userId, uuidv4(), { queued: false, observed: null });
+  }
+
+  /**
+   * Polls the lock of a user until a ticket is at the head of its queue.
+   * The head and its lease as observed by the turn are passed from poll to poll,
+   * a head is dropped only when its lease has not been renewed while it was observed
+   * for a lease duration.
+   * @param {String} userId - the user id
+   * @param {String} ticket - the ticket
+   * @param {Object} state - { queued: Boolean, observed: { head, expiresAt, since } or null }
+   * @returns {Promise.<Object>} the lease, see release
+   */
+  async tryAcquire(userId, ticket, { queued, observed }) {
+    const lock = await this.locks.findOne({ _userId: userId });
+    if (!lock || !lock.queue.includes(ticket)) {
+      if (queued) {
+        // the ticket was dropped while the turn was not polling, it is put back
+        // right after the head so that it keeps its place before the tickets requested later
+        logger.warn('acquire: ticket dropped', userId, ticket);
+      }
+      const pushed = await this.enqueue(userId, ticket, queued ? 1 : undefined);
+      return this.tryAcquire(userId, ticket, { queued: queued || pushed, observed: null });
+    }
+    const now = Date.now();
+    const [head] = lock.queue;
+    if (head === ticket) {
+      await this.renew(userId, ticket);
+      return { ticket, renewal: this.startRenewal(userId, ticket) };
+    }
+    const isObserved = !!observed
+      && observed.head === head
+      && observed.expiresAt === lock.expiresAt;
+    if (isObserved && lock.expiresAt < now && now - observed.since > this.leaseDuration) {
+      logger.warn('acquire: lease expired', userId, head);
+      await this.dropHead(userId, head);
+      return this.tryAcquire(userId, ticket, { queued, observed: null });
+    }
+    await this.sleep(POLLING_INTERVAL);
+    return this.tryAcquire(userId, ticket, {
+      queued,
+      observed: isObserved ? observed : { head, expiresAt: lock.expiresAt, since: now },
+    });
+  }
+
+  /** @inheritdoc */
+  async release(userId, lease) {
+    logger.debug('release', userId, lease.ticket);
+    this.stopRenewal(lease);
+    await this.dropHead(userId, lease.ticket);
+  }
+
+  /**
+   * Renews the lease of a ticket, if it is still at the head of the queue.
+   * @param {String} userId - the user id
+   * @param {String} ticket - the ticket
+   * @returns {Promise.<void>}
+   */
+  async renew(userId, ticket) {
+    await this.locks.updateOne(
+      { _userId: userId, 'queue.0': ticket },
+      { $set: { expiresAt: Date.now() + this.leaseDuration } },
+    );
+  }
+
+  /**
+   * Renews the lease of a ticket regularly while its turn runs.
+   * @param {String} userId - the user id
+   * @param {String} ticket - the ticket
+   * @returns {Object} the timer, see stopRenewal
+   */
+  startRenewal(userId, ticket) {
+    return setInterval(() => {
+      this.renew(userId, ticket).catch(error => logger.error('renew', userId, error));
+    }, this.leaseDuration / 3);
+  }
+
+  /**
+   * Stops renewing the lease of a ticket.
+   * @param {Object} lease - the lease returned by acquire
+   * @returns {void}
+   */
+  stopRenewal(lease) {
+    clearInterval(lease.renewal);
+  }
+
+  /**
+   * Drops a ticket if it is still at the head of the queue, the next ticket is served.
+   * The next ticket is given a lease so that it has time to start its turn.
+   * The lock is deleted when its queue is empty, unless a ticket was pushed in the meantime.
+   * @param {String} userId - the user id
+   * @param {String} ticket - the ticket at the head of the queue
+   * @returns {Promise.<void>}
+   */
+  async dropHead(userId, ticket) {
+    await this.locks.updateOne(
+      { _userId: userId, 'queue.0': ticket },
+      { $pop: { queue: -1 }, $set: { expiresAt: Date.now() + this.leaseDuration } },
+    );
+    await this.locks.deleteOne({ _userId: userId, queue: { $size: 0 } });
+  }
+}
+
+module.exports = MongoTurnLock;
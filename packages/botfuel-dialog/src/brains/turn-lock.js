@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// @flow
+
+export type TurnLease = mixed;
+
+const logger = require('logtown')('TurnLock');
+const MissingImplementationError = require('../errors/missing-implementation-error');
+
+/**
+ * A turn lock serializes the turns of a user:
+ * a turn starts only when the previous turns of the same user have completed,
+ * in the order in which the turns were requested.
+ */
+class TurnLock {
+  /**
+   * Waits for the previous turns of a user to complete and acquires the lock.
+   * @abstract
+   * @param userId - the user id
+   * @returns the lease to be given back when releasing the lock
+   */
+  async acquire(userId: string): Promise<TurnLease> { // eslint-disable-line no-unused-vars
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Releases the lock, allowing the next turn of the user to start.
+   * @abstract
+   * @param userId - the user id
+   * @param lease - the lease returned when acquiring the lock
+   */
+  async release(
+    userId: string, // eslint-disable-line no-unused-vars
+    lease: TurnLease, // eslint-disable-line no-unused-vars
+  ): Promise<void> {
+    throw new MissingImplementationError();
+  }
+
+  /**
+   * Runs a turn of a user once its previous turns have completed.
+   * @param userId - the user id
+   * @param turn - the function executing the turn
+   * @returns the value returned by the turn
+   */
+  async run<T>(userId: string, turn: () => Promise<T>): Promise<T> {
+    logger.debug('run', userId);
+    const lease = await this.acquire(userId);
+    try {
+      return await turn();
+    } finally {
+      await this.release(userId, lease);
+    }
+  }
+}
+
+module.exports = TurnLock;
@@ -19,24 +19,63 @@ export type RawConfig = {
   [string]: {},
 };
 
+export type VerificationConfig = {
+  secret?: string,
+  tolerance?: number,
+  tokens?: string[],
+  ips?: string[],
+};
+
 export type Config = {|
   adapter: {
     name: string,
+    userId?: string,
+    verification?: VerificationConfig,
+    operatorVerification?: VerificationConfig,
+    socket?: {
+      secret?: string,
+      outboxSize?: number,
+      outboxDuration?: number,
+    },
+    rest?: {
+      outboxSize?: number,
+      outboxDuration?: number,
+    },
+    admin?: {
+      token: string,
+    },
   },
   brain: {
     name: string,
     conversationDuration: number,
+    turnLeaseDuration: number,
+    historySize: number,
+    transcriptSize: number,
   },
   componentRoots: string[],
   locale: string,
   logger: string,
   modules: string[],
-  multiintent: boolean,
+  multiIntent: boolean,
   nlu: {
     name: string,
     spellchecking: boolean,
+    intents?: string,
+    threshold?: number,
+    fixtures?: 'record' | 'replay',
+    fixturesPath?: string,
   },
   path: string,
+  postbacks: {
+    secret?: string,
+    expiration?: number,
+    rejection: 'default' | 'ignore',
+  },
+  scheduler: {
+    pollInterval: number,
+    leaseDuration: number,
+    maxAttempts: number,
+  },
   custom: Object,
 |};
 
@@ -54,6 +93,9 @@ const defaultConfig = {
   brain: {
     name: 'memory',
     conversationDuration: 86400000, // one day in ms
+    turnLeaseDuration: 30000, // 30 seconds in ms
+    historySize: 10, // number of turns which can be undone
+    transcriptSize: 200, // number of messages kept in the transcript of a conversation
   },
   locale: 'en',
   logger: 'info',
@@ -64,6 +106,14 @@ const defaultConfig = {
     spellchecking: false,
   },
   path: process.cwd(),
+  postbacks: {
+    rejection: 'default', // the rejected postbacks are handled by the default dialog
+  },
+  scheduler: {
+    pollInterval: 10000, // 10 seconds in ms
+    leaseDuration: 60000, // 1 minute in ms, a job is retried when its execution lasts longer
+    maxAttempts: 3, // a failing job is abandoned after 3 executions
+  },
 };
 
 /**
@@ -23,10 +23,13 @@ import type Brain from './brains/brain';
 import type ClassificationResult from './nlus/classification-result';
 import type { Action, ExecuteResult } from './dialogs/dialog';
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('logtown')('DialogManager');
 const Resolver = require('./resolver');
 const Dialog = require('./dialogs/dialog');
 const DialogError = require('./errors/dialog-error');
+const { signBotMessage } = require('./utils/postback-signature');
 
 type DialogManagerExecuteOutput = {|
   dialogs: DialogsData,
@@ -60,6 +63,25 @@ class DialogManager extends Resolver<Dialog> {
     this.adapterName = config.adapter.name;
   }
 
+  /**
+   * Initializes the dialog manager.
+   * Checks the parameters of the dialogs, so that invalid dialogs fail at startup.
+   */
+  async init(): Promise<void> {
+    logger.debug('init');
+    const filenamePattern = new RegExp(`-${this.kind}(\\.${this.adapterName})?\\.js$`);
+    for (const directory of this.directories) {
+      for (const filename of fs.readdirSync(directory)) {
+        if (filenamePattern.test(filename)) {
+          const Resolved: Class<Dialog> = require(path.join(directory, filename));
+          if (typeof Resolved.validateParams === 'function') {
+            Resolved.validateParams((Resolved: any).params, this.bot.config);
+          }
+        }
+      }
+    }
+  }
+
   getFilenames(name: string): string[] {
     return [`${name}-${this.kind}.${this.adapterName}.js`, `${name}-${this.kind}.js`];
   }
@@ -213,8 +235,32 @@ class DialogManager extends Resolver<Dialog> {
         stack: dialogs.stack.slice(0, -1),
         previous: [...dialogs.previous, { ...currentDialog, date }],
       };
-      this.updateWithDialog(updatedDialogs, newDialog);
+      // a called dialog can hand over to another dialog, which then returns to the caller
+      this.updateWithDialog(
+        updatedDialogs,
+        currentDialog.called ? { ...newDialog, called: true } : newDialog,
+      );
       return updatedDialogs;
+    } else if (action.name === Dialog.ACTION_CALL) {
+      const { newDialog } = action;
+      return {
+        ...dialogs,
+        stack: [...dialogs.stack, { ...newDialog, called: true }],
+      };
+    } else if (action.name === Dialog.ACTION_RETURN) {
+      const stack = dialogs.stack.slice(0, -1);
+      const callerDialog = stack[stack.length - 1];
+      if (currentDialog.called && callerDialog) {
+        stack[stack.length - 1] = {
+          ...callerDialog,
+          data: { ...callerDialog.data, childResult: action.result },
+        };
+      }
+      return {
+        ...dialogs,
+        stack,
+        previous: [...dialogs.previous, { ...currentDialog, date }],
+      };
     } else if (action.name === Dialog.ACTION_NEW_CONVERSATION) {
       const { newDialog } = action;
       updatedDialogs = {
@@ -234,6 +280,45 @@ class DialogManager extends Resolver<Dialog> {
     });
   }
 
+  /**
+   * Restores the dialogs and the dialog namespaces as they were before the previous turn.
+   * A snapshot is pushed at the beginning of each user turn, see {@link Bot#computeTurn}.
+   * The dialog on top of the restored stack is given no message entities,
+   * so that when executed again it asks its previous question.
+   * @param userId - the user id
+   * @returns the restored dialogs
+   */
+  async undo(userId: string): Promise<DialogsData> {
+    logger.debug('undo', userId);
+    // the first snapshot is the one of the current turn
+    const currentSnapshot = await this.brain.popSnapshot(userId);
+    const previousSnapshot = await this.brain.popSnapshot(userId);
+    const snapshot = previousSnapshot || currentSnapshot;
+    if (snapshot) {
+      await this.brain.restoreSnapshot(userId, snapshot);
+    }
+    const dialogs = await this.getDialogs(userId);
+    const lastDialog = this.getLastDialog(dialogs);
+    if (lastDialog) {
+      lastDialog.data = { ...lastDialog.data, messageEntities: [] };
+    }
+    return dialogs;
+  }
+
+  /**
+   * Signs the postbacks of the bot messages when a postbacks secret is configured,
+   * see {@link Bot#respondWhenPostback}.
+   * @param botMessages - the bot messages
+   * @returns the bot messages with signed postbacks
+   */
+  signPostbacks(botMessages: BotMessageJson[]): BotMessageJson[] {
+    const postbacksConfig = this.bot.config.postbacks;
+    if (!postbacksConfig.secret) {
+      return botMessages;
+    }
+    return botMessages.map(botMessage => signBotMessage(botMessage, postbacksConfig));
+  }
+
   /**
    * Executes the dialogs.
    * @param botMessagesAccumulator - the bot messages from previous dialogs
@@ -272,8 +357,13 @@ class DialogManager extends Resolver<Dialog> {
         userMessage,
         dialog.data,
       );
+      this.bot.metrics.increment('botfuel_dialogs_executed_total', { dialog: dialog.name });
+      // the result of a called dialog is only given once to its caller
+      if (dialog.data) {
+        delete dialog.data.childResult;
+      }
       const { action, botMessages: newBotMessages } = executeResult;
-      botMessages = botMessages.concat(newBotMessages);
+      botMessages = botMessages.concat(this.signPostbacks(newBotMessages));
       logger.debug('execute: action', action);
       if (action.name === Dialog.ACTION_WAIT) {
         return {
@@ -281,7 +371,18 @@ class DialogManager extends Resolver<Dialog> {
           botMessages,
         };
       }
-      dialogs = await this.applyAction(dialogs, action);
+      if (action.name === Dialog.ACTION_HANDOVER) {
+        await this.brain.startHandover(userMessage.user);
+        return {
+          dialogs: this.applyAction(dialogs, { name: Dialog.ACTION_COMPLETE }),
+          botMessages,
+        };
+      }
+      if (action.name === Dialog.ACTION_UNDO) {
+        dialogs = await this.undo(userMessage.user);
+      } else {
+        dialogs = await this.applyAction(dialogs, action);
+      }
     }
     return this.execute(userMessage, dialogs, botMessages);
   }
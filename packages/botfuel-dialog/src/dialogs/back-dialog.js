@@ -0,0 +1,37 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const logger = require('logtown')('BackDialog');
+const Dialog = require('./dialog');
+
+/**
+ * The back dialog undoes the previous turn of the user.
+ *
+ * It is triggered by the 'back' intent or by a postback to the 'back' dialog.
+ * @extends Dialog
+ */
+class BackDialog extends Dialog {
+  /** @inheritDoc */
+  async execute(userMessage, data) {
+    logger.debug('execute', userMessage, data);
+    return {
+      action: this.undo(),
+      botMessages: [],
+    };
+  }
+}
+
+module.exports = BackDialog;
@@ -18,6 +18,7 @@
 
 import type Bot from '../bot';
 import type Brain from '../brains/brain';
+import type Scheduler from '../scheduler';
 import type {
   UserMessage,
   DialogDataData,
@@ -58,15 +59,39 @@ export type ActionNewConversation = {
   newDialog?: DialogData,
 };
 
+export type ActionCall = {
+  name: 'call',
+  newDialog: DialogData,
+};
+
+export type ActionReturn = {
+  name: 'return',
+  result: mixed,
+};
+
+export type ActionUndo = {
+  name: 'undo',
+};
+
+export type ActionHandover = {
+  name: 'handover',
+};
+
 export type Action =
   ActionCancel |
   ActionComplete |
   ActionWait |
   ActionNext |
-  ActionNewConversation;
+  ActionNewConversation |
+  ActionCall |
+  ActionReturn |
+  ActionUndo |
+  ActionHandover;
 
 export type DialogCharacteristics = {
   reentrant: boolean,
+  // false when the dialog can not be executed by a postback
+  postbackReachable?: boolean,
 };
 export type DialogParameters = {};
 export type DisplayData = {};
@@ -91,17 +116,24 @@ class Dialog {
   static ACTION_WAIT = 'wait';
   static ACTION_NEXT = 'next';
   static ACTION_NEW_CONVERSATION = 'new_conversation';
+  static ACTION_CALL = 'call';
+  static ACTION_RETURN = 'return';
+  static ACTION_UNDO = 'undo';
+  static ACTION_HANDOVER = 'handover';
 
   bot: Bot;
   brain: Brain;
   characteristics: DialogCharacteristics;
   parameters: DialogParameters;
+  scheduler: Scheduler;
   viewResolver: ViewResolver;
   name: string;
   config: Object;
 
   /*
-   * @param {Object} characteristics - the characteristics of the dialog
+   * @param {Object} characteristics - the characteristics of the dialog:
+   * reentrant, postbackReachable (false for the dialogs which must not be executed by a postback,
+   * like a payment confirmation)
    * @param {Object} [parameters={}] - the optional dialog parameters
    */
   constructor(
@@ -110,8 +142,9 @@ class Dialog {
     parameters: DialogParameters = {},
   ) {
     logger.debug('constructor', parameters);
-    const { config, brain } = bot;
+    const { config, brain, scheduler } = bot;
     this.brain = brain;
+    this.scheduler = scheduler;
     this.characteristics = characteristics;
     this.parameters = parameters;
     this.viewResolver = new ViewResolver(config);
@@ -119,6 +152,18 @@ class Dialog {
     this.config = config.custom;
   }
 
+  /**
+   * Checks the dialog parameters when the bot starts.
+   * Does nothing by default, dialogs with complex parameters
+   * throw a ConfigurationError when their parameters are invalid.
+   * @param parameters - the dialog parameters
+   * @param config - the bot config
+   */
+  static validateParams(
+    parameters: ?DialogParameters, // eslint-disable-line no-unused-vars
+    config: Object, // eslint-disable-line no-unused-vars
+  ): void {}
+
   /**
    * Gets the dialog name.
    */
@@ -217,6 +262,42 @@ class Dialog {
     };
   }
 
+  /**
+   * Builds an action.
+   * indicating that another dialog is called as a subroutine:
+   * the current dialog stays on the stack and is resumed
+   * with the result of the called dialog in data.childResult.
+   * @param name - the name of the dialog to call
+   * @param data - the input data for the called dialog
+   */
+  callDialog(name: string, data: DialogDataData = {}): ActionCall {
+    if (!name) {
+      throw new DialogError({
+        message: 'You must provide a dialogName as a parameter to the callDialog method.',
+      });
+    }
+    return {
+      newDialog: {
+        name,
+        data,
+      },
+      name: Dialog.ACTION_CALL,
+    };
+  }
+
+  /**
+   * Builds an action.
+   * indicating that the current dialog is completed and
+   * returns a result to the dialog which called it.
+   * @param result - the result
+   */
+  returnResult(result: mixed): ActionReturn {
+    return {
+      name: Dialog.ACTION_RETURN,
+      result,
+    };
+  }
+
   /*
    * Build an action
    * indicating that the current dialog is completed.
@@ -227,6 +308,31 @@ class Dialog {
     };
   }
 
+  /**
+   * Builds an action.
+   * indicating that the previous turn should be undone:
+   * the dialogs and the dialog namespaces are restored as they were before the previous turn
+   * and the dialog on top of the restored stack is executed again.
+   */
+  undo(): ActionUndo {
+    return {
+      name: Dialog.ACTION_UNDO,
+    };
+  }
+
+  /**
+   * Builds an action.
+   * indicating that the current dialog is completed and
+   * that the conversation is handed over to a human agent:
+   * the bot stops answering the user until an agent hands the conversation back,
+   * then the dialogs below the current dialog are resumed.
+   */
+  handover(): ActionHandover {
+    return {
+      name: Dialog.ACTION_HANDOVER,
+    };
+  }
+
   /**
    * Builds an action.
    * indicating that current dialog should wait.
@@ -237,6 +343,40 @@ class Dialog {
     };
   }
 
+  /**
+   * Schedules a dialog to be executed for a user at a later time,
+   * its messages are sent to the user without waiting for a user message.
+   * @param userId - the user id
+   * @param name - the name of the dialog
+   * @param runAt - the execution time in ms, see {@link Scheduler#now} for the current time
+   * @param data - the data for the dialog
+   * @returns the job id, used to cancel the job
+   */
+  async scheduleDialog(
+    userId: string,
+    name: string,
+    runAt: number,
+    data: DialogDataData = {},
+  ): Promise<string> {
+    logger.debug('scheduleDialog', userId, name, runAt, data);
+    if (!name) {
+      throw new DialogError({
+        message: 'You must provide a dialogName as a parameter to the scheduleDialog method.',
+      });
+    }
+    return this.scheduler.schedule(userId, { name, data }, runAt);
+  }
+
+  /**
+   * Cancels a dialog scheduled with scheduleDialog.
+   * @param jobId - the job id
+   * @returns true if the dialog was still scheduled
+   */
+  async cancelScheduledDialog(jobId: string): Promise<boolean> {
+    logger.debug('cancelScheduledDialog', jobId);
+    return this.scheduler.cancel(jobId);
+  }
+
   /**
    * Hook to be overridden before dialog displays.
    * Returns null by default.
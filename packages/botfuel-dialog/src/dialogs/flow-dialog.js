@@ -0,0 +1,287 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+const logger = require('logtown')('FlowDialog');
+const DialogError = require('../errors/dialog-error');
+const { filterIntersectingEntities } = require('../utils/entities');
+const { checkFlow, loadFlow } = require('../utils/flow');
+const PromptDialog = require('./prompt-dialog');
+
+// the flows loaded from the parameters, by dialog class
+const flows = new WeakMap();
+
+/**
+ * The flow dialog runs a state machine described in its parameters.
+ * The dialog parameters is an Object containing:
+ *   - a namespace String representing the name of the dialog
+ *   - a flow Object, or the path of a json or yaml file (relative to the bot) containing it:
+ * ```
+ *     start: String (the name of the first state),
+ *     states: {
+ *       <state name>: {
+ *         text: String (optional, the text displayed by the FlowView in this state)
+ *         entities: Object (optional, entities prompted in this state,
+ *           defined as the entities of the PromptDialog)
+ *         transitions: [{
+ *           to: String (the name of the next state),
+ *           when: Object (optional, map entity name => expected value or array of values),
+ *           reset: String[] (optional, names of the entities to forget),
+ *         }]
+ *       },
+ *       <terminal state name>: {
+ *         text: String (optional),
+ *         action: 'complete', 'next', 'new_conversation' or 'return',
+ *         dialog: String (the dialog triggered by 'next', optional for 'new_conversation'),
+ *       },
+ *     },
+ * ```
+ * Once the entities of a state are fulfilled, the first transition whose conditions
+ * are met is taken. The state and the entities matched so far are stored in the brain.
+ * @extends PromptDialog
+ */
+class FlowDialog extends PromptDialog {
+  /**
+   * @constructor
+   * @param {class} bot - the bot
+   * @param {Object} parameters - the dialog parameters
+   */
+  constructor(bot, parameters) {
+    super(bot, parameters);
+    this.parameters = {
+      ...this.parameters,
+      flow: this.constructor.getFlow(this.parameters, bot.config),
+    };
+  }
+
+  /**
+   * Checks the flow of the dialog, it is then cached for the instances of the dialog.
+   * @static
+   * @param {Object} parameters - the dialog parameters
+   * @param {Object} config - the bot config
+   * @returns {void}
+   */
+  static validateParams(parameters, config) {
+    if (this === FlowDialog) {
+      return;
+    }
+    this.getFlow(parameters || {}, config);
+  }
+
+  /**
+   * Gets the flow of the dialog, it is loaded and checked once per dialog class.
+   * The flow dialog itself has no flow, the flow of its instances is loaded each time.
+   * @static
+   * @param {Object} parameters - the dialog parameters
+   * @param {Object} config - the bot config
+   * @returns {Object} the flow
+   */
+  static getFlow(parameters, config) {
+    if (this === FlowDialog) {
+      return loadFlow(parameters.flow, config.path);
+    }
+    if (!flows.has(this)) {
+      const flow = loadFlow(parameters.flow, config.path);
+      checkFlow(flow, this.name);
+      flows.set(this, flow);
+    }
+    return flows.get(this);
+  }
+
+  /**
+   * Gets the values of a matched entity.
+   * @param {Object|Object[]} entity - the matched entity
+   * @returns {Array} the values
+   */
+  getEntityValues(entity) {
+    return _.castArray(entity)
+      .filter(e => e && e.values && e.values.length > 0)
+      .map(e => e.values[0].value);
+  }
+
+  /**
+   * Checks whether the conditions of a transition are met.
+   * @param {Object} transition - the transition
+   * @param {Object} matchedEntities - the entities matched so far
+   * @returns {Boolean} true if the transition can be taken
+   */
+  isTransitionAllowed(transition, matchedEntities) {
+    const when = transition.when || {};
+    return Object.keys(when).every((name) => {
+      const expectedValues = _.castArray(when[name]);
+      return this.getEntityValues(matchedEntities[name])
+        .some(value => expectedValues.some(expected => _.isEqual(value, expected)));
+    });
+  }
+
+  /**
+   * Gets the first transition of a state whose conditions are met.
+   * @param {Object} state - the state
+   * @param {Object} matchedEntities - the entities matched so far
+   * @returns {Object|undefined} the transition if any
+   */
+  getTransition(state, matchedEntities) {
+    return state.transitions.find(transition =>
+      this.isTransitionAllowed(transition, matchedEntities));
+  }
+
+  /**
+   * Computes the entities of a state.
+   * @param {Object} state - the state
+   * @param {Object[]} candidates - the message entities not used by the previous states
+   * @param {Object} matchedEntities - the entities matched so far
+   * @param {String} previousQuestionEntity - previous question entity
+   * @returns {Object} object containing matchedEntities, missingEntities, invalidEntities
+   * and remainingCandidates (candidates not used by the state)
+   */
+  async computeStateEntities(state, candidates, matchedEntities, previousQuestionEntity) {
+    const stateEntities = state.entities || {};
+    const names = Object.keys(stateEntities);
+    const {
+      matchedEntities: newMatchedEntities,
+      missingEntities,
+      invalidEntities,
+    } = await this.computeEntities(
+      candidates,
+      stateEntities,
+      _.pick(matchedEntities, names),
+      names.includes(previousQuestionEntity) ? previousQuestionEntity : undefined,
+    );
+    const usedCandidates = _.flatMap(names, name => _.castArray(newMatchedEntities[name]))
+      .filter(entity => candidates.includes(entity));
+    const remainingCandidates = usedCandidates.reduce(filterIntersectingEntities, candidates);
+    return {
+      matchedEntities: { ...matchedEntities, ...newMatchedEntities },
+      missingEntities,
+      invalidEntities,
+      remainingCandidates,
+    };
+  }
+
+  /**
+   * Executes the dialog.
+   * Runs the flow from the current state until a state needs entities
+   * or a terminal state is reached.
+   * @async
+   * @param {Object} userMessage - the user message
+   * @param {Object} data - the data
+   * @returns {Promise.<Object>} an action
+   */
+  async execute(userMessage, data) {
+    logger.debug('execute', userMessage, data);
+    const { flow, namespace } = this.parameters;
+    const userId = userMessage.user;
+    const dialogCache = (await this.brain.conversationGet(userId, namespace)) || {};
+    let stateName = dialogCache._state || flow.start;
+    let matchedEntities = dialogCache._entities || {};
+    let previousQuestionEntity = dialogCache._question;
+    let candidates = data.messageEntities || [];
+    let missingEntities = new Map();
+    let invalidEntities = {};
+    // visited states with the entities matched at that time, to detect loops
+    const visits = [];
+    for (;;) {
+      const visit = `${stateName}:${Object.keys(matchedEntities).sort().join(',')}`;
+      if (visits.includes(visit)) {
+        throw new DialogError({
+          name: this.name,
+          message: `The flow of '${this.name}' loops on state '${stateName}' without prompting the user`,
+        });
+      }
+      visits.push(visit);
+      const state = flow.states[stateName];
+      if (state.action) {
+        break;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const stateResult = await this.computeStateEntities(
+        state,
+        candidates,
+        matchedEntities,
+        previousQuestionEntity,
+      );
+      ({ matchedEntities, missingEntities } = stateResult);
+      invalidEntities = { ...invalidEntities, ...stateResult.invalidEntities };
+      candidates = stateResult.remainingCandidates;
+      if (missingEntities.size > 0) {
+        break;
+      }
+      const transition = this.getTransition(state, matchedEntities);
+      if (!transition) {
+        // unexpected values, prompt the entities of the state again
+        logger.debug('execute: no transition from state', stateName);
+        matchedEntities = _.omit(matchedEntities, Object.keys(state.entities || {}));
+        missingEntities = this.sortMissingEntities(
+          this.updateEntityWithDefaultValues(state.entities || {}),
+        );
+        break;
+      }
+      matchedEntities = _.omit(matchedEntities, transition.reset || []);
+      previousQuestionEntity = undefined;
+      stateName = transition.to;
+    }
+    const state = flow.states[stateName];
+    logger.debug('execute', { stateName, missingEntities, matchedEntities });
+    // save the flow state in the brain, a terminal state restarts the flow
+    await this.brain.conversationSet(
+      userId,
+      namespace,
+      state.action
+        ? {}
+        : {
+          _state: stateName,
+          _entities: matchedEntities,
+          _question: missingEntities.size > 0 ? missingEntities.keys().next().value : undefined,
+        },
+    );
+    data = {
+      ...data,
+      state: stateName,
+      text: state.text,
+      missingEntities,
+      matchedEntities,
+      invalidEntities,
+    };
+    const extraData = await this.dialogWillDisplay(userMessage, data);
+    data = this.mergeData(extraData, data);
+    const botMessages = await this.display(userMessage, data);
+    const action = await this.dialogWillComplete(userMessage, data);
+    return {
+      action,
+      botMessages,
+    };
+  }
+
+  /** @inheritDoc */
+  async dialogWillComplete(userMessage, data) {
+    logger.debug('dialogWillComplete', userMessage, data);
+    const state = this.parameters.flow.states[data.state];
+    switch (state.action) {
+      case 'complete':
+        return this.complete();
+      case 'next':
+        return this.triggerNext(state.dialog);
+      case 'new_conversation':
+        return this.startNewConversation(state.dialog);
+      case 'return':
+        return this.returnResult(data.matchedEntities);
+      default:
+        return this.wait();
+    }
+  }
+}
+
+module.exports = FlowDialog;
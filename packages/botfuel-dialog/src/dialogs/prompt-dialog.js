@@ -17,6 +17,7 @@
 const _ = require('lodash');
 const logger = require('logtown')('PromptDialog');
 const { filterIntersectingEntities } = require('../utils/entities');
+const { verifyDialogData } = require('../utils/postback-signature');
 const Dialog = require('./dialog');
 
 /**
@@ -33,8 +34,21 @@ const Dialog = require('./dialog');
  *             when to stop (true) or continue (false)
  *         reducer: Function that determines what to do each time a raw entity
  *             matches with an entity parameter: replace the previously matched entity, append it...
+ *         validate: Function returning an error key (a String) when a matched value is
+ *             rejected, or a falsy value when it is accepted
+ *         maxRetries: Number of times a rejected entity is prompted again
+ *             before escalating (unlimited by default)
+ *         requiredIf: Function of the matched entities returning whether
+ *             the entity is required, an entity which is not required is cleared
+ *         dependsOn: names of the entities to prompt before this one
  *     }
  * ```
+ *   - an optional escalationDialog String, the dialog triggered when the retries are exhausted
+ *   - an optional review Boolean, when true the dialog displays a summary of the matched
+ *     entities once they are all fulfilled, and completes only when the user confirms it.
+ *     The summary postbacks have a data.review property: { action: 'edit', entity: String }
+ *     to prompt an entity again, or { action: 'confirm' }.
+ *     When the postbacks are signed, only the review actions of signed postbacks are applied.
  * @extends Dialog
  */
 class PromptDialog extends Dialog {
@@ -46,6 +60,34 @@ class PromptDialog extends Dialog {
    */
   constructor(bot, parameters) {
     super(bot, { reentrant: true }, parameters);
+    this.postbacks = bot.config.postbacks;
+  }
+
+  /**
+   * Gets the review action of the dialog data.
+   * When the postbacks are signed, the review action is applied only if it is the one
+   * of the postback of the user message and this postback has a valid signature.
+   * @param {Object} userMessage - the user message
+   * @param {Object} data - the data
+   * @returns {Object} the review action, an empty object when there is none
+   */
+  getReviewAction(userMessage, data) {
+    if (!this.parameters.review || !data.review) {
+      return {};
+    }
+    if (!this.postbacks.secret) {
+      return data.review;
+    }
+    const dialogData = userMessage.type === 'postback' ? userMessage.payload.value : null;
+    if (
+      !dialogData ||
+      !_.isEqual(dialogData.data.review, data.review) ||
+      verifyDialogData(dialogData, userMessage.user, this.postbacks)
+    ) {
+      logger.warn('getReviewAction: ignoring an unsigned review action', userMessage.user);
+      return {};
+    }
+    return data.review;
   }
 
   /**
@@ -130,14 +172,38 @@ class PromptDialog extends Dialog {
           // Because we need to to be able to override them but we want unfulfilled parameters
           // to have priority over them
           priority: entity.priority || 0,
+          // If the validate function is not defined, all values are accepted
+          validate: entity.validate || (() => null),
+          maxRetries: entity.maxRetries == null ? Infinity : entity.maxRetries,
+          // If the requiredIf function is not defined, the entity is always required
+          requiredIf: entity.requiredIf || (() => true),
+          dependsOn: _.castArray(entity.dependsOn || []),
         },
       };
     }, {});
   }
 
+  /**
+   * Checks whether some dependencies of an entity are not fulfilled.
+   * @param {Object} entity - the entity
+   * @param {Object} matchedEntities - map of matched entities
+   * @param {Object} expectedEntities - map of entities expected by the dialog
+   * @returns {Boolean} true if a dependency is not fulfilled
+   */
+  hasUnfulfilledDependencies(entity, matchedEntities, expectedEntities) {
+    return (entity.dependsOn || [])
+      .filter(name => !!expectedEntities[name])
+      .some(name => !expectedEntities[name].isFulfilled(matchedEntities[name], {
+        dialogEntities: matchedEntities,
+        dialogParameters: this.parameters,
+      }));
+  }
+
   /**
    * Sort expected entities by:
-   * - isFulfilled descending (unfulfilled first)
+   * - required first
+   * - then isFulfilled descending (unfulfilled first)
+   * - then entities whose dependencies are fulfilled first
    * - then priority descending (highest priority first)
    * @param {Object} matchedEntities - map of matched entities
    * @param {Object} expectedEntities - map of entities expected by the dialog: {
@@ -157,6 +223,11 @@ class PromptDialog extends Dialog {
       const entityB = expectedEntities[nameB];
       const priorityA = entityA.priority;
       const priorityB = entityB.priority;
+      const isRequiredA = entityA.requiredIf(matchedEntities) ? 0 : 1;
+      const isRequiredB = entityB.requiredIf(matchedEntities) ? 0 : 1;
+      if (isRequiredA !== isRequiredB) {
+        return isRequiredA - isRequiredB;
+      }
       const isFulfilledA = entityA.isFulfilled(matchedEntities[nameA], {
         dialogEntities: matchedEntities,
         dialogParameters: this.parameters,
@@ -172,6 +243,15 @@ class PromptDialog extends Dialog {
       if (isFulfilledB !== isFulfilledA) {
         return isFulfilledB - isFulfilledA;
       }
+      const isBlockedA = this.hasUnfulfilledDependencies(entityA, matchedEntities, expectedEntities)
+        ? 1
+        : 0;
+      const isBlockedB = this.hasUnfulfilledDependencies(entityB, matchedEntities, expectedEntities)
+        ? 1
+        : 0;
+      if (isBlockedA !== isBlockedB) {
+        return isBlockedA - isBlockedB;
+      }
 
       if (priorityA === priorityB && previousQuestionEntity) {
         if (previousQuestionEntity === nameA) {
@@ -205,7 +285,8 @@ class PromptDialog extends Dialog {
    *   <entityName>: <messageEntity>
    * }
    * @param {String} previousQuestionEntity - previous question entity
-   * @returns {Object} object containing missingEntities and matchedEntities
+   * @returns {Object} object containing missingEntities, matchedEntities
+   * and invalidEntities (map of the rejected entities: { value, error })
    */
   async computeEntities(
     candidates,
@@ -231,15 +312,17 @@ class PromptDialog extends Dialog {
 
     let missingEntities = dialogEntities;
     let matchedEntities = previouslyMatchedEntities;
+    let invalidEntities = {};
     let remainingCandidates = candidates;
 
     for (const name of sortedDialogEntityNames) {
       const entity = dialogEntities[name];
       const initialValue = previouslyMatchedEntities[name];
       const {
-        newValue,
+        newValue: candidateValue,
         remainingCandidates: newRemainingCandidates,
       } = this.matchEntityWithCandidates(entity, remainingCandidates, initialValue);
+      let newValue = candidateValue;
       logger.debug('computeEntities: after matchParameterWithCandidates', {
         name,
         newValue,
@@ -248,6 +331,19 @@ class PromptDialog extends Dialog {
 
       remainingCandidates = newRemainingCandidates;
 
+      if (newValue && newValue !== initialValue) {
+        // eslint-disable-next-line no-await-in-loop
+        const error = await entity.validate(newValue, {
+          dialogEntities: matchedEntities,
+          dialogParameters: this.parameters,
+        });
+        if (error) {
+          // keep the previous value and report the rejected one
+          invalidEntities = { ...invalidEntities, [name]: { value: newValue, error } };
+          newValue = initialValue;
+        }
+      }
+
       if (newValue) {
         matchedEntities = { ...matchedEntities, [name]: newValue };
       }
@@ -263,14 +359,48 @@ class PromptDialog extends Dialog {
       missingEntities = isFulfilled ? _.omit(missingEntities, [name]) : missingEntities;
     }
 
+    // Clear the matched entities which are not required anymore,
+    // until clearing an entity does not change the condition of another one
+    let clearedNames;
+    do {
+      const currentMatchedEntities = matchedEntities;
+      clearedNames = Object.keys(currentMatchedEntities).filter(name =>
+        dialogEntities[name] && !dialogEntities[name].requiredIf(currentMatchedEntities));
+      matchedEntities = _.omit(matchedEntities, clearedNames);
+    } while (clearedNames.length > 0);
+    missingEntities = _.pickBy(missingEntities, entity => entity.requiredIf(matchedEntities));
+    // keep the order of the dialog entities, for summaries
+    matchedEntities = _.pick(matchedEntities, Object.keys(dialogEntities));
+
     // transform missingEntities to a Map, ordered by priority
     missingEntities = this.sortMissingEntities(missingEntities);
 
-    return { matchedEntities, missingEntities };
+    return { matchedEntities, missingEntities, invalidEntities };
   }
 
   /**
-   * Compute sorted missing entities as a Map, ordered by priority
+   * Counts the successive rejections of each entity.
+   * The count of an entity is reset once the entity is fulfilled.
+   * @param {Object} previousRetries - map of the previous counts
+   * @param {Object} invalidEntities - map of the entities rejected in this message
+   * @param {Map} missingEntities - map of missing entities
+   * @returns {Object} map of the counts
+   */
+  countRetries(previousRetries, invalidEntities, missingEntities) {
+    return Object.keys({ ...previousRetries, ...invalidEntities }).reduce((retries, name) => {
+      if (invalidEntities[name]) {
+        return { ...retries, [name]: (previousRetries[name] || 0) + 1 };
+      }
+      if (missingEntities.has(name)) {
+        return { ...retries, [name]: previousRetries[name] };
+      }
+      return retries;
+    }, {});
+  }
+
+  /**
+   * Compute sorted missing entities as a Map, ordered by priority,
+   * an entity comes after the missing entities it depends on
    * @param {Object} missingEntities - missing entities
    * @returns {Object} map of missing entities with key sorted
    */
@@ -278,9 +408,18 @@ class PromptDialog extends Dialog {
     if (Object.keys(missingEntities).length === 0) {
       return new Map();
     }
-    const sortedNames = Object.keys(missingEntities).sort(
+    const namesByPriority = Object.keys(missingEntities).sort(
       (a, b) => missingEntities[b].priority - missingEntities[a].priority,
     );
+    const sortedNames = [];
+    while (sortedNames.length < namesByPriority.length) {
+      const pendingNames = _.difference(namesByPriority, sortedNames);
+      // in case of circular dependencies, fall back to the priority order
+      const nextName = pendingNames.find(name =>
+        _.intersection(missingEntities[name].dependsOn || [], pendingNames).length === 0)
+        || pendingNames[0];
+      sortedNames.push(nextName);
+    }
     return new Map(sortedNames.map(name => [name, missingEntities[name]]));
   }
 
@@ -299,35 +438,81 @@ class PromptDialog extends Dialog {
     const dialogCache = await this.brain.conversationGet(userId, this.parameters.namespace);
     const previouslyMatchedEntities = (dialogCache && dialogCache._entities) || {};
     const previousQuestionEntity = (dialogCache && dialogCache._question) || undefined;
+    const previousRetries = (dialogCache && dialogCache._retries) || {};
+    const reviewAction = this.getReviewAction(userMessage, data);
+    // the dialog data is kept for the next turns, where the review action does not apply
+    delete data.review;
     logger.debug('execute: previouslyMatchedEntities', previouslyMatchedEntities);
     // Get missing entities and matched entities
-    const { missingEntities, matchedEntities } = await this.computeEntities(
+    const { missingEntities, matchedEntities, invalidEntities } = await this.computeEntities(
       messageEntities,
       this.parameters.entities,
-      previouslyMatchedEntities,
-      previousQuestionEntity,
+      // editing an entity clears it so that it is prompted again
+      reviewAction.action === 'edit'
+        ? _.omit(previouslyMatchedEntities, [reviewAction.entity])
+        : previouslyMatchedEntities,
+      reviewAction.action === 'edit' ? reviewAction.entity : previousQuestionEntity,
     );
-    logger.debug('execute', { missingEntities, matchedEntities });
-    // save matched entities and next question in the brain
+    logger.debug('execute', { missingEntities, matchedEntities, invalidEntities });
+    const dialogEntities = this.updateEntityWithDefaultValues(this.parameters.entities);
+    const retries = this.countRetries(previousRetries, invalidEntities, missingEntities);
+    const exhaustedEntities = Object.keys(invalidEntities)
+      .filter(name => retries[name] > dialogEntities[name].maxRetries);
+    // save matched entities, next question and retries in the brain
     await this.brain.conversationSet(userId, this.parameters.namespace, {
       _entities: matchedEntities,
       _question: missingEntities.size > 0 ? missingEntities.keys().next().value : undefined,
+      _retries: _.omit(retries, exhaustedEntities),
     });
-    data = { ...data, missingEntities, matchedEntities };
+    data = {
+      ...data,
+      missingEntities,
+      matchedEntities,
+      invalidEntities,
+      exhaustedEntities,
+      reviewing: !!this.parameters.review
+        && missingEntities.size === 0
+        && reviewAction.action !== 'confirm',
+      dialogName: this.name,
+    };
     const extraData = await this.dialogWillDisplay(userMessage, data);
     data = this.mergeData(extraData, data);
-    const botMessages = await this.display(userMessage, data);
-    const action = await this.dialogWillComplete(userMessage, data);
+    const isEscalating = exhaustedEntities.length > 0;
+    const action = isEscalating
+      ? await this.dialogWillEscalate(userMessage, data)
+      : await this.dialogWillComplete(userMessage, data);
+    // the escalation dialog takes over, the rejected entity is not prompted again
+    const botMessages = isEscalating && action.name === Dialog.ACTION_NEXT
+      ? []
+      : await this.display(userMessage, data);
     return {
       action,
       botMessages,
     };
   }
 
+  /**
+   * Hook to be overridden to escalate when an entity was rejected too many times.
+   * By default, triggers the escalation dialog if any, otherwise completes the dialog.
+   * @async
+   * @param {Object} userMessage - the user message
+   * @param {Object} data - the data passed to the view,
+   * data.exhaustedEntities contains the names of the entities rejected too many times
+   * @returns {Promise.<Object>} an action
+   */
+  async dialogWillEscalate(userMessage, data) {
+    logger.debug('dialogWillEscalate', userMessage, data);
+    const { escalationDialog } = this.parameters;
+    if (escalationDialog) {
+      return this.triggerNext(escalationDialog, { invalidEntities: data.invalidEntities });
+    }
+    return this.complete();
+  }
+
   /** @inheritDoc */
   async dialogWillComplete(userMessage, data) {
     logger.debug('dialogWillComplete', userMessage, data);
-    if (data.missingEntities.size === 0) {
+    if (data.missingEntities.size === 0 && !data.reviewing) {
       return this.complete();
     }
     return this.wait();
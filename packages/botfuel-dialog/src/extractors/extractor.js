@@ -23,9 +23,11 @@ class Extractor {
   /**
    * @constructor
    * @param {Object} parameters - the extractor parameters
+   * @param {NluFixtures} [fixtures] - the nlu fixtures, if any
    */
-  constructor(parameters) {
+  constructor(parameters, fixtures = null) {
     this.parameters = parameters;
+    this.fixtures = fixtures;
   }
 
   /**
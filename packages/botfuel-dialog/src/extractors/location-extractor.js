@@ -35,8 +35,9 @@ class LocationExtractor extends RegexExtractor {
   /** @inheritDoc */
   buildValue(value) {
     logger.debug('buildValue', value);
-    const coordinates = value[0].split(',');
-    return { value: { lat: coordinates[0], long: coordinates[1].trim() }, type: 'coordinates' };
+    // the coordinates are numbers, like the ones of the locations shared by the user
+    const [lat, long] = value[0].split(',').map(Number);
+    return { value: { lat, long }, type: 'coordinates' };
   }
 }
 
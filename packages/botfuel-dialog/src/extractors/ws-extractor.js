@@ -20,6 +20,8 @@ const { clone, extend } = require('lodash');
 const logger = require('logtown')('WsExtractor');
 const AuthenticationError = require('../errors/authentication-error');
 const MissingCredentialsError = require('../errors/missing-credentials-error');
+const MissingFixtureError = require('../errors/missing-fixture-error');
+const NluFixtures = require('../nlus/nlu-fixtures');
 const Extractor = require('./extractor');
 const urlJoin = require('url-join');
 
@@ -38,10 +40,13 @@ class WsExtractor extends Extractor {
   /**
    * @constructor
    * @param {Object} parameters - the extractor parameters
+   * @param {NluFixtures} [fixtures] - the nlu fixtures, if any
    */
-  constructor(parameters) {
-    super(parameters);
-    if (!process.env.BOTFUEL_APP_ID || !process.env.BOTFUEL_APP_KEY) {
+  constructor(parameters, fixtures = null) {
+    super(parameters, fixtures);
+    // the recorded responses are replayed without the service
+    const replaying = !!fixtures && fixtures.mode === NluFixtures.MODE_REPLAY;
+    if (!replaying && (!process.env.BOTFUEL_APP_ID || !process.env.BOTFUEL_APP_KEY)) {
       throw new MissingCredentialsError(
         'BOTFUEL_APP_ID and BOTFUEL_APP_KEY are required for using the entity extraction service.',
       );
@@ -95,13 +100,18 @@ class WsExtractor extends Extractor {
   async retryComputeRequest(requestOptions, retries = 3) {
     logger.debug('retryComputeRequest', requestOptions, retries);
     try {
-      const entities = await rp(requestOptions);
+      const entities = this.fixtures
+        ? await this.fixtures.request('entity-extraction', requestOptions)
+        : await rp(requestOptions);
       return entities.map(entity => ({
         ...entity,
         start: entity.start,
         end: entity.end,
       }));
     } catch (error) {
+      if (error instanceof MissingFixtureError) {
+        throw error;
+      }
       logger.error('Could not extract the entities!');
       if (error.statusCode === 403) {
         throw new AuthenticationError();
@@ -16,6 +16,8 @@
 
 const ActionsMessage = require('./messages/actions-message');
 const Adapter = require('./adapters/adapter');
+const AgentTextMessage = require('./messages/agent-text-message');
+const BackDialog = require('./dialogs/back-dialog');
 const BaseDialog = require('./dialogs/base-dialog');
 const Bot = require('./bot');
 const BotImageMessage = require('./messages/bot-image-message');
@@ -36,7 +38,10 @@ const Dialog = require('./dialogs/dialog');
 const DialogManager = require('./dialog-manager');
 const Extractor = require('./extractors/extractor');
 const FileCorpus = require('./corpora/file-corpus');
+const FlowDialog = require('./dialogs/flow-dialog');
+const FlowView = require('./views/flow-view');
 const Link = require('./messages/link');
+const LocalNlu = require('./nlus/local-nlu');
 const Logger = require('logtown'); // eslint-disable-line
 const MemoryBrain = require('./brains/memory-brain');
 const Message = require('./messages/message');
@@ -49,20 +54,29 @@ const PromptDialog = require('./dialogs/prompt-dialog');
 const PromptView = require('./views/prompt-view');
 const QnasView = require('./views/qnas-view');
 const QuickrepliesMessage = require('./messages/quickreplies-message');
+const Quickreply = require('./messages/quickreply');
 const RegexExtractor = require('./extractors/regex-extractor');
+const RestAdapter = require('./adapters/rest-adapter');
+const ScenarioRunner = require('./scenario-runner');
+const Scheduler = require('./scheduler');
 const SdkError = require('./errors/sdk-error');
 const ShellAdapter = require('./adapters/shell-adapter');
 const TestAdapter = require('./adapters/test-adapter');
+const UserEventMessage = require('./messages/user-event-message');
 const UserImageMessage = require('./messages/user-image-message');
+const UserLocationMessage = require('./messages/user-location-message');
 const UserFileMessage = require('./messages/user-file-message');
 const UserTextMessage = require('./messages/user-text-message');
 const View = require('./views/view');
 const WebAdapter = require('./adapters/web-adapter');
+const WebSocketAdapter = require('./adapters/websocket-adapter');
 const WsExtractor = require('./extractors/ws-extractor');
 
 module.exports = {
   ActionsMessage,
   Adapter,
+  AgentTextMessage,
+  BackDialog,
   BaseDialog,
   Bot,
   BotImageMessage,
@@ -83,7 +97,10 @@ module.exports = {
   DialogManager,
   Extractor,
   FileCorpus,
+  FlowDialog,
+  FlowView,
   Link,
+  LocalNlu,
   Logger: Logger.getLogger,
   MemoryBrain,
   Message,
@@ -96,14 +113,21 @@ module.exports = {
   PromptView,
   QnasView,
   QuickrepliesMessage,
+  Quickreply,
   RegexExtractor,
+  RestAdapter,
+  ScenarioRunner,
+  Scheduler,
   SdkError,
   ShellAdapter,
   TestAdapter,
+  UserEventMessage,
   UserImageMessage,
+  UserLocationMessage,
   UserTextMessage,
   UserFileMessage,
   View,
   WebAdapter,
+  WebSocketAdapter,
   WsExtractor,
 };
@@ -19,7 +19,7 @@ const Message = require('./message');
 
 /**
  * A table message sent by the bot to the user.
- * Only supported with botfuel-adapter
+ * It is sent as text by the adapters which do not support tables.
  * @extends Message
  */
 class BotTableMessage extends Message {
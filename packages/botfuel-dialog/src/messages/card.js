@@ -20,36 +20,63 @@ const Part = require('./part');
 
 /**
  * A card part.
+ * Its json is channel neutral, the adapters translate it to the format of their platform:
+ * {
+ *   title: String,
+ *   subtitle: String (optional),
+ *   imageUrls: String[],
+ *   actions: Object[],
+ *   defaultAction: Object (optional), the action triggered when the card is tapped
+ * }
  */
 class Card extends Part {
   /**
    * @constructor
    * @param {String} title - the title
-   * @param {String} imageUrl - the image url
+   * @param {String|String[]} imageUrl - the image url or the image urls
    * @param {Object[]} actions - an array of actions
+   * @param {Object} [options] - the card options
+   * @param {String} [options.subtitle] - the subtitle
+   * @param {Object} [options.defaultAction] - the action triggered when the card is tapped
    */
-  constructor(title, imageUrl, actions) {
+  constructor(title, imageUrl, actions, options = {}) {
     super();
     this.title = title;
-    this.imageUrl = imageUrl;
+    this.imageUrls = [].concat(imageUrl);
     this.actions = actions;
+    this.subtitle = options.subtitle;
+    this.defaultAction = options.defaultAction;
   }
 
   /** @inheritDoc */
   toJson() {
-    // TODO : this is very Messenger specific, let's generalize it!
-    return {
+    const json = {
       title: this.title,
-      image_url: this.imageUrl,
-      buttons: this.actions.map(action => action.toJson()),
+      imageUrls: this.imageUrls,
+      actions: this.actions.map(action => action.toJson()),
     };
+    if (this.subtitle) {
+      json.subtitle = this.subtitle;
+    }
+    if (this.defaultAction) {
+      json.defaultAction = this.defaultAction.toJson();
+    }
+    return json;
   }
 
   /** @inheritDoc */
   validate() {
     this.validateString('card', this.title);
-    this.validateUrl('card', this.imageUrl);
+    for (const imageUrl of this.imageUrls) {
+      this.validateUrl('card', imageUrl);
+    }
     this.validateActions('card', this.actions);
+    if (this.subtitle !== undefined) {
+      this.validateString('card', this.subtitle);
+    }
+    if (this.defaultAction !== undefined) {
+      this.validateActions('card', [this.defaultAction]);
+    }
   }
 
   /**
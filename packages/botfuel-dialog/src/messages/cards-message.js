@@ -18,8 +18,11 @@ const MessageError = require('../errors/message-error');
 const Card = require('./card');
 const Message = require('./message');
 
+const LAYOUTS = ['carousel', 'list'];
+
 /**
  * A message containing cards.
+ * The layout option is a hint for the adapters: 'carousel' (by default) or 'list'.
  * @extends Message
  */
 class CardsMessage extends Message {
@@ -37,6 +40,12 @@ class CardsMessage extends Message {
   validate() {
     super.validate();
     this.validateArray('cards', this.value);
+    if (this.options && this.options.layout && !LAYOUTS.includes(this.options.layout)) {
+      throw new MessageError({
+        name: 'cards',
+        message: `Layout '${this.options.layout}' should be one of ${LAYOUTS.join(', ')}`,
+      });
+    }
     for (const card of this.value) {
       if (card instanceof Card) {
         card.validate();
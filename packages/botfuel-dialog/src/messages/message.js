@@ -42,7 +42,7 @@ class Message extends ValidObject {
   /**
    * @constructor
    * @param type - the message type
-   * @param sender - the message sender, the bot or the user
+   * @param sender - the message sender, the bot, the user or an agent
    * @param value - the message value
    * @param options - the message options
    */
@@ -16,22 +16,26 @@
 
 // @flow
 
+import type { QuickreplyJson } from './quickreply';
+
 const Message = require('./message');
+const Quickreply = require('./quickreply');
 
 /**
- * A message containing quick replies.
+ * A message containing quick replies,
+ * given as texts or as {@link Quickreply} parts.
  * @extends Message
  */
 class QuickrepliesMessage extends Message {
-  value: string[];
+  value: Array<string | Quickreply>;
 
   /**
    * @constructor
-   * @param texts - the array of texts
+   * @param quickreplies - the array of texts or quick replies
    * @param options - the message options
    */
-  constructor(texts: string[], options?: {}) {
-    super('quickreplies', 'bot', texts, options);
+  constructor(quickreplies: Array<string | Quickreply>, options?: {}) {
+    super('quickreplies', 'bot', quickreplies, options);
     this.validate();
   }
 
@@ -39,10 +43,20 @@ class QuickrepliesMessage extends Message {
   validate() {
     super.validate();
     this.validateArray(this.type, this.value);
-    for (const text of this.value) {
-      this.validateString(this.type, text);
+    for (const quickreply of this.value) {
+      if (quickreply instanceof Quickreply) {
+        quickreply.validate();
+      } else {
+        this.validateString(this.type, quickreply);
+      }
     }
   }
+
+  /** @inheritDoc */
+  valueAsJson(): Array<string | QuickreplyJson> {
+    return this.value.map(quickreply =>
+      (quickreply instanceof Quickreply ? quickreply.toJson() : quickreply));
+  }
 }
 
 module.exports = QuickrepliesMessage;
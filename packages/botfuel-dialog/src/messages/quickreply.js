@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// @flow
+
+import type { DialogData } from './../types';
+
+const Part = require('./part');
+
+export type QuickreplyJson = {
+  text: string,
+  value?: DialogData,
+  imageUrl?: string,
+};
+
+/**
+ * A quick reply, the user selects it instead of typing its text.
+ * A quick reply with a postback dialog is sent back as a postback message,
+ * so that it does not need to be classified.
+ * @extends Part
+ */
+class Quickreply extends Part {
+  text: string;
+  value: ?DialogData;
+  imageUrl: ?string;
+
+  /**
+   * @constructor
+   * @param text - the quick reply text
+   * @param dialogData - the postback dialog information, like name or entities (optional)
+   * @param imageUrl - the url of the quick reply icon (optional)
+   */
+  constructor(text: string, dialogData: ?DialogData, imageUrl: ?string) {
+    super();
+    this.text = text;
+    this.value = dialogData;
+    this.imageUrl = imageUrl;
+  }
+
+  /** @inheritDoc */
+  toJson(): QuickreplyJson {
+    const json: QuickreplyJson = { text: this.text };
+    if (this.value) {
+      json.value = this.value;
+    }
+    if (this.imageUrl) {
+      json.imageUrl = this.imageUrl;
+    }
+    return json;
+  }
+
+  /** @inheritDoc */
+  validate() {
+    this.validateString('quickreply', this.text);
+    const { value } = this;
+    if (value) {
+      this.validateString('quickreply', value.name);
+      this.validateArray('quickreply', value.data.messageEntities);
+    }
+    if (this.imageUrl) {
+      this.validateUrl('quickreply', this.imageUrl);
+    }
+  }
+}
+
+module.exports = Quickreply;
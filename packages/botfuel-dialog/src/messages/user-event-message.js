@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// @flow
+
+import type { EventData } from './../types';
+
+const Message = require('./message');
+
+/**
+ * A user message notifying an event of the messaging platform,
+ * like the start of a conversation or the closing of a webview.
+ * @extends Message
+ */
+class UserEventMessage extends Message {
+  /**
+   * @constructor
+   * @param name - the event name, for example 'conversation-started'
+   * @param data - the event data
+   * @param options - the message options
+   */
+  constructor(name: string, data?: Object = {}, options?: Object) {
+    const eventData: EventData = { name, data };
+    super('event', 'user', eventData, options);
+    this.validate();
+  }
+
+  /** @inheritDoc */
+  validate() {
+    super.validate();
+    this.validateString(this.type, this.value.name);
+  }
+}
+
+module.exports = UserEventMessage;
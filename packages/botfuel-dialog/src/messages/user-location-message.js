@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// @flow
+
+import type { Location } from './../types';
+
+const Message = require('./message');
+
+/**
+ * A user message containing a location, shared from a map for example.
+ * @extends Message
+ */
+class UserLocationMessage extends Message {
+  /**
+   * @constructor
+   * @param location - the location: its latitude and longitude, an optional title and address
+   * @param options - the message options
+   */
+  constructor(location: Location, options?: Object) {
+    super('location', 'user', location, options);
+    this.validate();
+  }
+
+  /** @inheritDoc */
+  validate() {
+    super.validate();
+    this.validateLocation(this.type, this.value);
+    if (this.value.title !== undefined) {
+      this.validateString(this.type, this.value.title);
+    }
+    if (this.value.address !== undefined) {
+      this.validateString(this.type, this.value.address);
+    }
+  }
+}
+
+module.exports = UserLocationMessage;
@@ -72,6 +72,22 @@ class ValidObject {
       });
     }
   }
+
+  /**
+   * Validate that a value is a location, with a latitude and a longitude in degrees
+   * @param name - the type of the object being validated
+   * @param value - the value being validated
+   */
+  validateLocation(name: string, value: any): void {
+    const isCoordinate = (coordinate, max) =>
+      typeof coordinate === 'number' && Math.abs(coordinate) <= max;
+    if (!value || !isCoordinate(value.lat, 90) || !isCoordinate(value.long, 180)) {
+      throw new MessageError({
+        name,
+        message: `'${JSON.stringify(value)}' should be a location`,
+      });
+    }
+  }
 }
 
 module.exports = ValidObject;
@@ -0,0 +1,259 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+// @flow
+
+const logger = require('logtown')('Metrics');
+const Brain = require('./brains/brain');
+const SdkError = require('./errors/sdk-error');
+const { MESSAGE_TYPES } = require('./utils/fallbacks');
+
+export type MetricLabels = { [name: string]: string };
+
+type MetricDefinition = {
+  type: 'counter' | 'histogram',
+  help: string,
+  // the known values of the labels coming from the clients, the other values are 'unknown'
+  labelValues?: { [name: string]: string[] },
+};
+
+type Sample = {
+  labels: MetricLabels,
+  value: number,
+  // histograms only: the cumulative counts of the buckets and the sum of the observations
+  bucketCounts?: number[],
+  sum?: number,
+};
+
+const USER_MESSAGE_TYPES = ['text', 'postback', 'image', 'file', 'location', 'event'];
+
+// the histogram buckets in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const DEFINITIONS: { [name: string]: MetricDefinition } = {
+  botfuel_messages_received_total: {
+    type: 'counter',
+    help: 'User messages received, by type.',
+    labelValues: { type: USER_MESSAGE_TYPES },
+  },
+  botfuel_messages_sent_total: {
+    type: 'counter',
+    help: 'Bot messages sent, by type.',
+    labelValues: { type: MESSAGE_TYPES },
+  },
+  botfuel_intents_classified_total: {
+    type: 'counter',
+    help: 'Intents and qnas classified by the NLU, by name.',
+  },
+  botfuel_dialogs_executed_total: {
+    type: 'counter',
+    help: 'Dialogs executed, by name.',
+  },
+  botfuel_catch_dialog_total: {
+    type: 'counter',
+    help: 'Turns failing with an error handled by the catch dialog, by error.',
+  },
+  botfuel_turn_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of the turns, by user message type.',
+    labelValues: { type: USER_MESSAGE_TYPES },
+  },
+  botfuel_nlu_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of the NLU computations, by operation.',
+  },
+  botfuel_brain_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of the brain operations, by operation.',
+  },
+};
+
+// the brain methods which are not timed: the initialization, the synchronous helpers
+// and runTurn whose duration is the one of the turn
+const UNTIMED_BRAIN_METHODS = [
+  'constructor',
+  'init',
+  'clean',
+  'runTurn',
+  'getUserInitValue',
+  'getConversationInitValue',
+  'isConversationValid',
+];
+
+// the brain operations timed by wrapBrain, the other methods of the brain API
+const BRAIN_OPERATIONS = Object.getOwnPropertyNames(Brain.prototype)
+  .filter(name => !UNTIMED_BRAIN_METHODS.includes(name));
+
+const escapeLabelValue = (value: mixed): string =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Replaces the values of the labels which are not among the known ones by 'unknown',
+ * so that the clients can not create any number of samples.
+ */
+const normalizeLabels = (definition: MetricDefinition, labels: MetricLabels): MetricLabels => {
+  const { labelValues } = definition;
+  if (!labelValues) {
+    return labels;
+  }
+  const normalizedLabels = { ...labels };
+  for (const name of Object.keys(labelValues)) {
+    if (name in labels && !labelValues[name].includes(labels[name])) {
+      normalizedLabels[name] = 'unknown';
+    }
+  }
+  return normalizedLabels;
+};
+
+const formatLabels = (labels: MetricLabels): string => {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+};
+
+/**
+ * The metrics of a bot: counters and histograms, rendered in the Prometheus text format
+ * by the /metrics route of the {@link WebAdapter}.
+ */
+class Metrics {
+  samples: { [name: string]: { [key: string]: Sample } };
+
+  constructor() {
+    this.samples = {};
+    for (const name of Object.keys(DEFINITIONS)) {
+      this.samples[name] = {};
+    }
+  }
+
+  /**
+   * Gets the sample of a metric for some labels, creating it if necessary.
+   * @private
+   */
+  getSample(name: string, sampleLabels: MetricLabels, type: string): Sample {
+    const definition = DEFINITIONS[name];
+    if (!definition || definition.type !== type) {
+      throw new SdkError(`Unknown ${type} ${name}`);
+    }
+    const labels = normalizeLabels(definition, sampleLabels);
+    const key = JSON.stringify(Object.keys(labels).sort().map(label => [label, labels[label]]));
+    if (!this.samples[name][key]) {
+      this.samples[name][key] = type === 'histogram'
+        ? { labels, value: 0, bucketCounts: BUCKETS.map(() => 0), sum: 0 }
+        : { labels, value: 0 };
+    }
+    return this.samples[name][key];
+  }
+
+  /**
+   * Increments a counter.
+   * @param name - the counter name
+   * @param labels - the labels
+   * @param value - the increment
+   */
+  increment(name: string, labels: MetricLabels = {}, value: number = 1): void {
+    this.getSample(name, labels, 'counter').value += value;
+  }
+
+  /**
+   * Observes a value in a histogram.
+   * @param name - the histogram name
+   * @param value - the value, in seconds for the durations
+   * @param labels - the labels
+   */
+  observe(name: string, value: number, labels: MetricLabels = {}): void {
+    const sample = this.getSample(name, labels, 'histogram');
+    sample.value += 1;
+    sample.sum = (sample.sum || 0) + value;
+    sample.bucketCounts = (sample.bucketCounts || []).map((count, index) =>
+      (value <= BUCKETS[index] ? count + 1 : count));
+  }
+
+  /**
+   * Observes the duration of a function in a histogram, even when the function fails.
+   * @param name - the histogram name
+   * @param labels - the labels
+   * @param fn - the async function
+   * @returns the value returned by the function
+   */
+  async time<T>(name: string, labels: MetricLabels, fn: () => Promise<T>): Promise<T> {
+    const start = process.hrtime();
+    try {
+      return await fn();
+    } finally {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      this.observe(name, seconds + (nanoseconds / 1e9), labels);
+    }
+  }
+
+  /**
+   * Wraps a brain so that its operations are timed,
+   * see the botfuel_brain_duration_seconds histogram.
+   * The brain itself is left unchanged, the calls between its own methods are not timed.
+   * @param brain - the brain
+   * @returns the wrapped brain
+   */
+  wrapBrain<T: Object>(brain: T): T {
+    logger.debug('wrapBrain');
+    return new Proxy(brain, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function' || !BRAIN_OPERATIONS.includes(property)) {
+          return value;
+        }
+        return (...args) =>
+          this.time('botfuel_brain_duration_seconds', { operation: property }, () =>
+            value.apply(target, args));
+      },
+    });
+  }
+
+  /**
+   * Renders the metrics in the Prometheus text format.
+   * @returns the metrics
+   */
+  render(): string {
+    const lines = [];
+    for (const name of Object.keys(DEFINITIONS)) {
+      const { type, help } = DEFINITIONS[name];
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const key of Object.keys(this.samples[name])) {
+        const {
+          labels, value, bucketCounts, sum,
+        } = this.samples[name][key];
+        if (type === 'histogram') {
+          BUCKETS.forEach((bucket, index) => {
+            const bucketLabels = formatLabels({ ...labels, le: `${bucket}` });
+            lines.push(`${name}_bucket${bucketLabels} ${(bucketCounts || [])[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum || 0}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${value}`);
+        } else {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = Metrics;
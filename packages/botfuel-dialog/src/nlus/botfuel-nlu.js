@@ -14,17 +14,13 @@
  * limitations under the License.
  */
 
-const fs = require('fs');
-const fsExtra = require('fs-extra');
 const rp = require('request-promise-native');
-const dir = require('node-dir');
 const logger = require('logtown')('BotfuelNlu');
-const BooleanExtractor = require('../extractors/boolean-extractor');
-const LocationExtractor = require('../extractors/location-extractor');
-const CompositeExtractor = require('../extractors/composite-extractor');
 const AuthenticationError = require('../errors/authentication-error');
+const MissingFixtureError = require('../errors/missing-fixture-error');
 const SdkError = require('../errors/sdk-error');
 const ClassificationResult = require('./classification-result');
+const NluFixtures = require('./nlu-fixtures');
 const Nlu = require('./nlu');
 const urlJoin = require('url-join');
 
@@ -44,7 +40,18 @@ class BotfuelNlu extends Nlu {
   constructor(config) {
     logger.debug('constructor', config);
     super(config);
-    this.extractor = null;
+    // the recorded responses are replayed without the services
+    if (!this.fixtures || this.fixtures.mode !== NluFixtures.MODE_REPLAY) {
+      this.checkCredentials();
+    }
+  }
+
+  /**
+   * Checks the credentials of the services.
+   * @private
+   * @returns {void}
+   */
+  checkCredentials() {
     if (!process.env.BOTFUEL_APP_TOKEN) {
       throw new SdkError('BOTFUEL_APP_TOKEN is required for using the nlu service');
     }
@@ -54,42 +61,6 @@ class BotfuelNlu extends Nlu {
     if (!process.env.BOTFUEL_APP_KEY) {
       throw new SdkError('BOTFUEL_APP_KEY is required for using the nlu service');
     }
-    if (this.config) {
-      const classificationFilterPath = `${this.config.path}/src/classification-filter.js`;
-      if (fsExtra.pathExistsSync(classificationFilterPath)) {
-        this.classificationFilter = require(classificationFilterPath);
-      }
-    }
-  }
-
-  /**
-   * Gets extractor files.
-   * @param {String} path - extractors path
-   * @returns {Array.<string>} - extractor files
-   */
-  getExtractorFiles(path) {
-    let files = [];
-    if (fs.existsSync(path)) {
-      files = dir.files(path, { sync: true }) || files;
-    }
-    return files.filter(file => file.match(/^.*.js$/));
-  }
-
-  /**
-   * Gets extractors.
-   * @param {String} path - extractors path
-   * @returns {Array.<*>} - extractor instances
-   */
-  getExtractors(path) {
-    // user extractors
-    const extractors = this.getExtractorFiles(path).map((file) => {
-      const ExtractorConstructor = require(file);
-      return new ExtractorConstructor(ExtractorConstructor.params);
-    });
-    // system extractors
-    extractors.push(new BooleanExtractor({ locale: this.config.locale }));
-    extractors.push(new LocationExtractor({}));
-    return extractors;
   }
 
   /** @inheritdoc */
@@ -97,9 +68,7 @@ class BotfuelNlu extends Nlu {
     logger.debug('init');
     super.init();
     // Extractors
-    this.extractor = new CompositeExtractor({
-      extractors: this.getExtractors(`${this.config.path}/src/extractors`),
-    });
+    this.initExtractor();
   }
 
   /** @inheritdoc */
@@ -131,12 +100,11 @@ class BotfuelNlu extends Nlu {
         },
         json: true,
       };
-      const res = await rp(options);
-      let classificationResults = res.map(data => new ClassificationResult(data));
-      if (this.classificationFilter) {
-        classificationResults = await this.classificationFilter(classificationResults, context);
-        classificationResults = classificationResults.slice(0, this.config.multiIntent ? 2 : 1);
-      }
+      const res = await this.request('classification', options);
+      const classificationResults = await this.filterClassificationResults(
+        res.map(data => new ClassificationResult(data)),
+        context,
+      );
       return { messageEntities, classificationResults };
     } catch (error) {
       logger.error('compute: error', error.statusCode);
@@ -147,6 +115,20 @@ class BotfuelNlu extends Nlu {
     }
   }
 
+  /**
+   * Sends a request to a Botfuel NLP service,
+   * or replays its recorded response when the nlu uses fixtures.
+   * @param service - the name of the service
+   * @param options - the request options
+   * @returns the response
+   */
+  async request(service, options) {
+    if (this.fixtures) {
+      return this.fixtures.request(service, options);
+    }
+    return rp({ ...options });
+  }
+
   /**
    * Spellchecks a sentence.
    * @param sentence - a sentence
@@ -179,11 +161,14 @@ class BotfuelNlu extends Nlu {
           'Botfuel-Bot-Id': process.env.BOTFUEL_APP_TOKEN,
         },
       };
-      const result = await rp({ ...options });
+      const result = await this.request('spellchecking', options);
       logger.debug('spellcheck: result', result);
       return result.correctSentence;
     } catch (error) {
       logger.error('spellchecking: error', error);
+      if (error instanceof MissingFixtureError) {
+        throw error;
+      }
       if (error.statusCode === 403) {
         throw new AuthenticationError();
       }
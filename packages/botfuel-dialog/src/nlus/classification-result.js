@@ -28,6 +28,7 @@ export type ClassificationData = {
   type: string,
   answers?: QnaAnswers,
   resolvePrompt?: string,
+  probability?: number,
 };
 
 
@@ -41,6 +42,7 @@ class ClassificationResult {
   label: ?string;
   resolvePrompt: ?string;
   answers: QnaAnswers | void;
+  score: ?number;
 
   static TYPE_QNA = 'QnA';
   static TYPE_INTENT = 'Intent';
@@ -55,6 +57,7 @@ class ClassificationResult {
     this.type = this.getType(data.type);
     this.label = data.label;
     this.resolvePrompt = data.resolvePrompt;
+    this.score = data.probability;
 
     const name = data.name || (this.isQnA() ? 'qnas' : data.label);
     if (!name) {
@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Diacritics = require('diacritics');
+const logger = require('logtown')('LocalClassifier');
+
+/**
+ * In-process intent classifier.
+ *
+ * Training sentences and classified sentences are turned into tf-idf vectors,
+ * the score of an intent is the best cosine similarity between the sentence
+ * and the training sentences of this intent.
+ */
+class LocalClassifier {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.intents = [];
+    this.examples = [];
+    this.idf = {};
+  }
+
+  /**
+   * Splits a sentence into normalized tokens.
+   * @static
+   * @param {String} sentence - the sentence
+   * @returns {String[]} the tokens
+   */
+  static tokenize(sentence) {
+    return Diacritics.remove(sentence.toLowerCase())
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 0);
+  }
+
+  /**
+   * Trains the classifier.
+   * @param {Object[]} intents - the intents, as returned by loadIntents
+   * @returns {void}
+   */
+  train(intents) {
+    logger.debug('train', intents.length);
+    this.intents = intents;
+    const tokenizedExamples = [];
+    intents.forEach((intent, index) => {
+      for (const sentence of intent.sentences) {
+        tokenizedExamples.push({ intentIndex: index, tokens: LocalClassifier.tokenize(sentence) });
+      }
+    });
+    const documentFrequencies = {};
+    for (const { tokens } of tokenizedExamples) {
+      for (const token of new Set(tokens)) {
+        documentFrequencies[token] = (documentFrequencies[token] || 0) + 1;
+      }
+    }
+    this.idf = Object.keys(documentFrequencies).reduce(
+      (idf, token) => ({
+        ...idf,
+        [token]: Math.log((1 + tokenizedExamples.length) / (1 + documentFrequencies[token])) + 1,
+      }),
+      {},
+    );
+    this.examples = tokenizedExamples.map(({ intentIndex, tokens }) => ({
+      intentIndex,
+      vector: this.vectorize(tokens),
+    }));
+  }
+
+  /**
+   * Computes the normalized tf-idf vector of some tokens.
+   * Tokens unknown at training time are ignored.
+   * @param {String[]} tokens - the tokens
+   * @returns {Object} the vector as a map token => weight
+   */
+  vectorize(tokens) {
+    const vector = {};
+    for (const token of tokens) {
+      if (this.idf[token]) {
+        vector[token] = (vector[token] || 0) + this.idf[token];
+      }
+    }
+    const norm = Math.sqrt(Object.values(vector).reduce((sum, weight) => sum + (weight ** 2), 0));
+    if (norm > 0) {
+      Object.keys(vector).forEach((token) => {
+        vector[token] /= norm;
+      });
+    }
+    return vector;
+  }
+
+  /**
+   * Classifies a sentence.
+   * @param {String} sentence - the sentence
+   * @returns {Object[]} the intents with their scores: { intent, score },
+   * sorted by descending scores, intents with a null score are omitted
+   */
+  classify(sentence) {
+    logger.debug('classify', sentence);
+    const vector = this.vectorize(LocalClassifier.tokenize(sentence));
+    const scores = this.intents.map(() => 0);
+    for (const example of this.examples) {
+      const similarity = Object.keys(vector).reduce(
+        (sum, token) => sum + (vector[token] * (example.vector[token] || 0)),
+        0,
+      );
+      scores[example.intentIndex] = Math.max(scores[example.intentIndex], similarity);
+    }
+    return this.intents
+      .map((intent, index) => ({ intent, score: scores[index] }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = LocalClassifier;
@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const logger = require('logtown')('LocalNlu');
+const ConfigurationError = require('../errors/configuration-error');
+const { findIntentsFile, loadIntents } = require('../utils/intents');
+const ClassificationResult = require('./classification-result');
+const LocalClassifier = require('./local-classifier');
+const Nlu = require('./nlu');
+
+const DEFAULT_THRESHOLD = 0.5;
+
+/**
+ * NLU running offline, it classifies sentences with a classifier
+ * trained at startup from the bot intents file.
+ *
+ * It is configured with:
+ * ```
+ * nlu: {
+ *   name: 'local',
+ *   intents: String (optional, path of the intents file relative to the bot,
+ *     defaults to intents.json, intents.csv or intents.xlsx),
+ *   threshold: Number (optional, minimum score of a classification result, defaults to 0.5),
+ *   qna: Object (optional, when set, the untyped blocks of a csv or xlsx intents file
+ *     can be QnAs in the legacy format, see parseRows),
+ * }
+ * ```
+ * @extends Nlu
+ */
+class LocalNlu extends Nlu {
+  /** @inheritdoc */
+  constructor(config) {
+    logger.debug('constructor', config);
+    super(config);
+    this.classifier = new LocalClassifier();
+  }
+
+  /**
+   * Gets the path of the intents file.
+   * @returns {String} the intents file path
+   */
+  getIntentsPath() {
+    const { intents } = this.config.nlu;
+    if (intents) {
+      return path.resolve(this.config.path, intents);
+    }
+    const intentsPath = findIntentsFile(this.config.path);
+    if (!intentsPath) {
+      throw new ConfigurationError(
+        `The local nlu requires an intents file (intents.json, intents.csv or intents.xlsx) in ${this.config.path}.`,
+      );
+    }
+    return intentsPath;
+  }
+
+  /** @inheritdoc */
+  async init() {
+    logger.debug('init');
+    await super.init();
+    this.classifier.train(loadIntents(this.getIntentsPath(), { qna: !!this.config.nlu.qna }));
+    // Extractors
+    this.initExtractor();
+  }
+
+  /**
+   * Builds the classification data of an intent, in the same format as the trainer api.
+   * @param {Object} intent - the intent
+   * @param {Number} score - the score of the intent
+   * @returns {Object} the classification data
+   */
+  getClassificationData(intent, score) {
+    const data = {
+      label: intent.label,
+      type: intent.type,
+      resolvePrompt: `${intent.label}?`,
+      probability: score,
+    };
+    if (intent.answer) {
+      data.answers = [[{ type: 'text', value: intent.answer, payload: { value: intent.answer } }]];
+    }
+    return data;
+  }
+
+  /** @inheritdoc */
+  async compute(sentence, context) {
+    logger.debug('compute', sentence); // Context is not loggable
+    // computing entities
+    const messageEntities = await this.extractor.compute(sentence);
+    // computing intents
+    const { threshold } = this.config.nlu;
+    const minScore = threshold === undefined ? DEFAULT_THRESHOLD : threshold;
+    const classificationResults = this.classifier
+      .classify(sentence)
+      .filter(({ score }) => score >= minScore)
+      .map(({ intent, score }) =>
+        new ClassificationResult(this.getClassificationData(intent, score)));
+    logger.debug('compute: classificationResults', classificationResults);
+    return {
+      messageEntities,
+      classificationResults: await this.filterClassificationResults(classificationResults, context),
+    };
+  }
+}
+
+module.exports = LocalNlu;
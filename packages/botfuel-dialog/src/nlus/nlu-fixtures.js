@@ -0,0 +1,146 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const crypto = require('crypto');
+const path = require('path');
+const fsExtra = require('fs-extra');
+const isEqual = require('lodash/isEqual');
+const kebabCase = require('lodash/kebabCase');
+const omit = require('lodash/omit');
+const rp = require('request-promise-native');
+const logger = require('logtown')('NluFixtures');
+const ConfigurationError = require('../errors/configuration-error');
+const MissingFixtureError = require('../errors/missing-fixture-error');
+
+const MODE_RECORD = 'record';
+const MODE_REPLAY = 'replay';
+
+// the query parameters which do not identify a request
+const IGNORED_PARAMETERS = ['userId'];
+
+/**
+ * Records the requests sent to the Botfuel NLP services and replays them offline.
+ *
+ * The mode is given by the environment variable BOTFUEL_NLU_FIXTURES
+ * or else by the nlu config:
+ * ```
+ * nlu: {
+ *   fixtures: 'record' | 'replay' (optional, the requests are sent to the services by default),
+ *   fixturesPath: String (optional, relative to the bot, defaults to fixtures),
+ * }
+ * ```
+ * When recording, the requests are sent to the services
+ * and their responses are saved in a json file per sentence.
+ * When replaying, the responses are read from these files and no request is sent,
+ * a request which was not recorded throws a {@link MissingFixtureError}.
+ */
+class NluFixtures {
+  static MODE_RECORD = MODE_RECORD;
+  static MODE_REPLAY = MODE_REPLAY;
+
+  /**
+   * @constructor
+   * @param {String} mode - the mode, record or replay
+   * @param {String} fixturesPath - the path of the fixtures directory
+   */
+  constructor(mode, fixturesPath) {
+    logger.debug('constructor', mode, fixturesPath);
+    if (![MODE_RECORD, MODE_REPLAY].includes(mode)) {
+      throw new ConfigurationError(
+        `Unknown nlu fixtures mode '${mode}', expected one of: ${MODE_RECORD}, ${MODE_REPLAY}.`,
+      );
+    }
+    this.mode = mode;
+    this.fixturesPath = fixturesPath;
+  }
+
+  /**
+   * Gets the fixtures of a bot.
+   * @param {Object} config - the bot config
+   * @returns {NluFixtures|null} the fixtures or null when the requests are sent to the services
+   */
+  static fromConfig(config) {
+    const nluConfig = config.nlu || {};
+    const mode = process.env.BOTFUEL_NLU_FIXTURES || nluConfig.fixtures;
+    if (!mode) {
+      return null;
+    }
+    const botPath = config.path || process.cwd();
+    return new NluFixtures(mode, path.resolve(botPath, nluConfig.fixturesPath || 'fixtures'));
+  }
+
+  /**
+   * Checks if a bot replays the fixtures, it does not need the credentials of the services then.
+   * @param {Object} config - the bot config
+   * @returns {Boolean} true if the fixtures are replayed
+   */
+  static isReplaying(config) {
+    const fixtures = NluFixtures.fromConfig(config);
+    return !!fixtures && fixtures.mode === MODE_REPLAY;
+  }
+
+  /**
+   * Gets the path of the fixture file of a sentence.
+   * @param {String} sentence - the sentence
+   * @returns {String} the file path
+   */
+  getFixtureFile(sentence) {
+    const hash = crypto
+      .createHash('md5')
+      .update(sentence)
+      .digest('hex')
+      .slice(0, 8);
+    const slug = kebabCase(sentence).slice(0, 50);
+    return path.join(this.fixturesPath, `${slug ? `${slug}-` : ''}${hash}.json`);
+  }
+
+  /**
+   * Sends a request, or replays its recorded response.
+   * @async
+   * @param {String} service - the name of the service
+   * @param {Object} options - the request options, the query parameters contain the sentence
+   * @returns {Promise.<*>} the response
+   */
+  async request(service, options) {
+    logger.debug('request', service, options.qs);
+    const { sentence } = options.qs;
+    const qs = omit(options.qs, IGNORED_PARAMETERS);
+    const fixtureFile = this.getFixtureFile(sentence);
+    const fixture = fsExtra.pathExistsSync(fixtureFile)
+      ? fsExtra.readJsonSync(fixtureFile)
+      : { sentence, requests: [] };
+    const matches = request => request.service === service && isEqual(request.qs, qs);
+    if (this.mode === MODE_REPLAY) {
+      const recordedRequest = fixture.requests.find(matches);
+      if (!recordedRequest) {
+        throw new MissingFixtureError(
+          `No recorded ${service} request for the sentence '${sentence}' in ${fixtureFile}, record it with BOTFUEL_NLU_FIXTURES=${MODE_RECORD}.`,
+        );
+      }
+      return recordedRequest.response;
+    }
+    const response = await rp(options);
+    fixture.requests = [
+      ...fixture.requests.filter(request => !matches(request)),
+      { service, qs, response },
+    ];
+    fsExtra.outputJsonSync(fixtureFile, fixture, { spaces: 2 });
+    return response;
+  }
+}
+
+module.exports = NluFixtures;
@@ -17,9 +17,10 @@
 // @flow
 
 import type { Config } from '../config';
-import type { UserMessage, MessageEntities } from '../types';
+import type { UserMessage, MessageEntities, Location } from '../types';
 import type Brain from '../brains/brain';
 import type ClassificationResult from '../nlus/classification-result';
+import type Extractor from '../extractors/extractor';
 
 
 export type ComputeContext = {
@@ -32,14 +33,36 @@ export type ComputeOutput = {
   messageEntities: MessageEntities,
 };
 
+export type ClassificationFilter = (
+  classificationResults: ClassificationResult[],
+  context: ComputeContext,
+) => Promise<ClassificationResult[]>;
+
+export type LocationLookup = (
+  location: Location,
+  context: ComputeContext,
+) => Promise<Location>;
+
+const fs = require('fs');
+const fsExtra = require('fs-extra');
+const dir = require('node-dir');
 const logger = require('logtown')('Nlu');
+const BooleanExtractor = require('../extractors/boolean-extractor');
+const LocationExtractor = require('../extractors/location-extractor');
+const CompositeExtractor = require('../extractors/composite-extractor');
 const MissingImplementationError = require('../errors/missing-implementation-error');
+const UserLocationMessage = require('../messages/user-location-message');
+const NluFixtures = require('./nlu-fixtures');
 
 /**
  * Abstract class for a Natural Language Understanding (NLU) module.
  */
 class Nlu {
   config: Config;
+  extractor: ?Extractor;
+  classificationFilter: ?ClassificationFilter;
+  locationLookup: ?LocationLookup;
+  fixtures: ?NluFixtures;
 
   /**
    * @constructor
@@ -48,6 +71,21 @@ class Nlu {
   constructor(config: Config) {
     logger.debug('constructor', config);
     this.config = config;
+    this.extractor = null;
+    this.classificationFilter = null;
+    this.locationLookup = null;
+    this.fixtures = null;
+    if (this.config) {
+      this.fixtures = NluFixtures.fromConfig(this.config);
+      const classificationFilterPath = `${this.config.path}/src/classification-filter.js`;
+      if (fsExtra.pathExistsSync(classificationFilterPath)) {
+        this.classificationFilter = require(classificationFilterPath);
+      }
+      const locationLookupPath = `${this.config.path}/src/location-lookup.js`;
+      if (fsExtra.pathExistsSync(locationLookupPath)) {
+        this.locationLookup = require(locationLookupPath);
+      }
+    }
   }
 
   /**
@@ -57,6 +95,95 @@ class Nlu {
     logger.debug('init');
   }
 
+  /**
+   * Gets extractor files.
+   * @param path - extractors path
+   * @returns extractor files
+   */
+  getExtractorFiles(path: string): string[] {
+    let files = [];
+    if (fs.existsSync(path)) {
+      files = dir.files(path, { sync: true }) || files;
+    }
+    return files.filter(file => file.match(/^.*.js$/));
+  }
+
+  /**
+   * Gets extractors.
+   * @param path - extractors path
+   * @returns extractor instances
+   */
+  getExtractors(path: string): Extractor[] {
+    // user extractors
+    const extractors = this.getExtractorFiles(path).map((file) => {
+      const ExtractorConstructor = require(file);
+      // extractors calling a web service record and replay their requests like the nlu
+      return new ExtractorConstructor(ExtractorConstructor.params, this.fixtures);
+    });
+    // system extractors
+    extractors.push(new BooleanExtractor({ locale: this.config.locale }));
+    extractors.push(new LocationExtractor({}));
+    return extractors;
+  }
+
+  /**
+   * Initializes the extractor combining the bot extractors and the system ones.
+   */
+  initExtractor(): void {
+    logger.debug('initExtractor');
+    this.extractor = new CompositeExtractor({
+      extractors: this.getExtractors(`${this.config.path}/src/extractors`),
+    });
+  }
+
+  /**
+   * Applies the bot classification filter, if any, to the classification results,
+   * then keeps the first result (the first two in multi intent mode).
+   * @param classificationResults - the classification results
+   * @param context - { brain, userMessage }
+   * @returns the filtered classification results
+   */
+  async filterClassificationResults(
+    classificationResults: ClassificationResult[],
+    context: ComputeContext,
+  ): Promise<ClassificationResult[]> {
+    const filteredResults = this.classificationFilter
+      ? await this.classificationFilter(classificationResults, context)
+      : classificationResults;
+    return filteredResults.slice(0, this.config.multiIntent ? 2 : 1);
+  }
+
+  /**
+   * Computes the entity of a location shared by the user,
+   * it is a system:location entity, like the coordinates typed by the user.
+   * The bot location lookup, if any, completes the locations without address,
+   * for example with a reverse geocoding service.
+   * Like the coordinates typed by the user, the latitude and the longitude are numbers.
+   * @param location - the location
+   * @param context - { brain, userMessage }
+   * @throws {MessageError} when the location is not valid
+   */
+  async computeLocation(location: Location, context: ComputeContext): Promise<ComputeOutput> {
+    logger.debug('computeLocation', location);
+    // the locations posted to the web adapters are not validated yet
+    new UserLocationMessage(location); // eslint-disable-line no-new
+    const value = this.locationLookup && !location.address
+      ? { ...location, ...(await this.locationLookup(location, context)) }
+      : location;
+    const body = `${location.lat}, ${location.long}`;
+    const entity = {
+      dim: 'system:location',
+      body,
+      values: [{ value, type: 'coordinates' }],
+      start: 0,
+      end: body.length,
+    };
+    return {
+      classificationResults: [],
+      messageEntities: [entity],
+    };
+  }
+
   /**
    * Computes intents and entities.
    * @param sentence - the sentence
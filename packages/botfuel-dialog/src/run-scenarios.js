@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+require('babel-polyfill');
+
+const chalk = require('chalk');
+const logger = require('logtown')('RunScenarios');
+const ScenarioRunner = require('./scenario-runner');
+const { resolveConfigFile } = require('./config');
+
+/* eslint-disable no-console */
+/**
+ * Prints the result of a scenario.
+ * @param {Object} result - the scenario result
+ * @returns {void}
+ */
+const printResult = (result) => {
+  if (result.passed) {
+    console.log(chalk.green(`✓ ${result.name}`));
+    return;
+  }
+  console.log(chalk.red(`✗ ${result.name}`));
+  const { description, expected, actual } = result.turns[result.turns.length - 1];
+  console.log(`  turn ${result.turns.length} (${description})`);
+  console.log(chalk.green(`  expected: ${JSON.stringify(expected, null, 2).replace(/\n/g, '\n  ')}`));
+  console.log(chalk.red(`  actual: ${JSON.stringify(actual, null, 2).replace(/\n/g, '\n  ')}`));
+};
+
+// usage: botfuel-test <config> <scenario files or directories...>
+(async () => {
+  let failed = 0;
+  try {
+    const config = resolveConfigFile(process.argv[2]);
+    const runner = new ScenarioRunner(config);
+    for (const filePath of ScenarioRunner.getScenarioFiles(process.argv.slice(3))) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await runner.run(ScenarioRunner.loadScenario(filePath));
+      printResult(result);
+      if (!result.passed) {
+        failed++;
+      }
+    }
+  } catch (e) {
+    logger.error(e.message, e.stack);
+    process.exit(1);
+  }
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,270 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const isEqual = require('lodash/isEqual');
+const isPlainObject = require('lodash/isPlainObject');
+const logger = require('logtown')('ScenarioRunner');
+const Bot = require('./bot');
+const ConfigurationError = require('./errors/configuration-error');
+const PostbackMessage = require('./messages/postback-message');
+const UserEventMessage = require('./messages/user-event-message');
+const UserTextMessage = require('./messages/user-text-message');
+const { readDataFile } = require('./utils/files');
+const { signDialogData } = require('./utils/postback-signature');
+
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const USER_KEYS = ['user', 'postback', 'event', 'quickreply'];
+
+// a string like /hello .*/i is a regex
+const REGEX_PATTERN = /^\/(.+)\/([gimuy]*)$/;
+
+/**
+ * Converts an expected bot message to its json form,
+ * a string is the expected text of a text message.
+ * @param {String|Object} expectedMessage - the expected bot message
+ * @returns {Object} the expected bot message json
+ */
+const getExpectedMessageJson = expectedMessage =>
+  (typeof expectedMessage === 'string'
+    ? { type: 'text', payload: { value: expectedMessage } }
+    : expectedMessage);
+
+/**
+ * Projects an actual value on an expected value:
+ * the keys of the objects which are not expected are removed
+ * and the strings matching an expected regex are replaced by the regex,
+ * so that the projection equals the expected value when the actual value matches it.
+ * @param {*} actual - the actual value
+ * @param {*} expected - the expected value
+ * @returns {*} the projection of the actual value
+ */
+const project = (actual, expected) => {
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    const match = expected.match(REGEX_PATTERN);
+    return match && new RegExp(match[1], match[2]).test(actual) ? expected : actual;
+  }
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return actual.map((value, index) =>
+      (index < expected.length ? project(value, expected[index]) : value));
+  }
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    return Object.keys(expected).reduce(
+      (projection, key) => ({ ...projection, [key]: project(actual[key], expected[key]) }),
+      {},
+    );
+  }
+  return actual;
+};
+
+/**
+ * Describes the user part of a turn.
+ * @param {Object} turn - the turn
+ * @returns {String} the description
+ */
+const describeTurn = (turn) => {
+  const key = USER_KEYS.find(userKey => turn[userKey] !== undefined);
+  return `${key}: ${JSON.stringify(turn[key])}`;
+};
+
+/**
+ * Runs conversation scenarios against a bot.
+ *
+ * A scenario is a json or yaml file listing the turns of a conversation:
+ * ```yaml
+ * name: greetings
+ * turns:
+ *   - user: Hello
+ *     bot:
+ *       - Hello human!
+ *       - /What can I do for you\?/
+ *     dialogs: [greetings]
+ *   - postback: { name: travel, data: { city: Paris } }
+ *     bot:
+ *       - type: quickreplies
+ *         payload: { value: [Yes, No] }
+ * ```
+ * The user part of a turn is one of:
+ * - user: the text of a user text message,
+ * - postback: the name and data of the dialog of a postback,
+ * - event: the name and data of an event,
+ * - quickreply: the text of a quick reply of the last quick replies message.
+ *
+ * The optional bot part lists all the bot messages of the turn:
+ * a string is the text of a text message, an object is matched partially against the message json,
+ * in both cases a string like /regex/flags matches the strings it tests.
+ * The optional dialogs part lists the names of the dialogs of the stack, from bottom to top.
+ *
+ * Each scenario is played with a new bot using the {@link TestAdapter}.
+ */
+class ScenarioRunner {
+  /**
+   * @constructor
+   * @param {Object} config - the bot config, the adapter is replaced by the test adapter
+   */
+  constructor(config) {
+    logger.debug('constructor');
+    this.config = { ...config, adapter: { name: 'test' } };
+  }
+
+  /**
+   * Loads and checks a scenario file.
+   * @param {String} filePath - the path of the json or yaml scenario file
+   * @returns {Object} the scenario, named after its file by default
+   */
+  static loadScenario(filePath) {
+    logger.debug('loadScenario', filePath);
+    const scenario = readDataFile(filePath, 'scenario');
+    const fail = (message) => {
+      throw new ConfigurationError(`Invalid scenario file ${filePath}: ${message}.`);
+    };
+    if (!scenario || !Array.isArray(scenario.turns) || scenario.turns.length === 0) {
+      fail('the scenario should define turns');
+    }
+    scenario.turns.forEach((turn, index) => {
+      const userKeys = USER_KEYS.filter(key => turn && turn[key] !== undefined);
+      if (userKeys.length !== 1) {
+        fail(`the turn ${index + 1} should define one of: ${USER_KEYS.join(', ')}`);
+      }
+      if (turn.bot !== undefined && !Array.isArray(turn.bot)) {
+        fail(`the bot messages of the turn ${index + 1} should be a list`);
+      }
+      if (turn.dialogs !== undefined && !Array.isArray(turn.dialogs)) {
+        fail(`the dialogs of the turn ${index + 1} should be a list`);
+      }
+    });
+    return {
+      name: path.basename(filePath, path.extname(filePath)),
+      ...scenario,
+    };
+  }
+
+  /**
+   * Gets the scenario files of paths,
+   * the directories are replaced by the scenario files they contain.
+   * @param {String|String[]} scenarioPaths - the paths of scenario files or directories
+   * @returns {String[]} the scenario file paths
+   */
+  static getScenarioFiles(scenarioPaths) {
+    return [].concat(scenarioPaths).reduce((filePaths, scenarioPath) => {
+      if (!fs.existsSync(scenarioPath) || !fs.statSync(scenarioPath).isDirectory()) {
+        return [...filePaths, scenarioPath];
+      }
+      const fileNames = fs
+        .readdirSync(scenarioPath)
+        .filter(fileName => SCENARIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+        .sort();
+      return [...filePaths, ...fileNames.map(fileName => path.join(scenarioPath, fileName))];
+    }, []);
+  }
+
+  /**
+   * Plays the user part of a turn.
+   * @param {TestAdapter} adapter - the test adapter
+   * @param {Object} turn - the turn
+   * @returns {Promise.<void>}
+   */
+  async playTurn(adapter, turn) {
+    logger.debug('playTurn', turn);
+    if (turn.quickreply !== undefined) {
+      await adapter.selectQuickreply(turn.quickreply);
+    } else if (turn.postback !== undefined) {
+      const { name, data } = turn.postback;
+      const dialogData = { name, data: { messageEntities: [], ...data } };
+      // the scenarios are trusted, their postbacks are signed like the ones rendered by the views
+      const { postbacks } = adapter.bot.config;
+      await adapter.play([new PostbackMessage(postbacks.secret
+        ? signDialogData(dialogData, adapter.userId, postbacks)
+        : dialogData)]);
+    } else if (turn.event !== undefined) {
+      await adapter.play([new UserEventMessage(turn.event.name, turn.event.data)]);
+    } else {
+      await adapter.play([new UserTextMessage(`${turn.user}`)]);
+    }
+  }
+
+  /**
+   * Runs a scenario, stops at the first turn which does not match its expectations.
+   * @param {Object} scenario - the scenario
+   * @returns {Promise.<Object>} the result: the scenario name, whether it passed
+   * and for each turn played, its description, whether it passed
+   * and the expected and actual bot messages and dialogs,
+   * the actual values being projected on the expected ones
+   */
+  async run(scenario) {
+    logger.debug('run', scenario.name);
+    const bot = new Bot(this.config);
+    await bot.init();
+    const { adapter } = bot;
+    const turns = [];
+    for (const turn of scenario.turns) {
+      const logLength = adapter.log.length;
+      // eslint-disable-next-line no-await-in-loop
+      await this.playTurn(adapter, turn);
+      const expected = {};
+      const actual = {};
+      if (turn.bot) {
+        expected.bot = turn.bot.map(getExpectedMessageJson);
+        const botMessages = adapter.log.slice(logLength).filter(message => message.sender === 'bot');
+        actual.bot = project(botMessages, expected.bot);
+      }
+      if (turn.dialogs) {
+        expected.dialogs = turn.dialogs;
+        // eslint-disable-next-line no-await-in-loop
+        const { stack } = await bot.brain.getDialogs(adapter.userId);
+        actual.dialogs = stack.map(dialog => dialog.name);
+      }
+      const passed = isEqual(actual, expected);
+      turns.push({
+        description: describeTurn(turn),
+        passed,
+        expected,
+        actual,
+      });
+      if (!passed) {
+        break;
+      }
+    }
+    return {
+      name: scenario.name,
+      passed: turns.every(turn => turn.passed),
+      turns,
+    };
+  }
+
+  /**
+   * Defines a Jest test per scenario,
+   * a turn which does not match its expectations fails the test with a diff.
+   * @param {String|String[]} scenarioPaths - the paths of scenario files or directories
+   * @returns {void}
+   */
+  defineTests(scenarioPaths) {
+    for (const filePath of ScenarioRunner.getScenarioFiles(scenarioPaths)) {
+      const scenario = ScenarioRunner.loadScenario(filePath);
+      test(scenario.name, async () => {
+        const result = await this.run(scenario);
+        for (const { description, expected, actual } of result.turns) {
+          expect({ turn: description, ...actual }).toEqual({ turn: description, ...expected });
+        }
+      });
+    }
+  }
+}
+
+module.exports = ScenarioRunner;
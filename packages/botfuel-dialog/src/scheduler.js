@@ -0,0 +1,208 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// @flow
+
+import type Bot from './bot';
+import type Brain from './brains/brain';
+import type { DialogData, ScheduledJob } from './types';
+
+const uuidv4 = require('uuid/v4');
+const logger = require('logtown')('Scheduler');
+
+export type Clock = () => number;
+
+/**
+ * The scheduler executes dialogs for users at a later time,
+ * for example to send a reminder.
+ *
+ * The jobs are stored in the brain, so that they survive restarts when the brain is persistent.
+ * While the bot runs, the scheduler polls the brain for due jobs
+ * and executes their dialogs as proactive dialogs (see {@link Bot#sendScheduledDialog}),
+ * the jobs of the users deleted in the meantime are dropped.
+ * A due job is leased while it is executed and removed once executed,
+ * so that the job of a bot stopped during its execution is executed again when its lease expires.
+ * A failing job is retried until it reaches the maximum number of attempts.
+ *
+ * The current time is given by a clock which can be replaced,
+ * the {@link TestAdapter} uses this to test time based behaviours.
+ */
+class Scheduler {
+  bot: Bot;
+  brain: Brain;
+  clock: Clock;
+  pollInterval: number;
+  leaseDuration: number;
+  maxAttempts: number;
+  timer: ?TimeoutID;
+
+  constructor(bot: Bot) {
+    logger.debug('constructor');
+    this.bot = bot;
+    this.brain = bot.brain;
+    this.clock = Date.now;
+    this.pollInterval = bot.config.scheduler.pollInterval;
+    this.leaseDuration = bot.config.scheduler.leaseDuration;
+    this.maxAttempts = bot.config.scheduler.maxAttempts;
+    this.timer = null;
+  }
+
+  /**
+   * Gets the current time of the scheduler clock.
+   * Dialogs should use it rather than Date.now() to compute the execution time of their jobs.
+   * @returns the time in ms
+   */
+  now(): number {
+    return this.clock();
+  }
+
+  /**
+   * Replaces the scheduler clock.
+   * @param clock - a function returning the current time in ms
+   */
+  setClock(clock: Clock): void {
+    logger.debug('setClock');
+    this.clock = clock;
+  }
+
+  /**
+   * Schedules a dialog for a user.
+   * @param userId - the user id
+   * @param dialog - the dialog to execute
+   * @param runAt - the execution time in ms
+   * @returns the job id
+   */
+  async schedule(userId: string, dialog: DialogData, runAt: number): Promise<string> {
+    logger.debug('schedule', userId, dialog, runAt);
+    const job: ScheduledJob = {
+      id: uuidv4(),
+      userId,
+      dialog,
+      runAt,
+      createdAt: this.now(),
+    };
+    await this.brain.addJob(job);
+    return job.id;
+  }
+
+  /**
+   * Cancels a job.
+   * @param jobId - the job id
+   * @returns true if the job was pending
+   */
+  async cancel(jobId: string): Promise<boolean> {
+    logger.debug('cancel', jobId);
+    return this.brain.removeJob(jobId);
+  }
+
+  /**
+   * Executes the due jobs.
+   * A failing job is logged and does not prevent the other jobs from being executed.
+   * @returns the jobs executed successfully
+   */
+  async poll(): Promise<ScheduledJob[]> {
+    const jobs = await this.brain.leaseDueJobs(this.now(), this.leaseDuration);
+    const executedJobs = [];
+    for (const job of jobs) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await this.execute(job)) {
+        executedJobs.push(job);
+      }
+    }
+    return executedJobs;
+  }
+
+  /**
+   * Executes a leased job and removes it,
+   * a failing job is kept until its lease expires unless it reached the maximum attempts.
+   * @private
+   * @param job - the job
+   * @returns true if the job was executed successfully
+   */
+  async execute(job: ScheduledJob): Promise<boolean> {
+    logger.debug('execute', job);
+    try {
+      await this.bot.sendScheduledDialog(job.userId, job.dialog);
+    } catch (error) {
+      logger.error('execute: job failed', job.id, job.attempts, error);
+      if ((job.attempts || 0) >= this.maxAttempts) {
+        logger.error('execute: job abandoned', job.id);
+        await this.removeJob(job);
+      }
+      return false;
+    }
+    await this.removeJob(job);
+    return true;
+  }
+
+  /**
+   * Removes an executed job, a job which can not be removed is executed again.
+   * @private
+   * @param job - the job
+   */
+  async removeJob(job: ScheduledJob): Promise<void> {
+    try {
+      await this.brain.removeJob(job.id);
+    } catch (error) {
+      logger.error('removeJob: failed', job.id, error);
+    }
+  }
+
+  /**
+   * Starts polling the due jobs.
+   * The next poll is scheduled once the previous one has completed,
+   * so that the polls never overlap.
+   */
+  start(): void {
+    logger.debug('start');
+    if (this.timer || this.pollInterval <= 0) {
+      return;
+    }
+    this.schedulePoll();
+  }
+
+  /**
+   * Schedules the next poll.
+   * @private
+   */
+  schedulePoll(): void {
+    const timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error('poll: failed', error);
+      }
+      // the polling ends when the scheduler is stopped during the poll
+      if (this.timer === timer) {
+        this.schedulePoll();
+      }
+    }, this.pollInterval);
+    this.timer = timer;
+  }
+
+  /**
+   * Stops polling the due jobs.
+   */
+  stop(): void {
+    logger.debug('stop');
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = Scheduler;
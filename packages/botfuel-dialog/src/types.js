@@ -1,6 +1,7 @@
 // @flow
 
 import type ClassificationResult, { QnaAnswers } from './nlus/classification-result';
+import type { BotMessageJson } from './messages/message';
 
 /*
   Error types
@@ -20,6 +21,11 @@ export type DialogDataData = {
   answers?: QnaAnswers,
   url?: string,
   error?: ErrorObject,
+  childResult?: mixed,
+  review?: {
+    action: 'edit' | 'confirm',
+    entity?: string,
+  },
 };
 
 export type DialogData = {
@@ -30,6 +36,7 @@ export type DialogData = {
   },
   date?: number,
   blocked?: boolean,
+  called?: boolean,
 };
 
 export type DialogsData = {
@@ -38,16 +45,46 @@ export type DialogsData = {
   isNewConversation?: boolean,
 };
 
+// the dialogs and the dialog namespaces of a conversation, at the beginning of a turn
+export type ConversationSnapshot = {
+  [key: string]: mixed,
+};
+
 export type ConversationData = {
   _dialogs: DialogsData,
   _createdAt: number,
+  _history?: ConversationSnapshot[],
   uuid: string,
 };
 
+// a user waiting for a human agent
+export type HandoverData = {
+  userId: string,
+  since: number,
+};
+
 export type UserData = {
   _userId: string,
   _conversations: ConversationData[],
   _createdAt: number,
+  _handover?: ?HandoverData,
+};
+
+// a page of the users matching a search
+export type UsersPage = {
+  users: UserData[],
+  total: number,
+};
+
+// a dialog scheduled to be executed for a user at a given time
+export type ScheduledJob = {
+  id: string,
+  userId: string,
+  dialog: DialogData,
+  runAt: number,
+  createdAt: number,
+  leasedUntil?: number,
+  attempts?: number,
 };
 
 /*
@@ -94,4 +131,55 @@ export type TextMessage = {
   timestamp?: number,
 };
 
-export type UserMessage = PostbackMessage | ImageMessage | FileMessage | TextMessage;
+export type Location = {
+  lat: number,
+  long: number,
+  title?: string,
+  address?: string,
+};
+
+export type LocationMessage = {
+  type: 'location',
+  user: string,
+  payload: {
+    value: Location,
+  },
+  id?: string,
+  timestamp?: number,
+};
+
+// an event of the messaging platform, like the start of a conversation
+export type EventData = {
+  name: string,
+  data: Object,
+};
+
+export type EventMessage = {
+  type: 'event',
+  user: string,
+  payload: {
+    value: EventData,
+  },
+  id?: string,
+  timestamp?: number,
+};
+
+// the message given to the dialogs executed in a turn initiated by the bot
+export type ProactiveMessage = {
+  type: 'proactive',
+  user: string,
+  id?: string,
+  timestamp?: number,
+};
+
+export type UserMessage =
+  PostbackMessage |
+  ImageMessage |
+  FileMessage |
+  TextMessage |
+  LocationMessage |
+  EventMessage |
+  ProactiveMessage;
+
+// the messages exchanged with a user, by the user, the bot or an agent
+export type TranscriptMessage = UserMessage | BotMessageJson;
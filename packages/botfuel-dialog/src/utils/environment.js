@@ -16,6 +16,7 @@
 
 const logger = require('logtown')('Environment');
 const MissingCredentialsError = require('../errors/missing-credentials-error');
+const NluFixtures = require('../nlus/nlu-fixtures');
 
 const BOTFUEL_ADAPTER = 'botfuel';
 const MONGO_BRAIN = 'mongo';
@@ -44,9 +45,9 @@ const checkCredentials = (config) => {
     logger.info(`BOTFUEL_APP_TOKEN=${BOTFUEL_APP_TOKEN}`);
   }
 
-  // Botfuel app id/key
+  // Botfuel app id/key, not needed when the nlu replays its fixtures
   if (!BOTFUEL_APP_ID || !BOTFUEL_APP_KEY) {
-    if (config.nlu.name === BOTFUEL_NLU) {
+    if (config.nlu.name === BOTFUEL_NLU && !NluFixtures.isReplaying(config)) {
       throw new MissingCredentialsError(
         'BOTFUEL_APP_ID and BOTFUEL_APP_KEY are required to use Botfuel NLU.',
       );
@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const logger = require('logtown')('Fallbacks');
+
+// the types of the bot messages
+const MESSAGE_TYPES = ['text', 'image', 'table', 'actions', 'cards', 'quickreplies'];
+
+// the features of the bot messages that some messaging platforms do not display:
+// - multipleCardImages: the cards with several images,
+// - quickreplyImages: the icons of the quick replies
+const MESSAGE_FEATURES = ['multipleCardImages', 'quickreplyImages'];
+
+/**
+ * Builds a text message sent instead of a bot message.
+ * @param {Object} botMessage - the bot message json
+ * @param {String} text - the text
+ * @returns {Object} the text message json
+ */
+const getTextMessage = (botMessage, text) => ({
+  type: 'text',
+  sender: botMessage.sender,
+  user: botMessage.user,
+  payload: {
+    value: text,
+  },
+});
+
+/**
+ * Describes numbered actions, with the url of the links.
+ * @param {Object[]} actions - the actions json
+ * @returns {String} the description
+ */
+const describeActions = actions =>
+  actions
+    .map((action, index) =>
+      (action.type === 'link'
+        ? `${index + 1}. ${action.text}: ${action.value}`
+        : `${index + 1}. ${action.text}`))
+    .join('\n');
+
+/**
+ * Describes a table, its columns are aligned.
+ * @param {Object} table - the table, with its schema and rows
+ * @returns {String} the description
+ */
+const describeTable = ({ schema, rows }) => {
+  const columns = schema.map((column) => {
+    const key = Object.keys(column)[0];
+    return { key, label: String(column[key]) };
+  });
+  const lines = [
+    columns.map(column => column.label),
+    ...rows.map(row => columns.map(({ key }) => (row[key] === undefined ? '' : String(row[key])))),
+  ];
+  const widths = columns.map((column, index) =>
+    Math.max(...lines.map(line => line[index].length)));
+  return lines
+    .map(line => line.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimRight())
+    .join('\n');
+};
+
+/**
+ * Removes the features of a supported bot message that the messaging platform does not display:
+ * the cards keep their first image, the quick replies lose their icon.
+ * @param {Object} botMessage - the bot message json
+ * @param {String[]} features - the supported features
+ * @returns {Object} the bot message json without the unsupported features
+ */
+const removeFeatures = (botMessage, features) => {
+  const { value } = botMessage.payload;
+  const withValue = newValue => ({
+    ...botMessage,
+    payload: { ...botMessage.payload, value: newValue },
+  });
+  if (botMessage.type === 'cards' && !features.includes('multipleCardImages')) {
+    return withValue(value.map(card => ({ ...card, imageUrls: card.imageUrls.slice(0, 1) })));
+  }
+  if (botMessage.type === 'quickreplies' && !features.includes('quickreplyImages')) {
+    return withValue(value.map((quickreply) => {
+      if (typeof quickreply === 'string' || !quickreply.imageUrl) {
+        return quickreply;
+      }
+      const { imageUrl, ...quickreplyWithoutImage } = quickreply;
+      return quickreplyWithoutImage;
+    }));
+  }
+  return botMessage;
+};
+
+/**
+ * Degrades a bot message to messages of simpler types.
+ * @param {Object} botMessage - the bot message json
+ * @param {String[]} messageTypes - the supported message types
+ * @returns {Object[]} the messages json, or null when the message type has no fallback
+ */
+const degradeMessage = (botMessage, messageTypes) => {
+  const { value } = botMessage.payload;
+  switch (botMessage.type) {
+    case 'image':
+      return [getTextMessage(botMessage, value)];
+    case 'table':
+      return [getTextMessage(botMessage, describeTable(value))];
+    case 'actions':
+      return [getTextMessage(botMessage, describeActions(value))];
+    case 'quickreplies':
+      return [
+        getTextMessage(
+          botMessage,
+          describeActions(value.map(quickreply =>
+            (typeof quickreply === 'string' ? { text: quickreply } : quickreply))),
+        ),
+      ];
+    case 'cards': {
+      const messages = value.map(card =>
+        getTextMessage(
+          botMessage,
+          [card.title, card.subtitle, ...card.imageUrls].filter(line => !!line).join('\n'),
+        ));
+      const actions = value.reduce(
+        (cardsActions, card) => [
+          ...cardsActions,
+          ...(card.defaultAction ? [card.defaultAction] : []),
+          ...card.actions,
+        ],
+        [],
+      );
+      if (actions.length > 0) {
+        messages.push(messageTypes.includes('actions')
+          ? { ...botMessage, type: 'actions', payload: { value: actions } }
+          : getTextMessage(botMessage, describeActions(actions)));
+      }
+      return messages;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Gets the messages to send instead of a bot message, so that it can be displayed
+ * by a messaging platform which supports only some message types:
+ * tables become aligned text, cards become text and numbered actions, images become links...
+ * The supported messages lose the features not supported by the platform (see removeFeatures).
+ * @param {Object} botMessage - the bot message json
+ * @param {String[]} messageTypes - the supported message types
+ * @param {String[]} [features] - the supported message features, none by default
+ * @returns {Object[]} the messages json, the bot message itself when it is supported
+ */
+const getFallbackMessages = (botMessage, messageTypes, features = []) => {
+  if (messageTypes.includes(botMessage.type)) {
+    return [removeFeatures(botMessage, features)];
+  }
+  if (!messageTypes.includes('text')) {
+    return [botMessage];
+  }
+  const messages = degradeMessage(botMessage, messageTypes);
+  if (!messages) {
+    logger.warn(`No fallback for the unsupported message type '${botMessage.type}'`);
+    return [botMessage];
+  }
+  logger.debug('getFallbackMessages', botMessage.type, messages);
+  return messages;
+};
+
+module.exports = {
+  MESSAGE_FEATURES,
+  MESSAGE_TYPES,
+  describeTable,
+  getFallbackMessages,
+};
@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ConfigurationError = require('../errors/configuration-error');
+
+/**
+ * Reads a json or yaml file.
+ * @param {String} filePath - the file path
+ * @param {String} kind - the kind of content of the file, used in the error messages
+ * @returns {Object} the content of the file
+ */
+const readDataFile = (filePath, kind) => {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigurationError(`Could not find the ${kind} file ${filePath}.`);
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  const content = fs.readFileSync(filePath, 'utf8');
+  try {
+    if (extension === '.json') {
+      return JSON.parse(content);
+    }
+    if (extension === '.yaml' || extension === '.yml') {
+      return yaml.safeLoad(content);
+    }
+  } catch (error) {
+    throw new ConfigurationError(`Could not parse the ${kind} file ${filePath}: ${error.message}`);
+  }
+  throw new ConfigurationError(
+    `Unsupported ${kind} file ${filePath}, expected one of: .json, .yaml, .yml.`,
+  );
+};
+
+module.exports = {
+  readDataFile,
+};
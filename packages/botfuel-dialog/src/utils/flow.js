@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const logger = require('logtown')('Flow');
+const ConfigurationError = require('../errors/configuration-error');
+const { readDataFile } = require('./files');
+
+const FLOW_ACTIONS = ['complete', 'next', 'new_conversation', 'return'];
+
+// flows read from files, by absolute path
+const flowFiles = {};
+
+/**
+ * Loads a flow.
+ * @param {Object|String} flow - the flow or the path of a json or yaml file
+ * containing the flow, relative to the bot
+ * @param {String} botPath - the bot path
+ * @returns {Object} the flow
+ */
+const loadFlow = (flow, botPath) => {
+  if (typeof flow !== 'string') {
+    return flow;
+  }
+  const filePath = path.resolve(botPath, flow);
+  if (!flowFiles[filePath]) {
+    logger.debug('loadFlow', filePath);
+    flowFiles[filePath] = readDataFile(filePath, 'flow');
+  }
+  return flowFiles[filePath];
+};
+
+/**
+ * Checks a flow, throws a ConfigurationError describing the first problem found.
+ * @param {Object} flow - the flow
+ * @param {String} dialogName - the name of the dialog defining the flow
+ * @returns {void}
+ */
+const checkFlow = (flow, dialogName) => {
+  logger.debug('checkFlow', dialogName);
+  const fail = (message) => {
+    throw new ConfigurationError(`Invalid flow in dialog '${dialogName}': ${message}.`);
+  };
+  if (!flow || typeof flow !== 'object') {
+    fail('the flow should be an object');
+  }
+  const { start, states } = flow;
+  if (!states || typeof states !== 'object' || Object.keys(states).length === 0) {
+    fail('the flow should define states');
+  }
+  if (!states[start]) {
+    fail(`the start state '${start}' is not defined`);
+  }
+  const entityNames = Object.keys(states).reduce(
+    (names, stateName) => [...names, ...Object.keys((states[stateName] || {}).entities || {})],
+    [],
+  );
+  for (const stateName of Object.keys(states)) {
+    const state = states[stateName];
+    if (!state || typeof state !== 'object') {
+      fail(`the state '${stateName}' should be an object`);
+    }
+    for (const entityName of Object.keys(state.entities || {})) {
+      if (!state.entities[entityName] || !state.entities[entityName].dim) {
+        fail(`the entity '${entityName}' of the state '${stateName}' has no dim`);
+      }
+    }
+    if (state.action !== undefined) {
+      if (state.transitions !== undefined || state.entities !== undefined) {
+        fail(`the terminal state '${stateName}' should not define entities or transitions`);
+      }
+      if (!FLOW_ACTIONS.includes(state.action)) {
+        fail(
+          `unknown action '${state.action}' in the state '${stateName}', expected one of: ${FLOW_ACTIONS.join(', ')}`,
+        );
+      }
+      if (state.action === 'next' && !state.dialog) {
+        fail(`the state '${stateName}' should define the dialog triggered by its 'next' action`);
+      }
+    } else {
+      if (!Array.isArray(state.transitions) || state.transitions.length === 0) {
+        fail(`the state '${stateName}' should define either an action or transitions`);
+      }
+      state.transitions.forEach((transition, index) => {
+        if (!transition || !states[transition.to]) {
+          fail(`the transition ${index} of the state '${stateName}' targets an unknown state`);
+        }
+        const unknownNames = [
+          ...Object.keys(transition.when || {}),
+          ...(transition.reset || []),
+        ].filter(name => !entityNames.includes(name));
+        if (unknownNames.length > 0) {
+          fail(
+            `the transition ${index} of the state '${stateName}' refers to unknown entities: ${unknownNames.join(', ')}`,
+          );
+        }
+      });
+    }
+  }
+};
+
+module.exports = {
+  checkFlow,
+  loadFlow,
+};
@@ -0,0 +1,190 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const logger = require('logtown')('Intents');
+const ClassificationResult = require('../nlus/classification-result');
+const ConfigurationError = require('../errors/configuration-error');
+
+const INTENTS_EXTENSIONS = ['.json', '.csv', '.xlsx'];
+
+/**
+ * Normalizes an intent definition and checks its validity.
+ * @param {Object} intent - the intent definition: {
+ *   label: String,
+ *   type: String (Intent or QnA, defaults to Intent),
+ *   answer: String (QnAs only),
+ *   sentences: String[]
+ * }
+ * @param {String} filePath - the file the intent was read from
+ * @returns {Object} the normalized intent
+ */
+const normalizeIntent = (intent, filePath) => {
+  const type = intent.type || ClassificationResult.TYPE_INTENT;
+  if (!intent.label || typeof intent.label !== 'string') {
+    throw new ConfigurationError(`Intent without label in ${filePath}.`);
+  }
+  if (!['intent', 'qna'].includes(type.toLowerCase())) {
+    throw new ConfigurationError(`Invalid type '${type}' for intent '${intent.label}' in ${filePath}.`);
+  }
+  const isQnA = type.toLowerCase() === 'qna';
+  if (isQnA && !intent.answer) {
+    throw new ConfigurationError(`QnA '${intent.label}' has no answer in ${filePath}.`);
+  }
+  // the spreadsheets often contain non breaking spaces, before question marks for example
+  const sentences = (intent.sentences || [])
+    .map(sentence => `${sentence}`.replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 0);
+  if (sentences.length === 0) {
+    throw new ConfigurationError(`Intent '${intent.label}' has no sentence in ${filePath}.`);
+  }
+  return {
+    label: intent.label.trim(),
+    type: isQnA ? ClassificationResult.TYPE_QNA : ClassificationResult.TYPE_INTENT,
+    answer: isQnA ? `${intent.answer}`.trim() : undefined,
+    sentences,
+  };
+};
+
+/**
+ * Tells whether an untyped block of rows is a QnA in the legacy format,
+ * where the answer directly follows the label: the first row is a statement
+ * (not a question) followed by at least one sentence.
+ * @param {String[]} lines - the rows of the block following the label
+ * @returns {boolean}
+ */
+const isLegacyQnA = lines => lines.length > 1 && !lines[0].endsWith('?');
+
+/**
+ * Parses a block of rows as an intent.
+ * @param {Array.<String[]>} block - the non empty rows of the block
+ * @param {boolean} qna - whether untyped blocks can be QnAs
+ * @returns {Object} the raw intent
+ */
+const parseBlock = ([header, ...rows], qna) => {
+  const [label, type] = header;
+  const lines = rows.map(cells => cells[0]);
+  const isQnA = type ? type.toLowerCase() === 'qna' : qna && isLegacyQnA(lines);
+  if (!isQnA) {
+    return { label, type: type || undefined, sentences: lines };
+  }
+  const [answer, ...sentences] = lines;
+  return {
+    label,
+    type: type || ClassificationResult.TYPE_QNA,
+    answer,
+    sentences,
+  };
+};
+
+/**
+ * Parses rows (from a spreadsheet or a csv file) as intents.
+ * Intents are blocks of rows separated by empty rows:
+ * - the first row of a block contains the label in its first cell,
+ * and optionally the type (Intent or QnA) in its second cell,
+ * - for a QnA, the second row contains the answer,
+ * - the remaining rows contain the sentences.
+ * Without a type cell, a block is an intent, unless the qna option is set
+ * and the block follows the legacy QnA format (see isLegacyQnA).
+ * @param {Array.<String[]>} rows - the rows
+ * @param {Object} [options] - the options: { qna: boolean }
+ * @returns {Object[]} the raw intents
+ */
+const parseRows = (rows, { qna = false } = {}) => {
+  const blocks = [];
+  let block = null;
+  for (const row of rows) {
+    const cells = row.map(cell => `${cell}`.trim());
+    if (cells.every(cell => cell.length === 0)) {
+      block = null;
+    } else if (block === null) {
+      block = [cells];
+      blocks.push(block);
+    } else {
+      block.push(cells);
+    }
+  }
+  return blocks.map(rowsOfBlock => parseBlock(rowsOfBlock, qna));
+};
+
+/**
+ * Reads the rows of the first sheet of a spreadsheet or csv file.
+ * @param {String} filePath - the file path
+ * @returns {Array.<String[]>} the rows
+ */
+const readRows = (filePath) => {
+  const workbook = XLSX.readFile(filePath);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    blankrows: true,
+    defval: '',
+    raw: false,
+  });
+};
+
+/**
+ * Loads intents from a json, csv or xlsx file.
+ * A json file contains an array of intent definitions,
+ * csv and xlsx files contain blocks of rows (see parseRows).
+ * @param {String} filePath - the file path
+ * @param {Object} [options] - the options passed to parseRows
+ * @returns {Object[]} the intents
+ */
+const loadIntents = (filePath, options = {}) => {
+  logger.debug('loadIntents', filePath);
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigurationError(`Could not find the intents file ${filePath}.`);
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  let intents;
+  if (extension === '.json') {
+    intents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(intents)) {
+      throw new ConfigurationError(`The intents file ${filePath} should contain an array.`);
+    }
+  } else if (extension === '.csv' || extension === '.xlsx') {
+    intents = parseRows(readRows(filePath), options);
+  } else {
+    throw new ConfigurationError(
+      `Unsupported intents file ${filePath}, expected one of: ${INTENTS_EXTENSIONS.join(', ')}.`,
+    );
+  }
+  return intents.map(intent => normalizeIntent(intent, filePath));
+};
+
+/**
+ * Finds the default intents file (intents.json, intents.csv or intents.xlsx) of a bot.
+ * @param {String} botPath - the bot path
+ * @returns {String|null} the file path if exists or null
+ */
+const findIntentsFile = (botPath) => {
+  for (const extension of INTENTS_EXTENSIONS) {
+    const filePath = path.join(botPath, `intents${extension}`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  findIntentsFile,
+  loadIntents,
+  parseRows,
+};
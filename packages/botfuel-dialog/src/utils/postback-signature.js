@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const crypto = require('crypto');
+const _ = require('lodash');
+
+/**
+ * Serializes a value to json with the object keys sorted,
+ * so that the signature does not depend on the key order of the client.
+ * @param {*} value - the value
+ * @returns {String} the json
+ */
+const canonicalize = value =>
+  JSON.stringify(
+    value,
+    (key, val) => (_.isPlainObject(val) ? _.fromPairs(_.sortBy(_.toPairs(val), 0)) : val),
+  );
+
+/**
+ * Computes the signature of a postback dialog for a user.
+ * @param {String} user - the user id
+ * @param {Object} dialogData - the postback dialog information
+ * @param {String} secret - the postbacks secret
+ * @returns {String} the hex signature
+ */
+const computeSignature = (user, { name, data, expires }, secret) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(canonicalize({
+      user,
+      name,
+      data,
+      expires,
+    }))
+    .digest('hex');
+
+/**
+ * Signs a postback dialog, the signature covers the user, the dialog name, its data and
+ * the expiration time when the postbacks expire.
+ * @param {Object} dialogData - the postback dialog information
+ * @param {String} user - the user id
+ * @param {Object} postbacksConfig - the postbacks config: { secret, expiration }
+ * @returns {Object} the signed postback dialog information
+ */
+const signDialogData = (dialogData, user, { secret, expiration }) => {
+  const signedDialogData = _.omit(dialogData, ['signature', 'expires']);
+  if (expiration) {
+    signedDialogData.expires = Date.now() + expiration;
+  }
+  signedDialogData.signature = computeSignature(user, signedDialogData, secret);
+  return signedDialogData;
+};
+
+/**
+ * Signs the postback actions and the postback quick replies of a bot message.
+ * @param {Object} botMessage - the bot message json
+ * @param {Object} postbacksConfig - the postbacks config
+ * @returns {Object} the bot message json with signed postbacks
+ */
+const signBotMessage = (botMessage, postbacksConfig) => {
+  const sign = dialogData => signDialogData(dialogData, botMessage.user, postbacksConfig);
+  const signAction = action =>
+    (action.type === 'postback' ? { ...action, value: sign(action.value) } : action);
+  const signCard = (card) => {
+    const signedCard = { ...card, actions: card.actions.map(signAction) };
+    if (card.defaultAction) {
+      signedCard.defaultAction = signAction(card.defaultAction);
+    }
+    return signedCard;
+  };
+  const signQuickreply = quickreply =>
+    (quickreply.value ? { ...quickreply, value: sign(quickreply.value) } : quickreply);
+  const withValue = value => ({ ...botMessage, payload: { ...botMessage.payload, value } });
+  switch (botMessage.type) {
+    case 'actions':
+      return withValue(botMessage.payload.value.map(signAction));
+    case 'cards':
+      return withValue(botMessage.payload.value.map(signCard));
+    case 'quickreplies':
+      // the quick replies without postback dialog are strings
+      return withValue(botMessage.payload.value.map(quickreply =>
+        (typeof quickreply === 'string' ? quickreply : signQuickreply(quickreply))));
+    default:
+      return botMessage;
+  }
+};
+
+/**
+ * Verifies the signature and the expiration time of a postback dialog.
+ * @param {Object} dialogData - the postback dialog information sent back by the user
+ * @param {String} user - the user id
+ * @param {Object} postbacksConfig - the postbacks config
+ * @returns {String|null} the reason of the rejection, null if the postback is verified
+ */
+const verifyDialogData = (dialogData, user, { secret }) => {
+  if (!dialogData.signature) {
+    return 'missing signature';
+  }
+  const expectedSignature = Buffer.from(computeSignature(user, dialogData, secret));
+  const actualSignature = Buffer.from(String(dialogData.signature));
+  if (
+    actualSignature.length !== expectedSignature.length ||
+    !crypto.timingSafeEqual(actualSignature, expectedSignature)
+  ) {
+    return 'invalid signature';
+  }
+  if (dialogData.expires && dialogData.expires < Date.now()) {
+    return 'expired';
+  }
+  return null;
+};
+
+module.exports = {
+  signDialogData,
+  signBotMessage,
+  verifyDialogData,
+};
@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const crypto = require('crypto');
+const ConfigurationError = require('../errors/configuration-error');
+
+const SIGNATURE_SCHEME = 'signature';
+const TOKEN_SCHEME = 'token';
+const IP_SCHEME = 'ip';
+
+const SIGNATURE_HEADER = 'x-botfuel-signature';
+const TIMESTAMP_HEADER = 'x-botfuel-timestamp';
+
+// the default maximum age of a signed request, so that captured requests can not be replayed
+const DEFAULT_TOLERANCE = 300000; // 5 minutes in ms
+
+/**
+ * Compares two strings in constant time, their sha256 digests have the same length.
+ * @param {String} a - a string
+ * @param {String} b - another string
+ * @returns {Boolean} true if the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const digest = value =>
+    crypto
+      .createHash('sha256')
+      .update(value)
+      .digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+/**
+ * Computes the signature of a request: sha256=<hex HMAC-SHA256 of timestamp.body with the secret>.
+ * @param {String} timestamp - the timestamp of the request, in ms
+ * @param {Buffer|String} body - the raw body of the request
+ * @param {String} secret - the shared secret
+ * @returns {String} the signature
+ */
+const computeSignature = (timestamp, body, secret) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+};
+
+/**
+ * Checks the HMAC signature of a request, in the header X-Botfuel-Signature,
+ * it is computed with the shared secret on the timestamp of the header X-Botfuel-Timestamp
+ * and the raw body of the request.
+ * The requests older than the tolerance of the config are rejected.
+ * @param {Object} req - the request, with its raw body
+ * @param {Object} verificationConfig - the verification config: { secret, tolerance }
+ * @returns {String|null} the reason of the rejection, null if the request is verified
+ */
+const verifySignature = (req, { secret, tolerance = DEFAULT_TOLERANCE }) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  const timestamp = req.headers[TIMESTAMP_HEADER];
+  if (!signature) {
+    return 'missing signature';
+  }
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return 'missing timestamp';
+  }
+  if (!safeEqual(`${signature}`, computeSignature(timestamp, req.rawBody || '', secret))) {
+    return 'invalid signature';
+  }
+  if (Math.abs(Date.now() - parseInt(timestamp, 10)) > tolerance) {
+    return 'expired signature';
+  }
+  return null;
+};
+
+/**
+ * Checks the bearer token of a request, in the header Authorization: Bearer <token>.
+ * @param {Object} req - the request
+ * @param {Object} verificationConfig - the verification config: { tokens }
+ * @returns {String|null} the reason of the rejection, null if the request is verified
+ */
+const verifyToken = (req, { tokens }) => {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    return 'missing bearer token';
+  }
+  // all the tokens are compared, so that the time does not depend on the matching token
+  const valid = tokens.reduce((found, token) => safeEqual(token, match[1]) || found, false);
+  return valid ? null : 'invalid bearer token';
+};
+
+/**
+ * Checks the ip of a request, the ipv4 addresses mapped to ipv6 ones are compared as ipv4.
+ * Behind a proxy, the express app should trust it so that the ip is the one of the client.
+ * @param {Object} req - the request
+ * @param {Object} verificationConfig - the verification config: { ips }
+ * @returns {String|null} the reason of the rejection, null if the request is verified
+ */
+const verifyIp = (req, { ips }) => {
+  const address = req.ip || (req.connection && req.connection.remoteAddress) || '';
+  const ip = address.replace(/^::ffff:/, '');
+  return ips.includes(ip) ? null : `ip ${ip} not allowed`;
+};
+
+// the verification of each scheme, with the key of its parameter in the verification config
+const VERIFICATIONS = {
+  [SIGNATURE_SCHEME]: { key: 'secret', verify: verifySignature },
+  [TOKEN_SCHEME]: { key: 'tokens', verify: verifyToken },
+  [IP_SCHEME]: { key: 'ips', verify: verifyIp },
+};
+
+const isStringArray = value =>
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+/**
+ * Checks a verification config when the bot starts.
+ * @param {Object} verificationConfig - the verification config
+ * @param {String} name - the name of the config parameter, used in the error messages
+ * @returns {void}
+ */
+const validateVerificationConfig = (verificationConfig, name) => {
+  const { secret, tokens, ips, tolerance } = verificationConfig;
+  const fail = (message) => {
+    throw new ConfigurationError(`Invalid adapter parameter ${name}: ${message}.`);
+  };
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+    fail('secret should be a non empty string');
+  }
+  if (tokens !== undefined && !isStringArray(tokens)) {
+    fail('tokens should be an array of non empty strings');
+  }
+  if (ips !== undefined && !isStringArray(ips)) {
+    fail('ips should be an array of non empty strings');
+  }
+  if (tolerance !== undefined && !(typeof tolerance === 'number' && tolerance > 0)) {
+    fail('tolerance should be a positive number of ms');
+  }
+};
+
+/**
+ * Gets the schemes enabled by a verification config.
+ * @param {Object} verificationConfig - the verification config
+ * @returns {String[]} the schemes
+ */
+const getConfiguredSchemes = verificationConfig =>
+  Object.keys(VERIFICATIONS).filter(scheme => verificationConfig[VERIFICATIONS[scheme].key]);
+
+/**
+ * Verifies a request with the configured schemes, all of them have to accept the request.
+ * The request can be an express request or a plain http request.
+ * @param {Object} req - the request
+ * @param {String[]} schemes - the schemes to check
+ * @param {Object} verificationConfig - the verification config: { secret, tolerance, tokens, ips }
+ * @returns {String|null} the reason of the rejection, null if the request is verified
+ */
+const getRejectionReason = (req, schemes, verificationConfig) => {
+  for (const scheme of schemes) {
+    const { key, verify } = VERIFICATIONS[scheme];
+    const reason = verificationConfig[key] && verify(req, verificationConfig);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  SIGNATURE_SCHEME,
+  TOKEN_SCHEME,
+  IP_SCHEME,
+  safeEqual,
+  computeSignature,
+  validateVerificationConfig,
+  getConfiguredSchemes,
+  getRejectionReason,
+};
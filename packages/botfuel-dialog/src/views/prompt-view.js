@@ -15,7 +15,9 @@
  */
 
 const logger = require('logtown')('PromptView');
+const ActionsMessage = require('../messages/actions-message');
 const BotTextMessage = require('../messages/bot-text-message');
+const Postback = require('../messages/postback');
 const View = require('./view');
 
 /**
@@ -24,10 +26,24 @@ const View = require('./view');
  */
 class PromptView extends View {
   /** @inheritDoc */
-  render(userMessage, { matchedEntities, missingEntities }) {
-    logger.debug('render', { matchedEntities, missingEntities });
+  render(userMessage, data) {
+    const { matchedEntities, missingEntities, invalidEntities = {} } = data;
+    logger.debug('render', { matchedEntities, missingEntities, invalidEntities });
+    if (data.reviewing) {
+      return this.renderReview(userMessage, data);
+    }
 
     const messages = [];
+    if (Object.keys(invalidEntities).length !== 0) {
+      messages.push(
+        new BotTextMessage(
+          `Entities rejected: ${Object.keys(invalidEntities)
+            .map(name => `${name} (${invalidEntities[name].error})`)
+            .join(', ')}`,
+        ),
+      );
+    }
+
     if (Object.keys(matchedEntities).length !== 0) {
       messages.push(
         new BotTextMessage(
@@ -47,6 +63,31 @@ class PromptView extends View {
     }
     return messages;
   }
+
+  /**
+   * Renders the summary of the matched entities, with postbacks
+   * to edit each entity and to confirm the summary.
+   * @param {Object} userMessage - the user message
+   * @param {Object} data - data used at display time,
+   * containing matchedEntities and the dialogName
+   * @returns {Object[]} an array of bot messages
+   */
+  renderReview(userMessage, { matchedEntities, dialogName }) {
+    logger.debug('renderReview', { matchedEntities, dialogName });
+    const names = Object.keys(matchedEntities).filter(name => !!matchedEntities[name]);
+    const summary = names
+      .map(name => `${name}: ${[].concat(matchedEntities[name]).map(e => e.body).join(', ')}`)
+      .join('\n');
+    const getPostback = (text, review) =>
+      new Postback(text, { name: dialogName, data: { messageEntities: [], review } });
+    return [
+      new BotTextMessage(`Summary:\n${summary}`),
+      new ActionsMessage([
+        ...names.map(name => getPostback(`Edit ${name}`, { action: 'edit', entity: name })),
+        getPostback('Confirm', { action: 'confirm' }),
+      ]),
+    ];
+  }
 }
 
 module.exports = PromptView;
@@ -18,6 +18,7 @@
 
 const Bot = require('../../src/bot');
 const Adapter = require('../../src/adapters/adapter');
+const BotImageMessage = require('../../src/messages/bot-image-message');
 const BotTextMessage = require('../../src/messages/bot-text-message');
 const UserTextMessage = require('../../src/messages/user-text-message');
 
@@ -59,6 +60,26 @@ describe('Adapter', () => {
     expect(conversation._dialogs.previous.length).toBe(1);
   });
 
+  test('should send the messages not supported by the platform as fallback messages', async () => {
+    const adapter = new Adapter({});
+    adapter.getSupportedMessageTypes = () => ['text'];
+    adapter.sendMessage = jest.fn();
+    const image = new BotImageMessage('https://botfuel.io/image.jpg').toJson(userId);
+    await adapter.sendMessages([new BotTextMessage('message').toJson(userId), image]);
+    expect(adapter.sendMessage).toHaveBeenCalledTimes(2);
+    expect(adapter.sendMessage.mock.calls[1][0]).toHaveProperty('type', 'text');
+    expect(adapter.sendMessage.mock.calls[1][0]).toHaveProperty(
+      'payload.value',
+      'https://botfuel.io/image.jpg',
+    );
+  });
+
+  test('should declare only the texts without feature by default', () => {
+    const adapter = new Adapter({});
+    expect(adapter.getSupportedMessageTypes()).toEqual(['text']);
+    expect(adapter.getSupportedFeatures()).toEqual([]);
+  });
+
   describe('Should throw missing implementation error for methods', () => {
     test('sendMessage', async () => {
       expect.assertions(1);
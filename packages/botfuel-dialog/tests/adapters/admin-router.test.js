@@ -0,0 +1,171 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const http = require('http');
+const rp = require('request-promise-native');
+const Bot = require('../../src/bot');
+const WebAdapter = require('../../src/adapters/web-adapter');
+
+const USER_ID = 'USER_TEST';
+const TOKEN = 'ADMIN_TOKEN';
+
+describe('Admin router', () => {
+  const bot = new Bot({
+    adapter: { name: 'test', admin: { token: TOKEN } },
+    brain: { name: 'memory' },
+  });
+  const { brain } = bot;
+  const server = http.createServer(new WebAdapter(bot).createApp());
+
+  const request = (method, uri, { body, token = TOKEN } = {}) =>
+    rp({
+      method,
+      uri: `http://127.0.0.1:${server.address().port}/admin${uri}`,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body,
+      json: true,
+      simple: false,
+      resolveWithFullResponse: true,
+    });
+
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await brain.clean();
+    await brain.addUser(USER_ID);
+    await brain.userSet(USER_ID, 'firstName', 'Alex');
+    await brain.addUser('OTHER_USER');
+  });
+
+  test('should reject the requests without the admin token', async () => {
+    expect((await request('GET', '/users', { token: null })).statusCode).toBe(401);
+    expect((await request('GET', '/users', { token: 'OTHER' })).statusCode).toBe(401);
+  });
+
+  test('should list and search the users', async () => {
+    const { statusCode, body } = await request('GET', '/users');
+    expect(statusCode).toBe(200);
+    expect(body).toMatchObject({ total: 2, offset: 0, limit: 50 });
+    expect(body.users.map(user => user.userId).sort()).toEqual(['OTHER_USER', USER_ID]);
+    expect(body.users[0]).toMatchObject({ conversations: 1, handover: null });
+    const { body: found } = await request('GET', '/users?search=alex');
+    expect(found.users.map(user => user.userId)).toEqual([USER_ID]);
+    const { body: foundById } = await request('GET', '/users?search=other');
+    expect(foundById.users.map(user => user.userId)).toEqual(['OTHER_USER']);
+  });
+
+  test('should paginate the users', async () => {
+    const { body } = await request('GET', '/users?offset=1&limit=1');
+    expect(body).toMatchObject({ total: 2, offset: 1, limit: 1 });
+    expect(body.users).toHaveLength(1);
+    expect((await request('GET', '/users?limit=0')).statusCode).toBe(400);
+    expect((await request('GET', '/users?limit=1000')).statusCode).toBe(400);
+    expect((await request('GET', '/users?offset=-1')).statusCode).toBe(400);
+  });
+
+  test('should respond 500 when the user can not be checked', async () => {
+    const hasUser = jest
+      .spyOn(Object.getPrototypeOf(brain), 'hasUser')
+      .mockImplementation(async () => {
+        throw new Error('Brain failure');
+      });
+    const { statusCode, body } = await request('GET', `/users/${USER_ID}`);
+    hasUser.mockRestore();
+    expect(statusCode).toBe(500);
+    expect(body).toEqual({ error: 'Brain failure' });
+  });
+
+  test('should get a user', async () => {
+    const { statusCode, body } = await request('GET', `/users/${USER_ID}`);
+    expect(statusCode).toBe(200);
+    expect(body).toMatchObject({ userId: USER_ID, keys: { firstName: 'Alex' } });
+    expect((await request('GET', '/users/UNKNOWN')).statusCode).toBe(404);
+  });
+
+  test('should edit the user keys', async () => {
+    const { statusCode, body } = await request('PUT', `/users/${USER_ID}/keys/firstName`, {
+      body: { value: 'Sam' },
+    });
+    expect(statusCode).toBe(200);
+    expect(body).toEqual({ firstName: 'Sam' });
+    expect(await brain.userGet(USER_ID, 'firstName')).toBe('Sam');
+    const internal = await request('PUT', `/users/${USER_ID}/keys/_handover`, {
+      body: { value: null },
+    });
+    expect(internal.statusCode).toBe(400);
+    const noValue = await request('PUT', `/users/${USER_ID}/keys/firstName`, { body: {} });
+    expect(noValue.statusCode).toBe(400);
+  });
+
+  test('should get the conversations, the last first', async () => {
+    await brain.conversationSet(USER_ID, '_dialogs', {
+      stack: [{ name: 'travel', data: {} }],
+      previous: [],
+    });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + 1000);
+    const conversation = await brain.addConversation(USER_ID);
+    Date.now.mockRestore();
+    const { statusCode, body } = await request('GET', `/users/${USER_ID}/conversations`);
+    expect(statusCode).toBe(200);
+    expect(body).toHaveLength(2);
+    expect(body[0].uuid).toBe(conversation.uuid);
+    expect(body[1].dialogs.stack.map(dialog => dialog.name)).toEqual(['travel']);
+    expect(body[1].transcript).toEqual([]);
+  });
+
+  test('should get and reset the dialogs', async () => {
+    const dialogs = { stack: [{ name: 'travel', data: {} }], previous: [] };
+    await brain.setDialogs(USER_ID, dialogs);
+    expect((await request('GET', `/users/${USER_ID}/dialogs`)).body).toEqual(dialogs);
+    const { statusCode } = await request('DELETE', `/users/${USER_ID}/dialogs`);
+    expect(statusCode).toBe(200);
+    expect(await brain.getDialogs(USER_ID)).toEqual({ stack: [], previous: [] });
+  });
+
+  test('should delete a user and its jobs', async () => {
+    await bot.scheduler.schedule(USER_ID, { name: 'travel', data: {} }, Date.now() + 60000);
+    await bot.scheduler.schedule('OTHER_USER', { name: 'travel', data: {} }, Date.now() + 60000);
+    const { statusCode } = await request('DELETE', `/users/${USER_ID}`);
+    expect(statusCode).toBe(204);
+    expect(await brain.hasUser(USER_ID)).toBe(false);
+    expect(await brain.getJobs(USER_ID)).toEqual([]);
+    expect(await brain.getJobs('OTHER_USER')).toHaveLength(1);
+  });
+
+  test('should get a global value', async () => {
+    await brain.botSet('version', 2);
+    const { statusCode, body } = await request('GET', '/bot/version');
+    expect(statusCode).toBe(200);
+    expect(body).toEqual({ key: 'version', value: 2 });
+  });
+
+  test('should not serve the admin routes without admin token', () => {
+    const app = { use: jest.fn(), get: jest.fn(), post: jest.fn() };
+    const { admin } = bot.config.adapter;
+    delete bot.config.adapter.admin;
+    new WebAdapter(bot).createRoutes(app);
+    bot.config.adapter.admin = admin;
+    expect(app.use.mock.calls.map(call => call[0])).not.toContain('/admin');
+  });
+});
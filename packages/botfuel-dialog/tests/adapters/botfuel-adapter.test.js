@@ -18,6 +18,9 @@
 
 const BotfuelAdapter = require('../../src/adapters/botfuel-adapter');
 const BotTextMessage = require('../../src/messages/bot-text-message');
+const Card = require('../../src/messages/card');
+const CardsMessage = require('../../src/messages/cards-message');
+const Link = require('../../src/messages/link');
 
 const userId = 'USER';
 
@@ -46,6 +49,32 @@ describe('BotfuelAdapter', () => {
     expect(body).toEqual(botMessage);
   });
 
+  test('should translate the cards to the webchat format', () => {
+    const link = new Link('Details', 'https://card1');
+    const botMessage = new CardsMessage(
+      [
+        new Card('Card 1', ['https://image1.jpg', 'https://image2.jpg'], [link], {
+          subtitle: 'The first card',
+          defaultAction: link,
+        }),
+      ],
+      { layout: 'list' },
+    ).toJson(userId);
+    const body = new BotfuelAdapter({}).getBody(botMessage);
+    expect(body.payload).toEqual({
+      value: [
+        {
+          title: 'Card 1',
+          subtitle: 'The first card',
+          image_url: 'https://image1.jpg',
+          buttons: [link.toJson()],
+          default_action: link.toJson(),
+        },
+      ],
+      options: { layout: 'list' },
+    });
+  });
+
   test('should return an empty object for the query string', () => {
     const qs = new BotfuelAdapter({}).getQueryParameters();
     expect(qs).toEqual({});
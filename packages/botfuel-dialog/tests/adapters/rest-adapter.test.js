@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const path = require('path');
+const Bot = require('../../src/bot');
+const RestAdapter = require('../../src/adapters/rest-adapter');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+
+const USER_ID = 'USER_TEST';
+
+const getResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+const getTravelRequest = city => ({
+  body: new PostbackMessage({
+    name: 'travel',
+    data: {
+      messageEntities: [{ dim: 'city', body: city, values: [{ value: city, type: 'string' }] }],
+    },
+  }).toJson(USER_ID),
+});
+
+describe('RestAdapter', () => {
+  const bot = new Bot({
+    path: path.join(__dirname, '../scenarios'),
+    adapter: { name: 'rest' },
+    brain: { name: 'memory' },
+    nlu: { name: 'local' },
+  });
+  const { adapter, brain } = bot;
+
+  beforeAll(async () => {
+    await bot.init();
+  });
+
+  beforeEach(async () => {
+    await brain.clean();
+  });
+
+  test('should be resolved by the bot', () => {
+    expect(adapter).toBeInstanceOf(RestAdapter);
+  });
+
+  test('should respond the bot messages of the turn', async () => {
+    const res = getResponse();
+    await adapter.handleRequest(getTravelRequest('Paris'), res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    const botMessages = res.send.mock.calls[0][0];
+    expect(botMessages).toHaveLength(1);
+    expect(botMessages[0]).toMatchObject(
+      new BotTextMessage('Have a nice trip to Paris!').toJson(USER_ID),
+    );
+    expect(botMessages[0]).toHaveProperty('id');
+    expect(botMessages[0]).toHaveProperty('timestamp');
+  });
+
+  test('should send the proactive messages with the next response', async () => {
+    await bot.sendProactive(USER_ID, { name: 'travel', data: { city: 'Rome' } });
+    const res = getResponse();
+    await adapter.handleRequest(getTravelRequest('Paris'), res);
+    expect(res.send.mock.calls[0][0].map(botMessage => botMessage.payload.value)).toEqual([
+      'Have a nice trip to Rome!',
+      'Have a nice trip to Paris!',
+    ]);
+    const nextRes = getResponse();
+    await adapter.handleRequest(getTravelRequest('Berlin'), nextRes);
+    expect(nextRes.send.mock.calls[0][0]).toHaveLength(1);
+  });
+
+  test('should keep a bounded number of proactive messages', async () => {
+    const { outboxSize } = adapter;
+    adapter.outboxSize = 2;
+    try {
+      for (const city of ['Paris', 'Rome', 'Berlin']) {
+        // eslint-disable-next-line no-await-in-loop
+        await bot.sendProactive(USER_ID, { name: 'travel', data: { city } });
+      }
+    } finally {
+      adapter.outboxSize = outboxSize;
+    }
+    expect(adapter.takeMessages(USER_ID).map(botMessage => botMessage.payload.value)).toEqual([
+      'Have a nice trip to Rome!',
+      'Have a nice trip to Berlin!',
+    ]);
+  });
+
+  test('should drop the expired proactive messages', async () => {
+    await bot.sendProactive(USER_ID, { name: 'travel', data: { city: 'Rome' } });
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockImplementation(() => now + adapter.outboxDuration + 1);
+    adapter.pruneOutboxes();
+    spy.mockRestore();
+    expect(adapter.outboxes[USER_ID]).toBeUndefined();
+  });
+
+  test('should reject a request without user message', async () => {
+    const res = getResponse();
+    await adapter.handleRequest({ body: { text: 'hello' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should respond to the concurrent requests of a user with their own turns', async () => {
+    const responses = [getResponse(), getResponse()];
+    await Promise.all([
+      adapter.handleRequest(getTravelRequest('Paris'), responses[0]),
+      adapter.handleRequest(getTravelRequest('Rome'), responses[1]),
+    ]);
+    expect(responses.map(res => res.send.mock.calls[0][0].map(botMessage =>
+      botMessage.payload.value))).toEqual([
+      ['Have a nice trip to Paris!'],
+      ['Have a nice trip to Rome!'],
+    ]);
+    expect(adapter.outboxes[USER_ID]).toBeUndefined();
+  });
+
+  test('should respond 500 when the turn fails', async () => {
+    const spy = jest.spyOn(bot, 'handleMessage').mockImplementation(async () => {
+      throw new Error('bot error');
+    });
+    const res = getResponse();
+    await adapter.handleRequest(getTravelRequest('Paris'), res);
+    spy.mockRestore();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
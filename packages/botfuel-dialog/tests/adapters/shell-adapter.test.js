@@ -17,7 +17,17 @@
 /* eslint-disable quotes */
 
 const ShellAdapter = require('../../src/adapters/shell-adapter');
+const MemoryBrain = require('../../src/brains/memory-brain');
+const BotImageMessage = require('../../src/messages/bot-image-message');
+const BotTableMessage = require('../../src/messages/bot-table-message');
 const BotTextMessage = require('../../src/messages/bot-text-message');
+const Card = require('../../src/messages/card');
+const CardsMessage = require('../../src/messages/cards-message');
+const Postback = require('../../src/messages/postback');
+const PostbackMessage = require('../../src/messages/postback-message');
+const QuickrepliesMessage = require('../../src/messages/quickreplies-message');
+const Quickreply = require('../../src/messages/quickreply');
+const { MESSAGE_TYPES } = require('../../src/utils/fallbacks');
 
 describe('ShellAdapter', () => {
   test('should add properties to the json message', async () => {
@@ -27,4 +37,148 @@ describe('ShellAdapter', () => {
     expect(extended).toHaveProperty('user', 'USER');
     expect(extended).toHaveProperty('payload.value', 'message');
   });
+
+  test('should print the proactive messages of the shell user', async () => {
+    const adapter = new ShellAdapter({});
+    adapter.sendMessage = jest.fn();
+    const botMessage = new BotTextMessage('message').toJson(adapter.userId);
+    await adapter.sendProactiveMessages(adapter.userId, [botMessage]);
+    expect(adapter.sendMessage).toHaveBeenCalledTimes(1);
+    expect(adapter.sendMessage.mock.calls[0][0]).toHaveProperty('payload.value', 'message');
+  });
+
+  test('should ignore the proactive messages of other users', async () => {
+    const adapter = new ShellAdapter({});
+    adapter.sendMessage = jest.fn();
+    const botMessage = new BotTextMessage('message').toJson('OTHER_USER');
+    await adapter.sendProactiveMessages('OTHER_USER', [botMessage]);
+    expect(adapter.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('should send the selected quick reply as a postback', async () => {
+    const adapter = new ShellAdapter({});
+    adapter.rl.question = jest.fn((question, callback) => callback('2'));
+    adapter.handleMessage = jest.fn();
+    const dialogData = { name: 'travel', data: { messageEntities: [] } };
+    const quickreplies = new QuickrepliesMessage(['Stay', new Quickreply('Travel', dialogData)]);
+    await adapter.sendMessage(quickreplies.toJson(adapter.userId));
+    expect(adapter.rl.question.mock.calls[0][0]).toContain('2: Travel');
+    expect(adapter.handleMessage).toHaveBeenCalledWith(
+      new PostbackMessage(dialogData).toJson(adapter.userId),
+    );
+  });
+
+  test('should print the cards and send the selected card action', async () => {
+    const adapter = new ShellAdapter({});
+    adapter.rl.question = jest.fn((question, callback) => callback('1'));
+    adapter.handleMessage = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const dialogData = { name: 'products', data: { messageEntities: [] } };
+    const cards = new CardsMessage([
+      new Card('Card 1', 'https://image1.jpg', [new Postback('Buy', dialogData)], {
+        subtitle: 'The first card',
+      }),
+    ]);
+    await adapter.sendMessages([cards.toJson(adapter.userId)]);
+    expect(console.log.mock.calls[0][0]).toContain('The first card'); // eslint-disable-line no-console
+    console.log.mockRestore(); // eslint-disable-line no-console
+    expect(adapter.rl.question.mock.calls[0][0]).toContain('1: (postback) Buy');
+    expect(adapter.handleMessage).toHaveBeenCalledWith(
+      new PostbackMessage(dialogData).toJson(adapter.userId),
+    );
+  });
+
+  test('should use the user id of the config', async () => {
+    expect(new ShellAdapter({}).userId).toBe('SHELL_USER');
+    const config = { adapter: { name: 'shell', userId: 'DEVELOPER' } };
+    expect(new ShellAdapter({ config }).userId).toBe('DEVELOPER');
+  });
+
+  test('should render every message type without fallback', () => {
+    const adapter = new ShellAdapter({});
+    expect(adapter.getSupportedMessageTypes()).toEqual(MESSAGE_TYPES);
+  });
+
+  test('should print the images and the tables', async () => {
+    const adapter = new ShellAdapter({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const table = new BotTableMessage({
+      schema: [{ name: 'Name' }],
+      rows: [{ name: 'Paris' }],
+    });
+    await adapter.sendMessages([
+      new BotImageMessage('https://image.jpg').toJson(adapter.userId),
+      table.toJson(adapter.userId),
+    ]);
+    const logs = console.log.mock.calls.map(call => call[0]); // eslint-disable-line no-console
+    console.log.mockRestore(); // eslint-disable-line no-console
+    expect(logs[0]).toContain('[image] https://image.jpg');
+    expect(logs[1]).toContain('Name');
+    expect(logs[1]).toContain('Paris');
+  });
+
+  describe('commands', () => {
+    const brain = new MemoryBrain({ brain: { conversationDuration: 86400000 } });
+    let adapter;
+    let logs;
+
+    beforeEach(async () => {
+      await brain.clean();
+      adapter = new ShellAdapter({ brain });
+      jest.spyOn(console, 'log').mockImplementation((log) => {
+        logs.push(log);
+      });
+      logs = [];
+    });
+
+    afterEach(() => {
+      console.log.mockRestore(); // eslint-disable-line no-console
+    });
+
+    test('should start a new conversation', async () => {
+      await brain.addUser(adapter.userId);
+      await brain.conversationSet(adapter.userId, 'key', 'value');
+      await adapter.handleCommand('/reset');
+      expect(await brain.conversationGet(adapter.userId, 'key')).toBeUndefined();
+    });
+
+    test('should print the dialogs', async () => {
+      await adapter.handleCommand('/stack');
+      expect(logs[0]).toContain('"stack": []');
+      expect(logs[0]).toContain('"previous": []');
+    });
+
+    test('should print the user data', async () => {
+      await adapter.handleCommand('/brain');
+      expect(logs[0]).toContain('"_userId": "SHELL_USER"');
+    });
+
+    test('should change the user', async () => {
+      await adapter.handleCommand('/user OTHER_USER');
+      expect(adapter.userId).toBe('OTHER_USER');
+    });
+
+    test('should send a postback', async () => {
+      adapter.handleMessage = jest.fn();
+      await adapter.handleCommand('/postback travel {"city": "Paris"}');
+      expect(adapter.handleMessage).toHaveBeenCalledWith(
+        new PostbackMessage({
+          name: 'travel',
+          data: { messageEntities: [], city: 'Paris' },
+        }).toJson(adapter.userId),
+      );
+    });
+
+    test('should print an error for an invalid postback', async () => {
+      adapter.handleMessage = jest.fn();
+      await adapter.handleCommand('/postback travel {city}');
+      expect(adapter.handleMessage).not.toHaveBeenCalled();
+      expect(logs).toHaveLength(1);
+    });
+
+    test('should print an error for an unknown command', async () => {
+      await adapter.handleCommand('/unknown');
+      expect(logs[0]).toContain('Unknown command /unknown');
+    });
+  });
 });
@@ -19,6 +19,9 @@
 const Bot = require('../../src/bot');
 const TestAdapter = require('../../src/adapters/test-adapter');
 const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+const QuickrepliesMessage = require('../../src/messages/quickreplies-message');
+const Quickreply = require('../../src/messages/quickreply');
 const UserTextMessage = require('../../src/messages/user-text-message');
 
 describe('TestAdapter', () => {
@@ -40,4 +43,41 @@ describe('TestAdapter', () => {
     const conversation = await bot.brain.fetchLastConversation(bot.adapter.userId);
     expect(conversation._dialogs.previous.length).toBe(2);
   });
+
+  test('should log proactive messages', async () => {
+    const bot = new Bot({ adapter: { name: 'test' } });
+    await bot.init();
+    const botMessages = await bot.sendProactive(bot.adapter.userId, { name: 'default', data: {} });
+    expect(botMessages).toHaveLength(1);
+    expect(bot.adapter.log).toEqual([
+      new BotTextMessage('Not understood.').toJson(bot.adapter.userId),
+    ]);
+    const conversation = await bot.brain.fetchLastConversation(bot.adapter.userId);
+    expect(conversation._dialogs.previous.length).toBe(1);
+  });
+
+  test('should play the selection of a quick reply with a postback', async () => {
+    const bot = new Bot({ adapter: { name: 'test' } });
+    await bot.init();
+    const { adapter } = bot;
+    const dialogData = { name: 'default', data: { messageEntities: [] } };
+    const quickreplies = new QuickrepliesMessage([new Quickreply('Help', dialogData)]);
+    adapter.log = [quickreplies.toJson(adapter.userId)];
+    await adapter.selectQuickreply('Help');
+    expect(adapter.log.slice(1)).toEqual([
+      new PostbackMessage(dialogData).toJson(adapter.userId),
+      new BotTextMessage('Not understood.').toJson(adapter.userId),
+    ]);
+  });
+
+  test('should not select an unknown quick reply', async () => {
+    const adapter = new TestAdapter({});
+    adapter.log = [new QuickrepliesMessage(['yes', 'no']).toJson(adapter.userId)];
+    expect.assertions(1);
+    try {
+      await adapter.selectQuickreply('maybe');
+    } catch (e) {
+      expect(e.message).toEqual("No quick reply 'maybe' to select");
+    }
+  });
 });
@@ -17,7 +17,18 @@
 /* eslint-disable quotes */
 
 const validUrl = require('valid-url');
+const Bot = require('../../src/bot');
 const WebAdapter = require('../../src/adapters/web-adapter');
+const BotfuelAdapter = require('../../src/adapters/botfuel-adapter');
+
+const getResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.sendStatus = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  return res;
+};
 
 describe('WebAdapter', () => {
   test('should throw a missing implementation error', async () => {
@@ -44,4 +55,176 @@ describe('WebAdapter', () => {
   test('should resolve template image url to a correct uri', async () => {
     expect(validUrl.isWebUri(WebAdapter.getImageUrl('product.handlebars', {}))).toBeDefined();
   });
+
+  describe('agent routes', () => {
+    const bot = new Bot({ adapter: { name: 'test' }, brain: { name: 'memory' } });
+    const webAdapter = new WebAdapter(bot);
+    const { brain } = bot;
+    const USER_ID = 'USER_TEST';
+
+    beforeEach(async () => {
+      await brain.clean();
+      await brain.addUser(USER_ID);
+      await brain.startHandover(USER_ID);
+    });
+
+    test('should list the users waiting for an agent', async () => {
+      const res = getResponse();
+      await webAdapter.handleAgentQueue({}, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send.mock.calls[0][0].map(handover => handover.userId)).toEqual([USER_ID]);
+    });
+
+    test('should send the transcript of a user', async () => {
+      const res = getResponse();
+      await webAdapter.handleAgentTranscript({ params: { userId: USER_ID } }, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith([]);
+    });
+
+    test('should reject an agent message without text', async () => {
+      const res = getResponse();
+      await webAdapter.handleAgentMessage({ params: { userId: USER_ID }, body: {} }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should reject an agent message to a user not handed over', async () => {
+      const res = getResponse();
+      await webAdapter.handleAgentMessage({ params: { userId: 'UNKNOWN' }, body: { text: 'Hi' } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should hand the conversation back to the bot', async () => {
+      const res = getResponse();
+      await webAdapter.handleAgentHandback({ params: { userId: USER_ID } }, res);
+      expect(res.sendStatus).toHaveBeenCalledWith(200);
+      expect(await brain.isHandedOver(USER_ID)).toBe(false);
+    });
+
+    describe('mounting', () => {
+      const getAgentRoutes = (app) => {
+        webAdapter.createRoutes(app);
+        return [...app.get.mock.calls, ...app.post.mock.calls]
+          .filter(call => call[0].startsWith('/agent'));
+      };
+
+      afterEach(() => {
+        delete bot.config.adapter.operatorVerification;
+      });
+
+      test('should not mount the agent routes without operator tokens', () => {
+        const app = { use: jest.fn(), get: jest.fn(), post: jest.fn() };
+        expect(getAgentRoutes(app)).toEqual([]);
+      });
+
+      test('should respond 500 when an agent route fails', async () => {
+        bot.config.adapter.operatorVerification = { tokens: ['TOKEN'] };
+        const app = { use: jest.fn(), get: jest.fn(), post: jest.fn() };
+        const agentRoutes = getAgentRoutes(app);
+        expect(agentRoutes.length).toBe(4);
+        const handleQueue = agentRoutes.find(call => call[0] === '/agent/users')[1];
+        // the bot brain is wrapped by the metrics, its methods are spied on its prototype
+        const brainPrototype = Object.getPrototypeOf(brain);
+        const spy = jest.spyOn(brainPrototype, 'getAgentQueue').mockImplementation(async () => {
+          throw new Error('brain error');
+        });
+        const res = getResponse();
+        await handleQueue({ method: 'GET', path: '/agent/users' }, res);
+        spy.mockRestore();
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({ error: 'brain error' });
+      });
+    });
+  });
+
+  describe('request verification', () => {
+    const bot = new Bot({ adapter: { name: 'test' } });
+    const getRequest = (headers = {}) => ({
+      method: 'POST',
+      path: '/webhook',
+      headers,
+      ip: '127.0.0.1',
+    });
+
+    beforeEach(() => {
+      delete bot.config.adapter.verification;
+      delete bot.config.adapter.operatorVerification;
+    });
+
+    test('should accept the requests when no verification is configured', () => {
+      const next = jest.fn();
+      new WebAdapter(bot).createVerifier('verification', ['token'])(getRequest(), getResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject the requests without a valid token', () => {
+      bot.config.adapter.verification = { tokens: ['TOKEN'] };
+      const verify = new WebAdapter(bot).createVerifier('verification', ['token']);
+      const next = jest.fn();
+      const res = getResponse();
+      verify(getRequest({ authorization: 'Bearer OTHER' }), res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      verify(getRequest({ authorization: 'Bearer TOKEN' }), getResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should verify the webhook and the operator routes separately', () => {
+      bot.config.adapter.verification = { ips: ['10.0.0.1'] };
+      bot.config.adapter.operatorVerification = { tokens: ['TOKEN'] };
+      const app = { use: jest.fn(), get: jest.fn(), post: jest.fn() };
+      new BotfuelAdapter(bot).createRoutes(app);
+      const verifyWebhook = app.use.mock.calls.find(call => call[0] === '/webhook')[1];
+      const verifyOperator = app.use.mock.calls.find(call => Array.isArray(call[0]))[1];
+      const req = getRequest({ authorization: 'Bearer TOKEN' });
+      const next = jest.fn();
+      verifyWebhook(req, getResponse(), next);
+      expect(next).not.toHaveBeenCalled();
+      verifyOperator(req, getResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should not create the app with a scheme unsupported by the adapter', () => {
+      bot.config.adapter.verification = { secret: 'SECRET' };
+      expect(() => new BotfuelAdapter(bot).createApp()).toThrow(
+        'The adapter BotfuelAdapter does not support the verification schemes: signature.',
+      );
+    });
+
+    test('should not create the app with an invalid verification config', () => {
+      bot.config.adapter.operatorVerification = { tokens: 'TOKEN' };
+      expect(() => new WebAdapter(bot).createApp()).toThrow(
+        'Invalid adapter parameter operatorVerification: tokens should be an array',
+      );
+    });
+  });
+
+  describe('monitoring routes', () => {
+    const bot = new Bot({ adapter: { name: 'test' }, brain: { name: 'memory' } });
+    const webAdapter = new WebAdapter(bot);
+
+    test('should report the bot as healthy', () => {
+      const res = getResponse();
+      webAdapter.handleHealth({}, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should report the bot as ready once initialized', () => {
+      const res = getResponse();
+      webAdapter.handleReadiness({}, res);
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.send).toHaveBeenCalledWith({ ready: false, brain: false, nlu: false });
+      bot.readiness = { brain: true, nlu: true };
+      webAdapter.handleReadiness({}, res);
+      expect(res.status).toHaveBeenLastCalledWith(200);
+    });
+
+    test('should send the metrics in the prometheus text format', () => {
+      bot.metrics.increment('botfuel_messages_received_total', { type: 'text' });
+      const res = getResponse();
+      webAdapter.handleMetrics({}, res);
+      expect(res.type).toHaveBeenCalledWith('text/plain; version=0.0.4');
+      expect(res.send.mock.calls[0][0]).toContain('botfuel_messages_received_total{type="text"} 1');
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const Bot = require('../../src/bot');
+const WebSocketAdapter = require('../../src/adapters/websocket-adapter');
+const BotTableMessage = require('../../src/messages/bot-table-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+
+const USER_ID = 'USER_TEST';
+
+const getTravelMessage = city =>
+  new PostbackMessage({
+    name: 'travel',
+    data: {
+      messageEntities: [{ dim: 'city', body: city, values: [{ value: city, type: 'string' }] }],
+    },
+  }).toJson(USER_ID);
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timeout');
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebSocketAdapter', () => {
+  const bot = new Bot({
+    path: path.join(__dirname, '../scenarios'),
+    adapter: { name: 'websocket' },
+    brain: { name: 'memory' },
+    nlu: { name: 'local' },
+  });
+  const { adapter, brain } = bot;
+  const server = http.createServer(adapter.createApp());
+  const USER_QUERY = `?userId=${USER_ID}&token=${adapter.getUserToken(USER_ID)}`;
+  let sockets = [];
+
+  const connect = query =>
+    new Promise((resolve, reject) => {
+      const { port } = server.address();
+      const socket = new WebSocket(`ws://127.0.0.1:${port}/socket${query || ''}`);
+      socket.events = [];
+      socket.on('message', data => socket.events.push(JSON.parse(data)));
+      socket.on('open', () => resolve(socket));
+      socket.on('error', reject);
+      sockets.push(socket);
+    });
+
+  beforeAll(async () => {
+    await bot.init();
+    adapter.handleServer(server);
+    await new Promise(resolve => server.listen(0, resolve));
+  });
+
+  beforeEach(async () => {
+    await brain.clean();
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets) {
+      socket.close();
+    }
+    sockets = [];
+    await waitFor(() => Object.keys(adapter.sockets).length === 0);
+  });
+
+  afterAll(async () => {
+    adapter.socketServer.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should be resolved by the bot', () => {
+    expect(adapter).toBeInstanceOf(WebSocketAdapter);
+  });
+
+  test('should bind the socket to the user id', async () => {
+    const socket = await connect(USER_QUERY);
+    await waitFor(() => socket.events.length === 1);
+    expect(socket.events).toEqual([
+      { event: 'connected', userId: USER_ID, token: adapter.getUserToken(USER_ID) },
+    ]);
+    expect(adapter.sockets[USER_ID]).toHaveLength(1);
+  });
+
+  test('should not bind the socket to a user id without its token', async () => {
+    const socket = await connect(`?userId=${USER_ID}&token=${adapter.getUserToken('OTHER_USER')}`);
+    await waitFor(() => socket.events.length === 1);
+    expect(socket.events[0].userId).not.toBe(USER_ID);
+    expect(adapter.sockets[USER_ID]).toBeUndefined();
+  });
+
+  test('should reject the connections from an ip not allowed', async () => {
+    bot.config.adapter.verification = { ips: ['10.0.0.1'] };
+    try {
+      await expect(connect(USER_QUERY)).rejects.toBeDefined();
+    } finally {
+      delete bot.config.adapter.verification;
+    }
+  });
+
+  test('should bind the socket to a new user id', async () => {
+    const socket = await connect();
+    await waitFor(() => socket.events.length === 1);
+    expect(socket.events[0].userId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should push the bot messages between typing indicators', async () => {
+    const socket = await connect(USER_QUERY);
+    socket.send(JSON.stringify({ ...getTravelMessage('Paris'), user: 'OTHER_USER' }));
+    await waitFor(() => socket.events.length === 4);
+    expect(socket.events.map(event => event.event)).toEqual([
+      'connected',
+      'typing',
+      'message',
+      'typing',
+    ]);
+    expect(socket.events[1].typing).toBe(true);
+    expect(socket.events[2].message).toMatchObject({
+      type: 'text',
+      user: USER_ID,
+      payload: { value: 'Have a nice trip to Paris!' },
+    });
+    expect(socket.events[3].typing).toBe(false);
+  });
+
+  test('should send an error for invalid data', async () => {
+    const socket = await connect(USER_QUERY);
+    socket.send('hello');
+    await waitFor(() => socket.events.length === 2);
+    expect(socket.events[1]).toEqual({
+      event: 'error',
+      message: 'The data should be a user message json',
+    });
+  });
+
+  test('should send an error when the message can not be handled', async () => {
+    const spy = jest.spyOn(bot, 'handleMessage').mockImplementation(async () => {
+      throw new Error('bot error');
+    });
+    const socket = await connect(USER_QUERY);
+    socket.send(JSON.stringify(getTravelMessage('Paris')));
+    await waitFor(() => socket.events.some(event => event.event === 'error'));
+    spy.mockRestore();
+    expect(socket.events.find(event => event.event === 'error')).toEqual({
+      event: 'error',
+      message: 'The message could not be handled',
+    });
+  });
+
+  test('should degrade the tables the client does not display to text', async () => {
+    const socket = await connect(USER_QUERY);
+    const table = new BotTableMessage({ schema: [{ city: 'City' }], rows: [{ city: 'Paris' }] });
+    await adapter.sendProactiveMessages(USER_ID, [table.toJson(USER_ID)]);
+    await waitFor(() => socket.events.length === 2);
+    expect(socket.events[1].message).toMatchObject({
+      type: 'text',
+      user: USER_ID,
+      payload: { value: 'City\nParis' },
+    });
+  });
+
+  test('should send the undelivered messages on reconnection', async () => {
+    await adapter.handleMessage(getTravelMessage('Rome'));
+    expect(adapter.outboxes[USER_ID]).toHaveLength(1);
+    const socket = await connect(USER_QUERY);
+    await waitFor(() => socket.events.length === 2);
+    expect(socket.events[1].message.payload.value).toBe('Have a nice trip to Rome!');
+    expect(adapter.outboxes[USER_ID]).toBeUndefined();
+  });
+
+  test('should keep a bounded number of undelivered messages', async () => {
+    const { outboxSize } = adapter;
+    adapter.outboxSize = 2;
+    try {
+      for (const city of ['Paris', 'Rome', 'Berlin']) {
+        // eslint-disable-next-line no-await-in-loop
+        await adapter.handleMessage(getTravelMessage(city));
+      }
+    } finally {
+      adapter.outboxSize = outboxSize;
+    }
+    expect(adapter.outboxes[USER_ID].map(({ botMessage }) => botMessage.payload.value)).toEqual([
+      'Have a nice trip to Rome!',
+      'Have a nice trip to Berlin!',
+    ]);
+    delete adapter.outboxes[USER_ID];
+  });
+
+  test('should drop the expired undelivered messages', async () => {
+    await adapter.handleMessage(getTravelMessage('Rome'));
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockImplementation(() => now + adapter.outboxDuration + 1);
+    adapter.pruneOutboxes();
+    spy.mockRestore();
+    expect(adapter.outboxes[USER_ID]).toBeUndefined();
+  });
+
+  test('should serve the sample client', async () => {
+    const { port } = server.address();
+    const statusCode = await new Promise((resolve) => {
+      http.get(`http://127.0.0.1:${port}/static/websocket-client.html`, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+    });
+    expect(statusCode).toBe(200);
+  });
+});
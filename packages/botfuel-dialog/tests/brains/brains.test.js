@@ -30,9 +30,14 @@ const MONGO_BRAIN_LABEL = 'mongo';
 const BRAIN_CONFIG = {
   brain: {
     conversationDuration: 86400000, // one day in ms
+    turnLeaseDuration: 30000, // 30 seconds in ms
+    historySize: 2,
+    transcriptSize: 3,
   },
 };
 
+const delay = duration => new Promise(resolve => setTimeout(resolve, duration));
+
 const brainTest = (brainLabel) => {
   let sandbox;
   let brain;
@@ -88,6 +93,13 @@ const brainTest = (brainLabel) => {
     expect(user._conversations).toHaveLength(1);
   });
 
+  test('deletes a user', async () => {
+    await brain.addUser(USER_ID);
+    expect(await brain.deleteUser(USER_ID)).toBe(true);
+    expect(await brain.hasUser(USER_ID)).toBe(false);
+    expect(await brain.deleteUser(USER_ID)).toBe(false);
+  });
+
   test('get all users', async () => {
     await brain.addUser('d8372804-2716-47aa-81bf-dd0908f9f9f7');
     await brain.addUser('8042b7e4-445f-4fa8-891a-d734595ac706');
@@ -97,6 +109,36 @@ const brainTest = (brainLabel) => {
     expect(users).toHaveLength(3);
   });
 
+  test('searches the users on their id and the values of their keys', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    for (const userId of ['USER_1', 'USER_2', 'USER_3', 'OTHER']) {
+      now += 1000;
+      await brain.addUser(userId); // eslint-disable-line no-await-in-loop
+    }
+    Date.now.mockRestore();
+    await brain.userSet('USER_1', 'firstName', 'Alex');
+    await brain.userSet('USER_2', 'firstName', 'Alexandra');
+    await brain.userSet('USER_3', '_internal', 'alex');
+    const getIds = ({ users, total }) => ({ ids: users.map(user => user._userId), total });
+    expect(getIds(await brain.searchUsers('', { offset: 0, limit: 10 }))).toEqual({
+      ids: ['USER_1', 'USER_2', 'USER_3', 'OTHER'],
+      total: 4,
+    });
+    expect(getIds(await brain.searchUsers('ALEX', { offset: 0, limit: 10 }))).toEqual({
+      ids: ['USER_1', 'USER_2'],
+      total: 2,
+    });
+    expect(getIds(await brain.searchUsers('user', { offset: 1, limit: 1 }))).toEqual({
+      ids: ['USER_2'],
+      total: 3,
+    });
+    expect(getIds(await brain.searchUsers('.*', { offset: 0, limit: 10 }))).toEqual({
+      ids: [],
+      total: 0,
+    });
+  });
+
   test('sets user key', async () => {
     await brain.addUser(USER_ID);
     const user = await brain.userSet(USER_ID, 'name', 'test');
@@ -241,7 +283,226 @@ const brainTest = (brainLabel) => {
     }
   });
 
+  test('should push and pop conversation snapshots', async () => {
+    await brain.addUser(USER_ID);
+    await brain.conversationSet(USER_ID, 'order', { _entities: { item: 'pizza' } });
+    await brain.pushSnapshot(USER_ID);
+    const snapshot = await brain.popSnapshot(USER_ID);
+    expect(snapshot).toEqual({
+      _dialogs: { stack: [], previous: [] },
+      order: { _entities: { item: 'pizza' } },
+    });
+    expect(await brain.popSnapshot(USER_ID)).toBe(null);
+  });
+
+  test('should keep a bounded history of snapshots', async () => {
+    await brain.addUser(USER_ID);
+    for (const value of [1, 2, 3]) {
+      // eslint-disable-next-line no-await-in-loop
+      await brain.conversationSet(USER_ID, 'value', value);
+      // eslint-disable-next-line no-await-in-loop
+      await brain.pushSnapshot(USER_ID);
+    }
+    const history = await brain.conversationGet(USER_ID, '_history');
+    expect(history.map(snapshot => snapshot.value)).toEqual([2, 3]);
+  });
+
+  test('should restore a conversation snapshot', async () => {
+    await brain.addUser(USER_ID);
+    await brain.conversationSet(USER_ID, 'order', { _entities: { item: 'pizza' } });
+    await brain.pushSnapshot(USER_ID);
+    await brain.conversationSet(USER_ID, 'order', { _entities: { item: 'pasta' } });
+    await brain.conversationSet(USER_ID, 'payment', { _entities: {} });
+    await brain.restoreSnapshot(USER_ID, await brain.popSnapshot(USER_ID));
+    expect(await brain.conversationGet(USER_ID, 'order')).toEqual({ _entities: { item: 'pizza' } });
+    expect(await brain.conversationGet(USER_ID, 'payment')).toBeFalsy();
+  });
+
+  test('should run the turns of a user one after the other', async () => {
+    const events = [];
+    const turn = (name, duration) => brain.runTurn(USER_ID, async () => {
+      events.push(`start ${name}`);
+      await delay(duration);
+      events.push(`end ${name}`);
+      return name;
+    });
+    const results = await Promise.all([turn('first', 50), turn('second', 0), turn('third', 0)]);
+    expect(results).toEqual(['first', 'second', 'third']);
+    expect(events).toEqual([
+      'start first',
+      'end first',
+      'start second',
+      'end second',
+      'start third',
+      'end third',
+    ]);
+  });
+
+  test('should run the turns of different users concurrently', async () => {
+    const events = [];
+    await Promise.all([
+      brain.runTurn(USER_ID, async () => {
+        events.push('start first user');
+        await delay(50);
+        events.push('end first user');
+      }),
+      brain.runTurn(uuidv4(), async () => {
+        events.push('start second user');
+        events.push('end second user');
+      }),
+    ]);
+    expect(events).toEqual([
+      'start first user',
+      'start second user',
+      'end second user',
+      'end first user',
+    ]);
+  });
+
+  test('should run the next turn when a turn fails', async () => {
+    const failingTurn = brain.runTurn(USER_ID, async () => {
+      throw new Error('turn failed');
+    });
+    const nextTurn = brain.runTurn(USER_ID, async () => 'next');
+    await expect(failingTurn).rejects.toEqual(new Error('turn failed'));
+    expect(await nextTurn).toBe('next');
+  });
+
+  test('should add messages to the transcript', async () => {
+    await brain.addUser(USER_ID);
+    expect(await brain.getTranscript(USER_ID)).toEqual([]);
+    const userMessage = { type: 'text', sender: 'user', user: USER_ID, payload: { value: 'hi' } };
+    const botMessage = { type: 'text', sender: 'bot', user: USER_ID, payload: { value: 'hello' } };
+    await brain.addToTranscript(USER_ID, [userMessage]);
+    await brain.addToTranscript(USER_ID, [botMessage]);
+    expect(await brain.getTranscript(USER_ID)).toEqual([userMessage, botMessage]);
+  });
+
+  test('should keep only the last messages of the transcript', async () => {
+    await brain.addUser(USER_ID);
+    const getMessage = value => ({ type: 'text', sender: 'user', user: USER_ID, payload: { value } });
+    await brain.addToTranscript(USER_ID, [getMessage('1'), getMessage('2')]);
+    await brain.addToTranscript(USER_ID, [getMessage('3'), getMessage('4')]);
+    expect(await brain.getTranscript(USER_ID)).toEqual([
+      getMessage('2'),
+      getMessage('3'),
+      getMessage('4'),
+    ]);
+  });
+
+  test('should hand over and back the conversation of a user', async () => {
+    const OTHER_USER_ID = uuidv4();
+    await brain.addUser(USER_ID);
+    await brain.addUser(OTHER_USER_ID);
+    expect(await brain.isHandedOver(USER_ID)).toBe(false);
+    await brain.startHandover(OTHER_USER_ID);
+    await delay(5);
+    await brain.startHandover(USER_ID);
+    expect(await brain.isHandedOver(USER_ID)).toBe(true);
+    const queue = await brain.getAgentQueue();
+    expect(queue.map(handover => handover.userId)).toEqual([OTHER_USER_ID, USER_ID]);
+    await brain.endHandover(OTHER_USER_ID);
+    expect(await brain.isHandedOver(OTHER_USER_ID)).toBe(false);
+    expect((await brain.getAgentQueue()).map(handover => handover.userId)).toEqual([USER_ID]);
+  });
+
+  const getJob = (id, runAt, userId = USER_ID) => ({
+    id,
+    userId,
+    dialog: { name: 'reminder', data: {} },
+    runAt,
+    createdAt: 0,
+  });
+
+  test('should add and get scheduled jobs', async () => {
+    await brain.addJob(getJob('2', 200));
+    await brain.addJob(getJob('1', 100));
+    await brain.addJob(getJob('3', 300, 'OTHER_USER'));
+    expect(await brain.getJobs()).toEqual([
+      getJob('1', 100),
+      getJob('2', 200),
+      getJob('3', 300, 'OTHER_USER'),
+    ]);
+    expect(await brain.getJobs(USER_ID)).toEqual([getJob('1', 100), getJob('2', 200)]);
+  });
+
+  test('should remove a scheduled job', async () => {
+    await brain.addJob(getJob('1', 100));
+    expect(await brain.removeJob('1')).toBe(true);
+    expect(await brain.removeJob('1')).toBe(false);
+    expect(await brain.getJobs()).toEqual([]);
+  });
+
+  test('should lease the due jobs until their lease expires', async () => {
+    const getLeasedJob = (id, runAt, leasedUntil, attempts) => ({
+      ...getJob(id, runAt),
+      leasedUntil,
+      attempts,
+    });
+    await brain.addJob(getJob('1', 100));
+    await brain.addJob(getJob('2', 200));
+    await brain.addJob(getJob('3', 300));
+    expect(await brain.leaseDueJobs(200, 1000)).toEqual([
+      getLeasedJob('1', 100, 1200, 1),
+      getLeasedJob('2', 200, 1200, 1),
+    ]);
+    expect(await brain.leaseDueJobs(500, 1000)).toEqual([getLeasedJob('3', 300, 1500, 1)]);
+    expect(await brain.getJobs()).toHaveLength(3);
+    expect(await brain.leaseDueJobs(1200, 1000)).toEqual([
+      getLeasedJob('1', 100, 2200, 2),
+      getLeasedJob('2', 200, 2200, 2),
+    ]);
+  });
+
   if (brainLabel === MONGO_BRAIN_LABEL) {
+    test('should run the next turn when the lease of a turn expires', async () => {
+      brain.turnLock.leaseDuration = 100;
+      // acquire the lock without ever renewing or releasing it, as a dead process would
+      const lease = await brain.turnLock.acquire(USER_ID);
+      brain.turnLock.stopRenewal(lease);
+      const result = await brain.runTurn(USER_ID, async () => 'next');
+      expect(result).toBe('next');
+    });
+
+    test('should renew the lease of a turn longer than the lease duration', async () => {
+      brain.turnLock.leaseDuration = 100;
+      const events = [];
+      const turn = (name, duration) => brain.runTurn(USER_ID, async () => {
+        events.push(`start ${name}`);
+        await new Promise(resolve => setTimeout(resolve, duration));
+        events.push(`end ${name}`);
+      });
+      await Promise.all([turn('long', 500), turn('next', 0)]);
+      expect(events).toEqual(['start long', 'end long', 'start next', 'end next']);
+    });
+
+    test('should put a dropped ticket back before the tickets requested later', async () => {
+      const wait = duration => new Promise(resolve => setTimeout(resolve, duration));
+      const events = [];
+      const lease = await brain.turnLock.acquire(USER_ID);
+      const dropped = brain.runTurn(USER_ID, async () => events.push('dropped'));
+      await wait(100);
+      // the waiting ticket is dropped, as when its process does not poll in time
+      await brain.locks.updateOne({ _userId: USER_ID }, { $pop: { queue: 1 } });
+      const later = brain.runTurn(USER_ID, async () => events.push('later'));
+      await wait(100);
+      await brain.turnLock.release(USER_ID, lease);
+      await Promise.all([dropped, later]);
+      expect(events).toEqual(['dropped', 'later']);
+    });
+
+    test('should delete the lock of a user once the turns are run', async () => {
+      await Promise.all([1, 2].map(index => brain.runTurn(USER_ID, async () => index)));
+      expect(await brain.locks.findOne({ _userId: USER_ID })).toBe(null);
+    });
+
+    test('should run the turns of a new user requested concurrently', async () => {
+      const userId = uuidv4();
+      const results = await Promise.all([1, 2, 3].map(index =>
+        brain.runTurn(userId, async () => index)));
+      expect(results).toEqual([1, 2, 3]);
+    });
+
     test('should return the env var mongodb uri provided', () => {
       sandbox.stub(process, 'env').value({ MONGODB_URI: 'mongodb://localhost/test' });
       expect(brain.getMongoDbUri()).toEqual('mongodb://localhost/test');
@@ -352,6 +613,42 @@ describe('Brains', () => {
           expect(e.message).toEqual('Not implemented!');
         }
       });
+
+      test('getAgentQueue', async () => {
+        expect.assertions(1);
+        try {
+          await new Brain(BRAIN_CONFIG).getAgentQueue();
+        } catch (e) {
+          expect(e.message).toEqual('Not implemented!');
+        }
+      });
+
+      test('searchUsers', async () => {
+        expect.assertions(1);
+        try {
+          await new Brain(BRAIN_CONFIG).searchUsers('', { offset: 0, limit: 10 });
+        } catch (e) {
+          expect(e.message).toEqual('Not implemented!');
+        }
+      });
+
+      test('addJob', async () => {
+        expect.assertions(1);
+        try {
+          await new Brain(BRAIN_CONFIG).addJob();
+        } catch (e) {
+          expect(e.message).toEqual('Not implemented!');
+        }
+      });
+
+      test('leaseDueJobs', async () => {
+        expect.assertions(1);
+        try {
+          await new Brain(BRAIN_CONFIG).leaseDueJobs();
+        } catch (e) {
+          expect(e.message).toEqual('Not implemented!');
+        }
+      });
     });
 
     describe('Should no throw error for methods', () => {
@@ -19,8 +19,13 @@
 const path = require('path');
 const Bot = require('../../src/bot');
 const Dialog = require('../../src/dialogs/dialog');
+const DialogManager = require('../../src/dialog-manager');
 const ClassificationResult = require('../../src/nlus/classification-result');
 const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+const UserTextMessage = require('../../src/messages/user-text-message');
+const UserEventMessage = require('../../src/messages/user-event-message');
+const ConfigurationError = require('../../src/errors/configuration-error');
 const TEST_CONFIG = require('../../src/config').getConfiguration({
   path: __dirname,
   adapter: { name: 'test' },
@@ -52,6 +57,19 @@ describe('DialogManager', () => {
     expect(dm.getPath('unknown')).toBe(null);
   });
 
+  test('should check the parameters of the dialogs at startup', async () => {
+    const invalidFlowPath = path.join(__dirname, 'invalid-flow');
+    const invalidDm = new DialogManager({
+      brain,
+      config: {
+        ...TEST_CONFIG,
+        path: invalidFlowPath,
+        componentRoots: [path.join(invalidFlowPath, 'src')],
+      },
+    });
+    await expect(invalidDm.init()).rejects.toBeInstanceOf(ConfigurationError);
+  });
+
   test('should not crash when no intent', async () => {
     const botMessages = await dm.executeClassificationResults({ user: TEST_USER }, [], []);
     expect(botMessages).toEqual([new BotTextMessage('Not understood.').toJson(TEST_USER)]);
@@ -151,6 +169,124 @@ describe('DialogManager', () => {
     expect(dialogs.stack[dialogs.stack.length - 1].data.messageEntities).toEqual(entities);
   });
 
+  test('should resume the caller dialog with the result of the called dialog', async () => {
+    let botMessages = await dm.executeDialog(
+      { user: TEST_USER },
+      { name: 'caller', data: {} },
+    );
+    expect(botMessages).toEqual([new BotTextMessage('Address in France?').toJson(TEST_USER)]);
+    let dialogs = await dm.brain.getDialogs(TEST_USER);
+    expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['caller', 'address']);
+    botMessages = await dm.executeClassificationResults(
+      { user: TEST_USER },
+      [],
+      [{ dim: 'street', body: '1 rue de Rivoli' }],
+    );
+    expect(botMessages).toEqual([
+      new BotTextMessage('Delivered to 1 rue de Rivoli, France.').toJson(TEST_USER),
+    ]);
+    dialogs = await dm.brain.getDialogs(TEST_USER);
+    expect(dialogs.stack).toHaveLength(0);
+    expect(dialogs.previous.map(dialog => dialog.name)).toEqual(['address', 'caller']);
+    expect(dialogs.previous[1].data.childResult).toBeUndefined();
+  });
+
+  describe('undo', () => {
+    const itemEntity = {
+      dim: 'item', start: 0, end: 5, values: [{ value: 'pizza' }], body: 'pizza',
+    };
+    const quantityEntity = {
+      dim: 'number', start: 0, end: 1, values: [{ value: 3 }], body: '3',
+    };
+
+    const sendPostback = async (name, messageEntities = []) =>
+      bot.handleMessage(new PostbackMessage({ name, data: { messageEntities } }).toJson(TEST_USER));
+
+    const sendText = async (text, classificationResults, messageEntities = []) => {
+      jest.spyOn(bot.nlu, 'compute').mockImplementation(async () => ({
+        classificationResults,
+        messageEntities,
+      }));
+      try {
+        return await bot.handleMessage(new UserTextMessage(text).toJson(TEST_USER));
+      } finally {
+        bot.nlu.compute.mockRestore();
+      }
+    };
+
+    beforeEach(async () => {
+      await sendPostback('order', [itemEntity]);
+      await sendText('3', [], [quantityEntity]);
+    });
+
+    test('should restore the dialogs and the entities with the back postback', async () => {
+      let dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack).toHaveLength(0);
+      const botMessages = await sendPostback('back');
+      expect(botMessages[botMessages.length - 1]).toEqual(
+        new BotTextMessage('Which quantity?').toJson(TEST_USER),
+      );
+      dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+      const order = await dm.brain.conversationGet(TEST_USER, 'order');
+      expect(Object.keys(order._entities)).toEqual(['item']);
+      expect(order._question).toBe('quantity');
+    });
+
+    test('should restore the dialogs with the back intent', async () => {
+      await sendText('back', [
+        new ClassificationResult({ name: 'back', type: ClassificationResult.TYPE_INTENT }),
+      ]);
+      const dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+    });
+
+    test('should undo several turns', async () => {
+      await sendPostback('back');
+      await sendPostback('back');
+      const dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack).toHaveLength(0);
+      expect(await dm.brain.conversationGet(TEST_USER, 'order')).toBeUndefined();
+    });
+
+    test('should do nothing when there is nothing to undo', async () => {
+      await sendPostback('back');
+      await sendPostback('back');
+      const botMessages = await sendPostback('back');
+      expect(botMessages).toEqual([]);
+      const dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack).toHaveLength(0);
+    });
+
+    test('should not push a snapshot for a proactive execution', async () => {
+      await bot.sendProactive(TEST_USER, { name: 'waiting', data: {} });
+      expect(await dm.brain.conversationGet(TEST_USER, '_history')).toHaveLength(2);
+      await sendPostback('back');
+      const dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+    });
+
+    test('should not push a snapshot for the catch execution of a failed turn', async () => {
+      const pushSnapshot = jest.spyOn(Object.getPrototypeOf(brain), 'pushSnapshot');
+      jest.spyOn(bot.dm, 'executeClassificationResults').mockImplementation(async () => {
+        throw new Error('Dialog failure');
+      });
+      await sendText('3', []);
+      bot.dm.executeClassificationResults.mockRestore();
+      pushSnapshot.mockRestore();
+      expect(pushSnapshot).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not push a snapshot for an ignored event', async () => {
+      await bot.handleMessage(new UserEventMessage('typing').toJson(TEST_USER));
+      await sendPostback('back');
+      const dialogs = await dm.brain.getDialogs(TEST_USER);
+      expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+      const order = await dm.brain.conversationGet(TEST_USER, 'order');
+      expect(Object.keys(order._entities)).toEqual(['item']);
+    });
+  });
+
   describe('DialogManager.applyAction', () => {
     describe('Action cancel', () => {
       let dialogs;
@@ -221,6 +357,67 @@ describe('DialogManager', () => {
       });
     });
 
+    describe('Action call', () => {
+      let dialogs;
+
+      beforeAll(() => {
+        dialogs = {
+          stack: [greetingsDialog],
+          previous: [],
+        };
+        const action = { name: Dialog.ACTION_CALL, newDialog: travelDialog };
+        dialogs = dm.applyAction(dialogs, action);
+      });
+
+      test('should keep the current dialog on the stack', async () => {
+        expect(dialogs.previous.length).toBe(0);
+        expect(dialogs.stack[0].name).toBe(greetingsDialog.name);
+      });
+
+      test('should add the called dialog on top of the stack', async () => {
+        expect(dialogs.stack.length).toBe(2);
+        expect(dialogs.stack[1].name).toBe(travelDialog.name);
+        expect(dialogs.stack[1].called).toBe(true);
+      });
+    });
+
+    describe('Action return', () => {
+      test('should complete the current dialog and give its result to the caller', async () => {
+        let dialogs = {
+          stack: [greetingsDialog, { ...travelDialog, data: {}, called: true }],
+          previous: [],
+        };
+        const action = { name: Dialog.ACTION_RETURN, result: { city: 'Paris' } };
+        dialogs = dm.applyAction(dialogs, action);
+        expect(dialogs.stack.length).toBe(1);
+        expect(dialogs.stack[0].name).toBe(greetingsDialog.name);
+        expect(dialogs.stack[0].data.childResult).toEqual({ city: 'Paris' });
+        expect(dialogs.previous.length).toBe(1);
+        expect(dialogs.previous[0].name).toBe(travelDialog.name);
+      });
+
+      test('should not give the result to a dialog which did not call the current dialog', async () => {
+        let dialogs = {
+          stack: [{ ...greetingsDialog, data: {} }, { ...travelDialog, data: {} }],
+          previous: [],
+        };
+        const action = { name: Dialog.ACTION_RETURN, result: { city: 'Paris' } };
+        dialogs = dm.applyAction(dialogs, action);
+        expect(dialogs.stack.length).toBe(1);
+        expect(dialogs.stack[0].data.childResult).toBeUndefined();
+      });
+
+      test('should return to the caller of a dialog triggered by a called dialog', async () => {
+        let dialogs = {
+          stack: [greetingsDialog, { ...travelDialog, data: {}, called: true }],
+          previous: [],
+        };
+        dialogs = dm.applyAction(dialogs, { name: Dialog.ACTION_NEXT, newDialog: thanksDialog });
+        expect(dialogs.stack[1].name).toBe(thanksDialog.name);
+        expect(dialogs.stack[1].called).toBe(true);
+      });
+    });
+
     describe('Action new conversation', () => {
       let dialogs;
 
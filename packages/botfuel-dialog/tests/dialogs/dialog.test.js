@@ -56,6 +56,33 @@ describe('Dialog', () => {
     });
   });
 
+  test('should throw a dialog error when calling a dialog without name', () => {
+    expect(() => dialog.callDialog(null)).toThrow(DialogError);
+  });
+
+  test('should prepare call dialog action', () => {
+    expect(dialog.callDialog('address', { country: 'France' })).toEqual({
+      newDialog: {
+        name: 'address',
+        data: { country: 'France' },
+      },
+      name: Dialog.ACTION_CALL,
+    });
+  });
+
+  test('should prepare return dialog action', () => {
+    expect(dialog.returnResult({ city: 'Paris' })).toEqual({
+      name: Dialog.ACTION_RETURN,
+      result: { city: 'Paris' },
+    });
+  });
+
+  test('should prepare undo dialog action', () => {
+    expect(dialog.undo()).toEqual({
+      name: Dialog.ACTION_UNDO,
+    });
+  });
+
   test('should prepare cancel dialog action', () => {
     expect(dialog.cancelPrevious()).toEqual({
       name: Dialog.ACTION_CANCEL,
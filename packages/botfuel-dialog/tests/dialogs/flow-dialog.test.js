@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const Bot = require('../../src/bot');
+const Dialog = require('../../src/dialogs/dialog');
+const FlowDialog = require('../../src/dialogs/flow-dialog');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const ConfigurationError = require('../../src/errors/configuration-error');
+const DialogError = require('../../src/errors/dialog-error');
+const Config = require('../../src/config');
+
+const TEST_CONFIG = Config.getConfiguration({
+  path: path.join(__dirname, 'flow'),
+  adapter: {
+    name: 'test',
+  },
+  brain: {
+    name: 'memory',
+  },
+});
+
+const TEST_USER = '1';
+
+const getEntity = (dim, value, body = `${value}`) => ({
+  dim,
+  body,
+  start: 0,
+  end: body.length,
+  values: [{ value }],
+});
+
+const texts = botMessages => botMessages.map(botMessage => botMessage.payload.value);
+
+describe('FlowDialog', () => {
+  const bot = new Bot(TEST_CONFIG);
+  const { brain } = bot;
+  const dialog = bot.dm.resolve('booking');
+  const execute = (...messageEntities) => dialog.execute({ user: TEST_USER }, { messageEntities });
+
+  beforeEach(async () => {
+    await brain.clean();
+    await brain.addUserIfNecessary(TEST_USER);
+  });
+
+  test('should prompt the entities of the start state', async () => {
+    const { action, botMessages } = await execute();
+    expect(action).toEqual({ name: Dialog.ACTION_WAIT });
+    expect(botMessages).toEqual([
+      new BotTextMessage('Where do you want to go?').toJson(TEST_USER),
+    ]);
+    const dialogCache = await brain.conversationGet(TEST_USER, 'booking');
+    expect(dialogCache._state).toBe('destination');
+    expect(dialogCache._question).toBe('city');
+  });
+
+  test('should follow the transitions once the entities of a state are fulfilled', async () => {
+    await execute();
+    const { action, botMessages } = await execute(getEntity('city', 'Paris'));
+    expect(action).toEqual({ name: Dialog.ACTION_WAIT });
+    expect(texts(botMessages)).toEqual(['How many passengers?']);
+    const dialogCache = await brain.conversationGet(TEST_USER, 'booking');
+    expect(dialogCache._state).toBe('passengers');
+    expect(dialogCache._entities.city.values[0].value).toBe('Paris');
+  });
+
+  test('should run several states with the entities of a single message', async () => {
+    const { botMessages } = await execute(
+      getEntity('city', 'London'),
+      { ...getEntity('number', 2), start: 10, end: 11 },
+    );
+    expect(texts(botMessages)).toEqual(['Do you confirm?']);
+  });
+
+  test('should prompt again the entities when no transition is allowed', async () => {
+    const { action, botMessages } = await execute(getEntity('city', 'Rome'));
+    expect(action).toEqual({ name: Dialog.ACTION_WAIT });
+    expect(texts(botMessages)).toEqual(['Where do you want to go?']);
+    const dialogCache = await brain.conversationGet(TEST_USER, 'booking');
+    expect(dialogCache._state).toBe('destination');
+    expect(dialogCache._entities).toEqual({});
+  });
+
+  test('should branch on the values of the entities', async () => {
+    await execute(getEntity('city', 'Paris'));
+    const { action, botMessages } = await execute(getEntity('number', 6));
+    expect(action).toEqual({
+      name: Dialog.ACTION_NEXT,
+      newDialog: { name: 'greetings', data: {} },
+    });
+    expect(texts(botMessages)).toEqual(['Our group desk will call you back.']);
+  });
+
+  test('should reset entities when taking a transition', async () => {
+    await execute(getEntity('city', 'Paris'), { ...getEntity('number', 2), start: 10, end: 11 });
+    const { botMessages } = await execute(getEntity('system:boolean', false));
+    expect(texts(botMessages)).toEqual(['Where do you want to go?']);
+    const dialogCache = await brain.conversationGet(TEST_USER, 'booking');
+    expect(dialogCache._state).toBe('destination');
+    expect(dialogCache._entities).toEqual({});
+  });
+
+  test('should return the matched entities and restart the flow in a terminal state', async () => {
+    await execute(getEntity('city', 'Paris'), { ...getEntity('number', 2), start: 10, end: 11 });
+    const { action, botMessages } = await execute(getEntity('system:boolean', true));
+    expect(action.name).toBe(Dialog.ACTION_RETURN);
+    expect(Object.keys(action.result).sort()).toEqual(['answer', 'city', 'passengers']);
+    expect(texts(botMessages)).toEqual(['Your trip is booked!']);
+    expect(await brain.conversationGet(TEST_USER, 'booking')).toEqual({});
+  });
+
+  test('should throw a dialog error when the flow loops without prompting', async () => {
+    const loopingDialog = new FlowDialog(bot, {
+      namespace: 'looping',
+      flow: {
+        start: 'first',
+        states: {
+          first: { transitions: [{ to: 'second' }] },
+          second: { transitions: [{ to: 'first' }] },
+        },
+      },
+    });
+    await expect(loopingDialog.execute({ user: TEST_USER }, {})).rejects.toBeInstanceOf(
+      DialogError,
+    );
+  });
+
+  test('should load the flow once per dialog class', () => {
+    expect(bot.dm.resolve('booking').parameters.flow).toBe(dialog.parameters.flow);
+  });
+
+  describe('validateParams', () => {
+    test('should accept the abstract flow dialog', () => {
+      expect(() => FlowDialog.validateParams(undefined, TEST_CONFIG)).not.toThrow();
+    });
+
+    test('should throw a configuration error when the flow is invalid', () => {
+      class Invalid extends FlowDialog {}
+      const parameters = { namespace: 'invalid', flow: { start: 'none' } };
+      expect(() => Invalid.validateParams(parameters, TEST_CONFIG)).toThrow(ConfigurationError);
+    });
+  });
+});
@@ -15,7 +15,9 @@
  */
 
 const Bot = require('../../src/bot');
+const Dialog = require('../../src/dialogs/dialog');
 const PromptDialog = require('../../src/dialogs/prompt-dialog');
+const { signDialogData } = require('../../src/utils/postback-signature');
 const Config = require('../../src/config');
 
 const TEST_CONFIG = Config.getConfiguration({
@@ -815,6 +817,145 @@ describe('PromptDialog', () => {
       });
     });
 
+    describe('validate parameter', () => {
+      const weightEntity = {
+        dim: 'weight',
+        start: 0,
+        end: 5,
+        values: [{ value: 250, unit: 'kg' }],
+        body: '250kg',
+      };
+      const expectedEntities = {
+        weight: {
+          dim: 'weight',
+          validate: entity => (entity.values[0].value > 200 ? 'too_heavy' : null),
+        },
+      };
+
+      test('should reject a value which is not valid', async () => {
+        const { matchedEntities, missingEntities, invalidEntities } = await prompt.computeEntities(
+          [weightEntity],
+          expectedEntities,
+          {},
+        );
+        expect(matchedEntities).toEqual({});
+        expect(missingEntities.has('weight')).toBe(true);
+        expect(invalidEntities).toEqual({ weight: { value: weightEntity, error: 'too_heavy' } });
+      });
+
+      test('should keep the previous value when the new value is not valid', async () => {
+        const previousWeightEntity = { ...weightEntity, values: [{ value: 80, unit: 'kg' }] };
+        const { matchedEntities, invalidEntities } = await prompt.computeEntities(
+          [weightEntity],
+          expectedEntities,
+          { weight: previousWeightEntity },
+        );
+        expect(matchedEntities).toEqual({ weight: previousWeightEntity });
+        expect(invalidEntities).toHaveProperty('weight');
+      });
+
+      test('should accept a valid value', async () => {
+        const validWeightEntity = { ...weightEntity, values: [{ value: 80, unit: 'kg' }] };
+        const { matchedEntities, invalidEntities } = await prompt.computeEntities(
+          [validWeightEntity],
+          expectedEntities,
+          {},
+        );
+        expect(matchedEntities).toEqual({ weight: validWeightEntity });
+        expect(invalidEntities).toEqual({});
+      });
+    });
+
+    describe('requiredIf parameter', () => {
+      const nationalityEntity = nationality => ({
+        dim: 'nationality',
+        start: 0,
+        end: nationality.length,
+        values: [{ value: nationality, type: 'string' }],
+        body: nationality,
+      });
+      const passportEntity = {
+        dim: 'passport',
+        start: 20,
+        end: 29,
+        values: [{ value: '12AB34567', type: 'string' }],
+        body: '12AB34567',
+      };
+      const expectedEntities = {
+        nationality: {
+          dim: 'nationality',
+        },
+        passportNumber: {
+          dim: 'passport',
+          requiredIf: ({ nationality }) =>
+            !!nationality && nationality.values[0].value !== 'French',
+        },
+      };
+
+      test('should not miss an entity which is not required', async () => {
+        const { missingEntities } = await prompt.computeEntities(
+          [nationalityEntity('French')],
+          expectedEntities,
+          {},
+        );
+        expect(missingEntities.size).toBe(0);
+      });
+
+      test('should miss an entity which is required', async () => {
+        const { missingEntities } = await prompt.computeEntities(
+          [nationalityEntity('Italian')],
+          expectedEntities,
+          {},
+        );
+        expect(Array.from(missingEntities.keys())).toEqual(['passportNumber']);
+      });
+
+      test('should clear an entity which is not required anymore', async () => {
+        const { matchedEntities, missingEntities } = await prompt.computeEntities(
+          [nationalityEntity('French')],
+          expectedEntities,
+          { nationality: nationalityEntity('Italian'), passportNumber: passportEntity },
+        );
+        expect(matchedEntities).toEqual({ nationality: nationalityEntity('French') });
+        expect(missingEntities.size).toBe(0);
+      });
+    });
+
+    describe('dependsOn parameter', () => {
+      const dateEntity = {
+        dim: 'time',
+        start: 0,
+        end: 8,
+        values: [{ value: '2018-06-01', type: 'string' }],
+        body: 'june 1st',
+      };
+      const expectedEntities = {
+        returnDate: {
+          dim: 'time',
+          priority: 10,
+          dependsOn: 'departureDate',
+        },
+        departureDate: {
+          dim: 'time',
+        },
+      };
+
+      test('should match the entities it depends on first', async () => {
+        const { matchedEntities, missingEntities } = await prompt.computeEntities(
+          [dateEntity],
+          expectedEntities,
+          {},
+        );
+        expect(Object.keys(matchedEntities)).toEqual(['departureDate']);
+        expect(Array.from(missingEntities.keys())).toEqual(['returnDate']);
+      });
+
+      test('should prompt the entities it depends on first', async () => {
+        const { missingEntities } = await prompt.computeEntities([], expectedEntities, {});
+        expect(Array.from(missingEntities.keys())).toEqual(['departureDate', 'returnDate']);
+      });
+    });
+
     describe('previous question entity handling', () => {
       test('should match entity for previous question entity when no higher priority', async () => {
         const ageEntity = {
@@ -880,6 +1021,46 @@ describe('PromptDialog', () => {
       const sortMissingEntities = prompt.sortMissingEntities(missingEntities);
       expect(Array.from(sortMissingEntities.keys())).toEqual(['b', 'c', 'a']);
     });
+
+    test('should return missing entities after the missing entities they depend on', () => {
+      const missingEntities = {
+        a: {
+          dim: 'number',
+          priority: 0,
+        },
+        b: {
+          dim: 'number',
+          priority: 10,
+          dependsOn: ['c'],
+        },
+        c: {
+          dim: 'number',
+          priority: 5,
+          dependsOn: ['a'],
+        },
+      };
+
+      const sortMissingEntities = prompt.sortMissingEntities(missingEntities);
+      expect(Array.from(sortMissingEntities.keys())).toEqual(['a', 'c', 'b']);
+    });
+
+    test('should fall back to the priorities when dependencies are circular', () => {
+      const missingEntities = {
+        a: {
+          dim: 'number',
+          priority: 0,
+          dependsOn: ['b'],
+        },
+        b: {
+          dim: 'number',
+          priority: 10,
+          dependsOn: ['a'],
+        },
+      };
+
+      const sortMissingEntities = prompt.sortMissingEntities(missingEntities);
+      expect(Array.from(sortMissingEntities.keys())).toEqual(['b', 'a']);
+    });
   });
 
   describe('excecute', () => {
@@ -922,5 +1103,216 @@ describe('PromptDialog', () => {
       expect(conversation.testdialog).toHaveProperty('_entities');
       expect(conversation.testdialog).toHaveProperty('_question');
     });
+
+    test('should clear from the brain an entity which is not required anymore', async () => {
+      const tripPrompt = new PromptDialog(bot, {
+        namespace: 'tripdialog',
+        entities: {
+          tripType: { dim: 'trip' },
+          returnDate: {
+            dim: 'time',
+            requiredIf: ({ tripType }) => !!tripType && tripType.values[0].value === 'round',
+          },
+        },
+      });
+      const tripEntity = value => ({
+        dim: 'trip', start: 0, end: 5, values: [{ value }], body: value,
+      });
+      await bot.brain.clean();
+      await bot.brain.addUser(userId);
+      await tripPrompt.execute({ user: userId }, {
+        messageEntities: [
+          tripEntity('round'),
+          { dim: 'time', start: 10, end: 14, values: [{ value: '2018-06-01' }], body: 'june' },
+        ],
+      });
+      let conversation = await bot.brain.fetchLastConversation(userId);
+      expect(Object.keys(conversation.tripdialog._entities)).toEqual(['tripType', 'returnDate']);
+      await tripPrompt.execute({ user: userId }, { messageEntities: [tripEntity('oneway')] });
+      conversation = await bot.brain.fetchLastConversation(userId);
+      expect(Object.keys(conversation.tripdialog._entities)).toEqual(['tripType']);
+    });
+
+    describe('review', () => {
+      const reviewPrompt = new PromptDialog(bot, {
+        namespace: 'reviewdialog',
+        entities: {
+          city: { dim: 'city' },
+          guests: { dim: 'number' },
+        },
+        review: true,
+      });
+      const cityEntity = {
+        dim: 'city', start: 0, end: 5, values: [{ value: 'Paris' }], body: 'Paris',
+      };
+      const guestsEntity = {
+        dim: 'number', start: 10, end: 11, values: [{ value: 2 }], body: '2',
+      };
+      const executeReview = data => reviewPrompt.execute({ user: userId }, data);
+
+      beforeEach(async () => {
+        await bot.brain.clean();
+        await bot.brain.addUser(userId);
+        await executeReview({ messageEntities: [cityEntity, guestsEntity] });
+      });
+
+      test('should display a summary instead of completing', async () => {
+        const { action, botMessages } = await executeReview({ messageEntities: [] });
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        expect(botMessages[0].payload.value).toBe('Summary:\ncity: Paris\nguests: 2');
+        expect(botMessages[1].payload.value.map(postback => postback.text)).toEqual([
+          'Edit city',
+          'Edit guests',
+          'Confirm',
+        ]);
+      });
+
+      test('should clear and prompt again an edited entity', async () => {
+        const { action, botMessages } = await executeReview({
+          messageEntities: [],
+          review: { action: 'edit', entity: 'city' },
+        });
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        expect(botMessages[botMessages.length - 1].payload.value).toBe('Which city?');
+        const conversation = await bot.brain.fetchLastConversation(userId);
+        expect(Object.keys(conversation.reviewdialog._entities)).toEqual(['guests']);
+        expect(conversation.reviewdialog._question).toBe('city');
+      });
+
+      test('should review again once the edited entity is given', async () => {
+        await executeReview({ messageEntities: [], review: { action: 'edit', entity: 'city' } });
+        const { action, botMessages } = await executeReview({
+          messageEntities: [{ ...cityEntity, values: [{ value: 'Lyon' }], body: 'Lyon' }],
+        });
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        expect(botMessages[0].payload.value).toBe('Summary:\ncity: Lyon\nguests: 2');
+      });
+
+      test('should complete once the summary is confirmed', async () => {
+        const { action } = await executeReview({
+          messageEntities: [],
+          review: { action: 'confirm' },
+        });
+        expect(action.name).toBe(Dialog.ACTION_COMPLETE);
+      });
+
+      test('should not complete when confirming while entities are missing', async () => {
+        await executeReview({ messageEntities: [], review: { action: 'edit', entity: 'city' } });
+        const { action } = await executeReview({
+          messageEntities: [],
+          review: { action: 'confirm' },
+        });
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+      });
+
+      test('should apply a review action only once', async () => {
+        await executeReview({ messageEntities: [], review: { action: 'edit', entity: 'city' } });
+        // the dialog data is kept in the dialog stack for the next turns
+        const data = { messageEntities: [], review: { action: 'confirm' } };
+        await executeReview(data);
+        expect(data.review).toBeUndefined();
+        data.messageEntities = [{ ...cityEntity, values: [{ value: 'Lyon' }], body: 'Lyon' }];
+        const { action, botMessages } = await executeReview(data);
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        expect(botMessages[0].payload.value).toBe('Summary:\ncity: Lyon\nguests: 2');
+      });
+
+      test('should apply only the signed review actions when the postbacks are signed', async () => {
+        const postbacks = { secret: 'SECRET', rejection: 'default' };
+        const signedPrompt = new PromptDialog(bot, reviewPrompt.parameters);
+        signedPrompt.postbacks = postbacks;
+        const review = { action: 'confirm' };
+        let { action } = await signedPrompt.execute(
+          { user: userId },
+          { messageEntities: [], review },
+        );
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        const dialogData = signDialogData(
+          { name: 'reviewdialog', data: { messageEntities: [], review } },
+          userId,
+          postbacks,
+        );
+        ({ action } = await signedPrompt.execute(
+          { type: 'postback', user: userId, payload: { value: dialogData } },
+          { messageEntities: [], review },
+        ));
+        expect(action.name).toBe(Dialog.ACTION_COMPLETE);
+      });
+    });
+
+    describe('retries', () => {
+      const weightPrompt = new PromptDialog(bot, {
+        namespace: 'weightdialog',
+        entities: {
+          weight: {
+            dim: 'weight',
+            validate: entity => (entity.values[0].value > 200 ? 'too_heavy' : null),
+            maxRetries: 1,
+          },
+        },
+        escalationDialog: 'human',
+      });
+      const heavyWeightEntity = {
+        dim: 'weight',
+        start: 0,
+        end: 5,
+        values: [{ value: 250, unit: 'kg' }],
+        body: '250kg',
+      };
+      const executeWithEntities = messageEntities =>
+        weightPrompt.execute({ user: userId }, { messageEntities });
+
+      beforeEach(async () => {
+        await bot.brain.clean();
+        await bot.brain.addUser(userId);
+      });
+
+      test('should prompt again a rejected entity', async () => {
+        const { action, botMessages } = await executeWithEntities([heavyWeightEntity]);
+        expect(action.name).toBe(Dialog.ACTION_WAIT);
+        expect(botMessages[0].payload.value).toBe('Entities rejected: weight (too_heavy)');
+        const conversation = await bot.brain.fetchLastConversation(userId);
+        expect(conversation.weightdialog._retries).toEqual({ weight: 1 });
+      });
+
+      test('should escalate when the retries are exhausted', async () => {
+        await executeWithEntities([heavyWeightEntity]);
+        const { action, botMessages } = await executeWithEntities([heavyWeightEntity]);
+        // the escalation dialog answers instead of a prompt
+        expect(botMessages).toEqual([]);
+        expect(action).toEqual({
+          name: Dialog.ACTION_NEXT,
+          newDialog: {
+            name: 'human',
+            data: { invalidEntities: { weight: { value: heavyWeightEntity, error: 'too_heavy' } } },
+          },
+        });
+        const conversation = await bot.brain.fetchLastConversation(userId);
+        expect(conversation.weightdialog._retries).toEqual({});
+      });
+
+      test('should reset the retries once the entity is valid', async () => {
+        await executeWithEntities([heavyWeightEntity]);
+        const { action } = await executeWithEntities([
+          { ...heavyWeightEntity, values: [{ value: 80, unit: 'kg' }] },
+        ]);
+        expect(action.name).toBe(Dialog.ACTION_COMPLETE);
+        const conversation = await bot.brain.fetchLastConversation(userId);
+        expect(conversation.weightdialog._retries).toEqual({});
+      });
+
+      test('should complete when the retries are exhausted without escalation dialog', async () => {
+        const completingPrompt = new PromptDialog(bot, {
+          ...weightPrompt.parameters,
+          escalationDialog: undefined,
+        });
+        await completingPrompt.execute({ user: userId }, { messageEntities: [heavyWeightEntity] });
+        const { action } = await completingPrompt.execute(
+          { user: userId },
+          { messageEntities: [heavyWeightEntity] },
+        );
+        expect(action.name).toBe(Dialog.ACTION_COMPLETE);
+      });
+    });
   });
 });
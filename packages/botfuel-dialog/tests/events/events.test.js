@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) 2017 - present, Userfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Bot = require('../../src/bot');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const UserEventMessage = require('../../src/messages/user-event-message');
+
+describe('Events', () => {
+  const bot = new Bot({
+    path: __dirname,
+    adapter: { name: 'test' },
+    brain: { name: 'memory' },
+  });
+  const { adapter, brain } = bot;
+  const { userId } = adapter;
+
+  beforeEach(async () => {
+    await brain.clean();
+    adapter.log = [];
+  });
+
+  test('should execute the dialog named after the event', async () => {
+    const event = new UserEventMessage('conversationStarted', { firstName: 'Alex' });
+    await bot.play([event]);
+    expect(adapter.log).toEqual([
+      event.toJson(userId),
+      new BotTextMessage('Welcome Alex!').toJson(userId),
+    ]);
+    const dialogs = await brain.getDialogs(userId);
+    expect(dialogs.previous.map(dialog => dialog.name)).toEqual(['event-conversation-started']);
+  });
+
+  test('should ignore an unhandled event', async () => {
+    const event = new UserEventMessage('typing');
+    await bot.play([event]);
+    expect(adapter.log).toEqual([event.toJson(userId)]);
+    const dialogs = await brain.getDialogs(userId);
+    expect(dialogs).toEqual({ stack: [], previous: [] });
+  });
+});
@@ -23,7 +23,7 @@ describe('LocationExtractor', () => {
     expect(entities).toHaveLength(1);
     expect(entities[0]).toHaveProperty('body');
     expect(entities[0].dim).toBe('system:location');
-    expect(entities[0].values).toEqual([{ value: { lat: '40.741895', long: '-73.989308' }, type: 'coordinates' }]);
+    expect(entities[0].values).toEqual([{ value: { lat: 40.741895, long: -73.989308 }, type: 'coordinates' }]);
     expect(entities[0].start).toBe(26);
     expect(entities[0].end).toBe(46);
   });
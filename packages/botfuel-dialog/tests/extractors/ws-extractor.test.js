@@ -17,6 +17,7 @@
 const sinon = require('sinon');
 const WsExtractor = require('../../src/extractors/ws-extractor');
 const MissingCredentialsError = require('../../src/errors/missing-credentials-error');
+const NluFixtures = require('../../src/nlus/nlu-fixtures');
 
 describe('WsExtractor', () => {
   const sandbox = sinon.sandbox.create();
@@ -41,6 +42,12 @@ describe('WsExtractor', () => {
     expect(() => new WsExtractor({ locale: 'en' })).toThrow(MissingCredentialsError);
   });
 
+  test('should not require credentials when replaying the fixtures', () => {
+    sandbox.stub(process, 'env').value({ BOTFUEL_APP_ID: undefined });
+    const fixtures = new NluFixtures(NluFixtures.MODE_REPLAY, __dirname);
+    expect(new WsExtractor({ locale: 'en' }, fixtures).fixtures).toBe(fixtures);
+  });
+
   test('should throw an error when not valid credentials', async () => {
     expect.assertions(1);
     sandbox.stub(process, 'env').value({ BOTFUEL_APP_ID: 'FakeId', BOTFUEL_APP_KEY: 'FakeKey' });
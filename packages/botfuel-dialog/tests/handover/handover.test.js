@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Bot = require('../../src/bot');
+const AgentTextMessage = require('../../src/messages/agent-text-message');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+const UserTextMessage = require('../../src/messages/user-text-message');
+
+describe('Handover', () => {
+  const bot = new Bot({
+    path: __dirname,
+    adapter: { name: 'test' },
+    brain: { name: 'memory' },
+  });
+  const { adapter, brain } = bot;
+  const { userId } = adapter;
+  const order = new PostbackMessage({ name: 'order', data: { messageEntities: [] } });
+  const agent = new PostbackMessage({ name: 'agent', data: { messageEntities: [] } });
+
+  beforeEach(async () => {
+    await brain.clean();
+    adapter.log = [];
+    await bot.play([order, agent]);
+  });
+
+  test('should stop answering the user and add the user to the agent queue', async () => {
+    const question = new UserTextMessage('Is anybody there?');
+    await bot.play([question]);
+    expect(adapter.log).toEqual([
+      order.toJson(userId),
+      new BotTextMessage('What do you want to order?').toJson(userId),
+      agent.toJson(userId),
+      new BotTextMessage('An agent will answer you.').toJson(userId),
+      question.toJson(userId),
+    ]);
+    expect(await brain.isHandedOver(userId)).toBe(true);
+    expect((await brain.getAgentQueue()).map(handover => handover.userId)).toEqual([userId]);
+  });
+
+  test('should send the agent messages and add them to the transcript', async () => {
+    const question = new UserTextMessage('Is anybody there?');
+    await bot.play([question]);
+    await bot.sendAgentMessage(userId, 'Hello, how can I help you?');
+    const agentMessage = new AgentTextMessage('Hello, how can I help you?').toJson(userId);
+    expect(agentMessage.sender).toBe('agent');
+    expect(adapter.log.slice(5)).toEqual([agentMessage]);
+    expect(await brain.getTranscript(userId)).toEqual([
+      order.toJson(userId),
+      new BotTextMessage('What do you want to order?').toJson(userId),
+      agent.toJson(userId),
+      new BotTextMessage('An agent will answer you.').toJson(userId),
+      question.toJson(userId),
+      agentMessage,
+    ]);
+  });
+
+  test('should answer with the catch dialog when the handover can not be checked', async () => {
+    const isHandedOver = jest
+      .spyOn(Object.getPrototypeOf(brain), 'isHandedOver')
+      .mockImplementation(async () => {
+        throw new Error('Brain failure');
+      });
+    const question = new UserTextMessage('Is anybody there?');
+    await bot.play([question]);
+    isHandedOver.mockRestore();
+    expect(adapter.log.slice(4).map(message => message.payload.value)).toEqual([
+      'Is anybody there?',
+      'The following error occured:',
+      expect.stringContaining('Brain failure'),
+      'Starting a new conversation...',
+    ]);
+  });
+
+  test('should not send proactive messages while the conversation is handed over', async () => {
+    const botMessages = await bot.sendProactive(userId, { name: 'order', data: {} });
+    expect(botMessages).toEqual([]);
+    expect(adapter.log).toHaveLength(4);
+    expect(await brain.getTranscript(userId)).toHaveLength(4);
+    const dialogs = await brain.getDialogs(userId);
+    expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+  });
+
+  test('should resume the dialogs after the handback', async () => {
+    await bot.handback(userId);
+    expect(await brain.isHandedOver(userId)).toBe(false);
+    expect(await brain.getAgentQueue()).toEqual([]);
+    const dialogs = await brain.getDialogs(userId);
+    expect(dialogs.stack.map(dialog => dialog.name)).toEqual(['order']);
+  });
+});
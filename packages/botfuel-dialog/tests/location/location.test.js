@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) 2017 - present, Userfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Bot = require('../../src/bot');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+const UserLocationMessage = require('../../src/messages/user-location-message');
+const MessageError = require('../../src/errors/message-error');
+
+describe('Location', () => {
+  const bot = new Bot({
+    path: __dirname,
+    adapter: { name: 'test' },
+    brain: { name: 'memory' },
+  });
+  const { adapter, brain } = bot;
+  const { userId } = adapter;
+
+  beforeEach(async () => {
+    await brain.clean();
+    adapter.log = [];
+  });
+
+  test('should compute a location entity', async () => {
+    const { classificationResults, messageEntities } = await bot.nlu.computeLocation(
+      { lat: 48.8566, long: 2.3522, address: 'Paris' },
+      { brain },
+    );
+    expect(classificationResults).toEqual([]);
+    expect(messageEntities).toEqual([
+      {
+        dim: 'system:location',
+        body: '48.8566, 2.3522',
+        values: [{ value: { lat: 48.8566, long: 2.3522, address: 'Paris' }, type: 'coordinates' }],
+        start: 0,
+        end: 15,
+      },
+    ]);
+  });
+
+  test('should reject an invalid location', async () => {
+    expect.assertions(2);
+    for (const location of [{ lat: '48.8566', long: 2.3522 }, { lat: 48.8566, long: 200 }]) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await bot.nlu.computeLocation(location, { brain });
+      } catch (error) {
+        expect(error).toBeInstanceOf(MessageError);
+      }
+    }
+  });
+
+  test('should answer a location prompt with a shared location', async () => {
+    const meeting = new PostbackMessage({ name: 'meeting', data: { messageEntities: [] } });
+    const location = new UserLocationMessage({ lat: 48.8566, long: 2.3522 });
+    await bot.play([meeting, location]);
+    expect(adapter.log).toEqual([
+      meeting.toJson(userId),
+      new BotTextMessage('Entities needed: place').toJson(userId),
+      new BotTextMessage('Which place?').toJson(userId),
+      location.toJson(userId),
+      new BotTextMessage('Entities defined: place').toJson(userId),
+    ]);
+    const { _entities: { place } } = await brain.conversationGet(userId, 'meeting');
+    expect(place.values[0].value).toEqual({
+      lat: 48.8566,
+      long: 2.3522,
+      address: '48.8566 North, 2.3522 East',
+    });
+  });
+});
@@ -15,6 +15,7 @@
  */
 
 const Card = require('../../src/messages/card');
+const Link = require('../../src/messages/link');
 const MessageError = require('../../src/errors/message-error');
 
 describe('Card', () => {
@@ -28,4 +29,24 @@ describe('Card', () => {
       MessageError,
     );
   });
+
+  test('should throw an exception when malformed options', async () => {
+    expect(() =>
+      new Card('title', 'http://domain.com', [], { subtitle: 1 }).validate()).toThrow(MessageError);
+    expect(() =>
+      new Card('title', 'http://domain.com', [], { defaultAction: 'open' }).validate()).toThrow(
+      MessageError,
+    );
+    expect(() => new Card('title', ['http://domain.com', 'image'], []).validate()).toThrow(
+      MessageError,
+    );
+  });
+
+  test('should validate a rich card', async () => {
+    const card = new Card('title', ['http://domain.com/1.png', 'http://domain.com/2.png'], [], {
+      subtitle: 'subtitle',
+      defaultAction: new Link('Details', 'http://domain.com'),
+    });
+    expect(() => card.validate()).not.toThrow();
+  });
 });
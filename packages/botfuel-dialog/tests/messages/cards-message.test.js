@@ -48,7 +48,7 @@ describe('CardsMessage', () => {
       payload: {
         value: [
           {
-            buttons: [
+            actions: [
               {
                 text: 'Details',
                 type: 'link',
@@ -65,11 +65,11 @@ describe('CardsMessage', () => {
                 },
               },
             ],
-            image_url: 'https://image1.jpg',
+            imageUrls: ['https://image1.jpg'],
             title: 'Card 1',
           },
           {
-            buttons: [
+            actions: [
               {
                 text: 'Details',
                 type: 'link',
@@ -81,11 +81,39 @@ describe('CardsMessage', () => {
                 value: { name: 'products', data: { messageEntities: [{ dim: 'product', value: '2' }] } },
               },
             ],
-            image_url: 'https://image2.jpg',
+            imageUrls: ['https://image2.jpg'],
             title: 'Card 2',
           },
         ],
       },
     });
   });
+
+  test('should throw an exception when the layout is unknown', async () => {
+    expect(() => new CardsMessage([], { layout: 'grid' })).toThrow(MessageError);
+  });
+
+  test('should generate the json of a list of rich cards', async () => {
+    const message = new CardsMessage(
+      [
+        new Card('Card 1', ['https://image1.jpg', 'https://image2.jpg'], [], {
+          subtitle: 'The first card',
+          defaultAction: new Link('Details', 'https://card1'),
+        }),
+      ],
+      { layout: 'list' },
+    );
+    expect(message.toJson('USER').payload).toEqual({
+      value: [
+        {
+          title: 'Card 1',
+          subtitle: 'The first card',
+          imageUrls: ['https://image1.jpg', 'https://image2.jpg'],
+          actions: [],
+          defaultAction: { type: 'link', text: 'Details', value: 'https://card1' },
+        },
+      ],
+      options: { layout: 'list' },
+    });
+  });
 });
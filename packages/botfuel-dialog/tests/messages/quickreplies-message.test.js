@@ -15,12 +15,16 @@
  */
 
 const QuickrepliesMessage = require('../../src/messages/quickreplies-message');
+const Quickreply = require('../../src/messages/quickreply');
 const MessageError = require('../../src/errors/message-error');
 
 describe('QuickrepliesMessage', () => {
   test('should throw an exception when malformed', async () => {
     expect(() => new QuickrepliesMessage("I'm not an array")).toThrow(MessageError);
     expect(() => new QuickrepliesMessage(['message', 1])).toThrow(MessageError);
+    expect(() => new QuickrepliesMessage([new Quickreply('message', null, 'icon')])).toThrow(
+      MessageError,
+    );
   });
 
   test('should generate the proper json', async () => {
@@ -37,4 +41,19 @@ describe('QuickrepliesMessage', () => {
       },
     });
   });
+
+  test('should generate the proper json with quick replies', async () => {
+    const message = new QuickrepliesMessage([
+      'no',
+      new Quickreply('yes', { name: 'adult', data: { messageEntities: [] } }),
+    ]);
+    expect(message.toJson('USER')).toEqual({
+      type: 'quickreplies',
+      sender: 'bot',
+      user: 'USER',
+      payload: {
+        value: ['no', { text: 'yes', value: { name: 'adult', data: { messageEntities: [] } } }],
+      },
+    });
+  });
 });
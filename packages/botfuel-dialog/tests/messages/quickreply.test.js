@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) 2017 - present, Userfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Quickreply = require('../../src/messages/quickreply');
+const MessageError = require('../../src/errors/message-error');
+
+describe('Quickreply', () => {
+  test('should throw an exception when malformed', async () => {
+    expect(() => new Quickreply(1).validate()).toThrow(MessageError);
+    expect(() =>
+      new Quickreply('Yes', { name: 1, data: { messageEntities: [] } }).validate()).toThrow(MessageError);
+    expect(() => new Quickreply('Yes', null, 'icon').validate()).toThrow(MessageError);
+  });
+
+  test('should generate the proper json', async () => {
+    const quickreply = new Quickreply(
+      'Paris',
+      { name: 'travel', data: { messageEntities: [] } },
+      'https://botfuel.io/paris.png',
+    );
+    expect(quickreply.toJson()).toEqual({
+      text: 'Paris',
+      value: { name: 'travel', data: { messageEntities: [] } },
+      imageUrl: 'https://botfuel.io/paris.png',
+    });
+    expect(new Quickreply('Paris').toJson()).toEqual({ text: 'Paris' });
+  });
+});
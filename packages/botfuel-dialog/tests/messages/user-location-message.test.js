@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) 2017 - present, Userfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const UserLocationMessage = require('../../src/messages/user-location-message');
+const MessageError = require('../../src/errors/message-error');
+
+describe('UserLocationMessage', () => {
+  test('should throw an exception when malformed', async () => {
+    expect(() => new UserLocationMessage({ lat: 48.8566 })).toThrow(MessageError);
+  });
+
+  test('should throw an exception when the address is not a string', async () => {
+    expect(() => new UserLocationMessage({ lat: 48.8566, long: 2.3522, address: 75 })).toThrow(
+      MessageError,
+    );
+  });
+
+  test('should generate the proper json', async () => {
+    const message = new UserLocationMessage({ lat: 48.8566, long: 2.3522, title: 'Paris' });
+    expect(message.toJson('USER')).toEqual({
+      type: 'location',
+      sender: 'user',
+      user: 'USER',
+      payload: {
+        value: { lat: 48.8566, long: 2.3522, title: 'Paris' },
+      },
+    });
+  });
+});
@@ -35,6 +35,14 @@ describe('ValidObject', () => {
     test('Url is not valid', () => {
       expect(() => new ValidObject().validateUrl('link', '')).toThrow(MessageError);
     });
+
+    test('Location is not valid', () => {
+      expect(() => new ValidObject().validateLocation('location', null)).toThrow(MessageError);
+      expect(() =>
+        new ValidObject().validateLocation('location', { lat: '48.8', long: 2.3 })).toThrow(MessageError);
+      expect(() =>
+        new ValidObject().validateLocation('location', { lat: 91, long: 2.3 })).toThrow(MessageError);
+    });
   });
 
   describe('Should not throw an message error when', () => {
@@ -50,5 +58,10 @@ describe('ValidObject', () => {
       expect(() =>
         new ValidObject().validateUrl('link', 'https://www.botfuel.io/en')).not.toThrow();
     });
+
+    test('Location is valid', () => {
+      expect(() =>
+        new ValidObject().validateLocation('location', { lat: -48.8, long: 180 })).not.toThrow();
+    });
   });
 });
@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const path = require('path');
+const Bot = require('../../src/bot');
+const MemoryBrain = require('../../src/brains/memory-brain');
+const Metrics = require('../../src/metrics');
+const UserTextMessage = require('../../src/messages/user-text-message');
+
+describe('Metrics', () => {
+  test('should render the counters', () => {
+    const metrics = new Metrics();
+    metrics.increment('botfuel_messages_received_total', { type: 'text' });
+    metrics.increment('botfuel_messages_received_total', { type: 'text' });
+    metrics.increment('botfuel_dialogs_executed_total', { dialog: 'say "hi"' });
+    const text = metrics.render();
+    expect(text).toContain('# TYPE botfuel_messages_received_total counter');
+    expect(text).toContain('botfuel_messages_received_total{type="text"} 2\n');
+    expect(text).toContain('botfuel_dialogs_executed_total{dialog="say \\"hi\\""} 1\n');
+  });
+
+  test('should render the histograms', () => {
+    const metrics = new Metrics();
+    metrics.observe('botfuel_nlu_duration_seconds', 0.02, { operation: 'compute' });
+    metrics.observe('botfuel_nlu_duration_seconds', 3, { operation: 'compute' });
+    const text = metrics.render();
+    expect(text).toContain('# TYPE botfuel_nlu_duration_seconds histogram');
+    expect(text).toContain('botfuel_nlu_duration_seconds_bucket{operation="compute",le="0.01"} 0\n');
+    expect(text).toContain('botfuel_nlu_duration_seconds_bucket{operation="compute",le="0.025"} 1\n');
+    expect(text).toContain('botfuel_nlu_duration_seconds_bucket{operation="compute",le="5"} 2\n');
+    expect(text).toContain('botfuel_nlu_duration_seconds_bucket{operation="compute",le="+Inf"} 2\n');
+    expect(text).toContain('botfuel_nlu_duration_seconds_sum{operation="compute"} 3.02\n');
+    expect(text).toContain('botfuel_nlu_duration_seconds_count{operation="compute"} 2\n');
+  });
+
+  test('should time a failing function', async () => {
+    expect.assertions(2);
+    const metrics = new Metrics();
+    try {
+      await metrics.time('botfuel_brain_duration_seconds', { operation: 'getUser' }, async () => {
+        throw new Error('Failed');
+      });
+    } catch (error) {
+      expect(error.message).toBe('Failed');
+    }
+    expect(metrics.render()).toContain('botfuel_brain_duration_seconds_count{operation="getUser"} 1');
+  });
+
+  test('should render the unknown label values coming from the clients as unknown', () => {
+    const metrics = new Metrics();
+    metrics.increment('botfuel_messages_received_total', { type: undefined });
+    metrics.increment('botfuel_messages_received_total', { type: 'forged' });
+    metrics.increment('botfuel_dialogs_executed_total', { dialog: undefined });
+    const text = metrics.render();
+    expect(text).toContain('botfuel_messages_received_total{type="unknown"} 2\n');
+    expect(text).toContain('botfuel_dialogs_executed_total{dialog="undefined"} 1\n');
+  });
+
+  test('should time the operations of a wrapped brain without changing it', async () => {
+    const metrics = new Metrics();
+    const brain = {
+      getUser: async userId => ({ _userId: userId }),
+      hasUser: async function hasUser(userId) {
+        return !!(await this.getUser(userId));
+      },
+    };
+    const wrappedBrain = metrics.wrapBrain(brain);
+    expect(await wrappedBrain.hasUser('USER')).toBe(true);
+    expect(brain.hasUser).not.toBe(wrappedBrain.hasUser);
+    const text = metrics.render();
+    expect(text).toContain('botfuel_brain_duration_seconds_count{operation="hasUser"} 1\n');
+    expect(text).not.toContain('operation="getUser"');
+  });
+
+  test('should time the operations of the brain API', async () => {
+    const metrics = new Metrics();
+    const brain = metrics.wrapBrain(new MemoryBrain({ brain: { conversationDuration: 86400000 } }));
+    await brain.addUser('USER');
+    await brain.startHandover('USER');
+    await brain.endHandover('USER');
+    expect(brain.getUserInitValue('USER')).toHaveProperty('_userId', 'USER');
+    const text = metrics.render();
+    expect(text).toContain('botfuel_brain_duration_seconds_count{operation="startHandover"} 1\n');
+    expect(text).toContain('botfuel_brain_duration_seconds_count{operation="endHandover"} 1\n');
+    expect(text).not.toContain('operation="getUserInitValue"');
+  });
+
+  test('should throw an error for an unknown metric', () => {
+    expect(() => new Metrics().increment('unknown')).toThrow('Unknown counter unknown');
+    expect(() => new Metrics().observe('botfuel_messages_sent_total', 1)).toThrow(
+      'Unknown histogram botfuel_messages_sent_total',
+    );
+  });
+
+  describe('bot', () => {
+    const bot = new Bot({
+      path: path.join(__dirname, '../scenarios'),
+      adapter: { name: 'test' },
+      brain: { name: 'memory' },
+      nlu: { name: 'local' },
+    });
+
+    test('should be ready once initialized', async () => {
+      expect(bot.isReady()).toBe(false);
+      await bot.init();
+      expect(bot.isReady()).toBe(true);
+    });
+
+    test('should be ready before the adapter runs', async () => {
+      const runningBot = new Bot({
+        path: path.join(__dirname, '../scenarios'),
+        adapter: { name: 'test' },
+        brain: { name: 'memory' },
+        nlu: { name: 'local' },
+      });
+      runningBot.adapter.run = jest.fn(async () => {
+        expect(runningBot.isReady()).toBe(true);
+      });
+      jest.spyOn(runningBot.scheduler, 'start').mockImplementation(() => {});
+      await runningBot.run();
+      expect(runningBot.adapter.run).toHaveBeenCalled();
+    });
+
+    test('should count the messages, intents and dialogs of the turns', async () => {
+      await bot.play([new UserTextMessage('Hello')]);
+      const text = bot.metrics.render();
+      expect(text).toContain('botfuel_messages_received_total{type="text"} 1\n');
+      expect(text).toContain('botfuel_messages_sent_total{type="text"} 1\n');
+      expect(text).toContain('botfuel_intents_classified_total{name="greetings"} 1\n');
+      expect(text).toContain('botfuel_dialogs_executed_total{dialog="greetings"} 1\n');
+      expect(text).toContain('botfuel_turn_duration_seconds_count{type="text"} 1\n');
+      expect(text).toContain('botfuel_nlu_duration_seconds_count{operation="compute"} 1\n');
+      expect(text).toMatch(/botfuel_brain_duration_seconds_count\{operation="getDialogs"\} [1-9]/);
+    });
+
+    test('should count the turns handled by the catch dialog', async () => {
+      jest.spyOn(bot.nlu, 'compute').mockImplementation(async () => {
+        throw new Error('NLU failure');
+      });
+      await bot.play([new UserTextMessage('Hello')]);
+      bot.nlu.compute.mockRestore();
+      expect(bot.metrics.render()).toContain('botfuel_catch_dialog_total{error="Error"} 1\n');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+jest.mock('request-promise-native');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fsExtra = require('fs-extra');
+const rp = require('request-promise-native');
+const Bot = require('../../src/bot');
+const BotfuelNlu = require('../../src/nlus/botfuel-nlu');
+const NluFixtures = require('../../src/nlus/nlu-fixtures');
+const ConfigurationError = require('../../src/errors/configuration-error');
+const MissingFixtureError = require('../../src/errors/missing-fixture-error');
+
+const TEST_USER_ID = 'test';
+
+const getOptions = (sentence, userId) => ({
+  uri: 'https://api.botfuel.io/trainer/api/v0/classify',
+  qs: { sentence, userId },
+  headers: { 'App-Key': 'KEY' },
+  json: true,
+});
+
+describe('NluFixtures', () => {
+  let fixturesPath;
+
+  beforeEach(() => {
+    fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    rp.mockReset();
+  });
+
+  afterEach(() => {
+    fsExtra.removeSync(fixturesPath);
+    delete process.env.BOTFUEL_NLU_FIXTURES;
+  });
+
+  describe('fromConfig', () => {
+    test('should return null when no mode is configured', () => {
+      expect(NluFixtures.fromConfig({ nlu: {} })).toBe(null);
+    });
+
+    test('should resolve the fixtures path relative to the bot', () => {
+      const fixtures = NluFixtures.fromConfig({
+        path: '/bot',
+        nlu: { fixtures: 'replay', fixturesPath: 'nlu-fixtures' },
+      });
+      expect(fixtures.mode).toBe('replay');
+      expect(fixtures.fixturesPath).toBe('/bot/nlu-fixtures');
+    });
+
+    test('should give precedence to the environment variable', () => {
+      process.env.BOTFUEL_NLU_FIXTURES = 'record';
+      const fixtures = NluFixtures.fromConfig({ path: '/bot', nlu: { fixtures: 'replay' } });
+      expect(fixtures.mode).toBe('record');
+      expect(fixtures.fixturesPath).toBe('/bot/fixtures');
+    });
+
+    test('should reject an unknown mode', () => {
+      expect(() => NluFixtures.fromConfig({ nlu: { fixtures: 'rewind' } })).toThrow(
+        ConfigurationError,
+      );
+    });
+  });
+
+  test('should record a request then replay it without the user id', async () => {
+    rp.mockReturnValue(Promise.resolve([{ label: 'greetings' }]));
+    const recorder = new NluFixtures('record', fixturesPath);
+    const recorded = await recorder.request('classification', getOptions('hello', 'USER_1'));
+    expect(recorded).toEqual([{ label: 'greetings' }]);
+    expect(rp).toHaveBeenCalledTimes(1);
+    const fixture = fsExtra.readJsonSync(recorder.getFixtureFile('hello'));
+    expect(fixture).toEqual({
+      sentence: 'hello',
+      requests: [
+        {
+          service: 'classification',
+          qs: { sentence: 'hello' },
+          response: [{ label: 'greetings' }],
+        },
+      ],
+    });
+
+    const player = new NluFixtures('replay', fixturesPath);
+    const replayed = await player.request('classification', getOptions('hello', 'USER_2'));
+    expect(replayed).toEqual([{ label: 'greetings' }]);
+    expect(rp).toHaveBeenCalledTimes(1);
+  });
+
+  test('should replace a request recorded again', async () => {
+    const recorder = new NluFixtures('record', fixturesPath);
+    rp.mockReturnValue(Promise.resolve([]));
+    await recorder.request('classification', getOptions('hello', TEST_USER_ID));
+    rp.mockReturnValue(Promise.resolve([{ label: 'greetings' }]));
+    await recorder.request('classification', getOptions('hello', TEST_USER_ID));
+    const fixture = fsExtra.readJsonSync(recorder.getFixtureFile('hello'));
+    expect(fixture.requests).toHaveLength(1);
+    expect(fixture.requests[0].response).toEqual([{ label: 'greetings' }]);
+  });
+
+  test('should fail to replay a request which was not recorded', async () => {
+    expect.assertions(2);
+    const player = new NluFixtures('replay', fixturesPath);
+    try {
+      await player.request('classification', getOptions('goodbye', TEST_USER_ID));
+    } catch (error) {
+      expect(error).toBeInstanceOf(MissingFixtureError);
+      expect(error.message).toMatch("No recorded classification request for the sentence 'goodbye'");
+    }
+  });
+
+  describe('BotfuelNlu', () => {
+    const config = {
+      path: __dirname,
+      locale: 'en',
+      nlu: { spellchecking: true, fixtures: 'replay' },
+    };
+
+    test('should replay the spellchecking and the classification', async () => {
+      const nlu = new BotfuelNlu(config);
+      await nlu.init();
+      const { classificationResults } = await nlu.compute('helllo', {
+        userMessage: { user: TEST_USER_ID },
+      });
+      expect(classificationResults.map(result => result.name)).toEqual(['greetings']);
+      expect(rp).not.toHaveBeenCalled();
+    });
+
+    test('should fail loudly when the spellchecking was not recorded', async () => {
+      expect.assertions(1);
+      const nlu = new BotfuelNlu(config);
+      try {
+        await nlu.spellcheck('goodbye');
+      } catch (error) {
+        expect(error).toBeInstanceOf(MissingFixtureError);
+      }
+    });
+
+    test('should replay the entity extraction of the bot extractors', async () => {
+      const nlu = new BotfuelNlu(config);
+      await nlu.init();
+      const { messageEntities } = await nlu.compute('I leave from Paris', {
+        userMessage: { user: TEST_USER_ID },
+      });
+      expect(messageEntities.map(entity => entity.body)).toEqual(['Paris']);
+      expect(rp).not.toHaveBeenCalled();
+    });
+
+    test('should build a bot replaying the fixtures without credentials', async () => {
+      const CREDENTIALS = ['BOTFUEL_APP_TOKEN', 'BOTFUEL_APP_ID', 'BOTFUEL_APP_KEY'];
+      const credentials = CREDENTIALS.map(name => process.env[name]);
+      CREDENTIALS.forEach(name => delete process.env[name]);
+      try {
+        const bot = new Bot({
+          path: __dirname,
+          adapter: { name: 'test' },
+          brain: { name: 'memory' },
+          nlu: { name: 'botfuel', fixtures: 'replay' },
+        });
+        await bot.init();
+        const { classificationResults } = await bot.nlu.compute('hello', {
+          userMessage: { user: TEST_USER_ID },
+        });
+        expect(classificationResults.map(result => result.name)).toEqual(['greetings']);
+        expect(rp).not.toHaveBeenCalled();
+      } finally {
+        CREDENTIALS.forEach((name, index) => {
+          process.env[name] = credentials[index];
+        });
+      }
+    });
+  });
+});
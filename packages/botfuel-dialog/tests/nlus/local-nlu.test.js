@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Bot = require('../../src/bot');
+const LocalNlu = require('../../src/nlus/local-nlu');
+const LocalClassifier = require('../../src/nlus/local-classifier');
+const ClassificationResult = require('../../src/nlus/classification-result');
+const ConfigurationError = require('../../src/errors/configuration-error');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const UserTextMessage = require('../../src/messages/user-text-message');
+
+const TEST_USER_ID = 'test';
+
+const buildConfig = nluConfig => ({
+  path: __dirname,
+  locale: 'en',
+  nlu: { name: 'local', ...nluConfig },
+});
+
+describe('LocalClassifier', () => {
+  const classifier = new LocalClassifier();
+  classifier.train([
+    { label: 'greetings', sentences: ['hello', 'hi there'] },
+    { label: 'travel', sentences: ['I want to travel to Paris', 'book a trip'] },
+  ]);
+
+  test('should normalize tokens', () => {
+    expect(LocalClassifier.tokenize('Héllo, World!')).toEqual(['hello', 'world']);
+  });
+
+  test('should give the best score to the closest intent', () => {
+    const results = classifier.classify('I would like to travel');
+    expect(results[0].intent.label).toBe('travel');
+    expect(results[0].score).toBeGreaterThan(0);
+    expect(results[0].score).toBeLessThanOrEqual(1);
+  });
+
+  test('should give a score of 1 to a training sentence', () => {
+    const results = classifier.classify('Hello!');
+    expect(results[0].intent.label).toBe('greetings');
+    expect(results[0].score).toBeCloseTo(1);
+  });
+
+  test('should return no result for unknown words', () => {
+    expect(classifier.classify('blue submarine')).toEqual([]);
+  });
+});
+
+describe('LocalNlu', () => {
+  test('should throw an error when there is no intents file', async () => {
+    const nlu = new LocalNlu({ ...buildConfig(), path: '/tmp' });
+    await expect(nlu.init()).rejects.toBeInstanceOf(ConfigurationError);
+  });
+
+  test('should classify intents with scores', async () => {
+    const nlu = new LocalNlu(buildConfig({ intents: 'intents/intents.json' }));
+    await nlu.init();
+    const { classificationResults } = await nlu.compute('I am leaving for Paris tomorrow', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(classificationResults).toHaveLength(1);
+    expect(classificationResults[0]).toBeInstanceOf(ClassificationResult);
+    expect(classificationResults[0].name).toBe('travel');
+    expect(classificationResults[0].type).toBe(ClassificationResult.TYPE_INTENT);
+    expect(classificationResults[0].score).toBeGreaterThanOrEqual(0.5);
+  });
+
+  test('should classify qnas with their answers', async () => {
+    const nlu = new LocalNlu(buildConfig({ intents: 'intents/intents.csv' }));
+    await nlu.init();
+    const { classificationResults } = await nlu.compute('When will I receive my parcel?', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(classificationResults).toHaveLength(1);
+    expect(classificationResults[0].isQnA()).toBe(true);
+    expect(classificationResults[0].answers[0][0].payload.value).toBe(
+      'Here is your delivery information',
+    );
+  });
+
+  test('should not classify sentences below the threshold', async () => {
+    const nlu = new LocalNlu(buildConfig({ intents: 'intents/intents.json', threshold: 0.99 }));
+    await nlu.init();
+    const { classificationResults } = await nlu.compute('hello my friend', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(classificationResults).toHaveLength(0);
+  });
+
+  test('should keep the low scores with a zero threshold', async () => {
+    const nlu = new LocalNlu(buildConfig({ intents: 'intents/intents.json', threshold: 0 }));
+    await nlu.init();
+    const { classificationResults } = await nlu.compute('good trip', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(classificationResults).toHaveLength(1);
+    expect(classificationResults[0].name).toBe('greetings');
+    expect(classificationResults[0].score).toBeLessThan(0.5);
+  });
+
+  test('should keep the first two results in multi intent mode', async () => {
+    const nlu = new LocalNlu({
+      ...buildConfig({ intents: 'intents/intents.json', threshold: 0 }),
+      multiIntent: true,
+    });
+    await nlu.init();
+    const { classificationResults } = await nlu.compute('hello, when will I book a trip?', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(classificationResults).toHaveLength(2);
+  });
+
+  test('should extract entities with the system extractors', async () => {
+    const nlu = new LocalNlu(buildConfig({ intents: 'intents/intents.xlsx' }));
+    await nlu.init();
+    const { messageEntities } = await nlu.compute('hello, I am at 48.8566, 2.3522', {
+      userMessage: { user: TEST_USER_ID },
+    });
+    expect(messageEntities.map(entity => entity.dim)).toContain('system:location');
+  });
+
+  test('should be resolved by the bot and answer qnas offline', async () => {
+    const bot = new Bot({
+      ...buildConfig({ intents: 'intents/intents.json' }),
+      adapter: { name: 'test' },
+    });
+    expect(bot.nlu).toBeInstanceOf(LocalNlu);
+    const { userId } = bot.adapter;
+    await bot.play([new UserTextMessage('How long is the delivery?')]);
+    expect(bot.adapter.log).toEqual([
+      new UserTextMessage('How long is the delivery?').toJson(userId),
+      new BotTextMessage('Here is your delivery information').toJson(userId),
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const Bot = require('../../src/bot');
+const PostbackMessage = require('../../src/messages/postback-message');
+const { signDialogData } = require('../../src/utils/postback-signature');
+
+const MENU = { name: 'menu', data: { messageEntities: [] } };
+const PAYMENT = {
+  name: 'payment',
+  data: {
+    messageEntities: [{ dim: 'number', body: '10', values: [{ value: 10, type: 'integer' }] }],
+  },
+};
+
+describe('Postbacks', () => {
+  const bot = new Bot({
+    path: __dirname,
+    adapter: { name: 'test' },
+    brain: { name: 'memory' },
+    postbacks: { secret: 'SECRET' },
+  });
+  const { adapter, brain } = bot;
+  const { userId } = adapter;
+
+  const getBotTexts = () =>
+    adapter.log
+      .filter(message => message.type === 'text' && message.sender === 'bot')
+      .map(message => message.payload.value);
+
+  // the menu postback is signed like the ones rendered by the views
+  const playMenu = () =>
+    bot.play([new PostbackMessage(signDialogData(MENU, userId, bot.config.postbacks))]);
+
+  beforeEach(async () => {
+    await brain.clean();
+    adapter.log = [];
+    bot.config.postbacks = { secret: 'SECRET', rejection: 'default' };
+  });
+
+  test('should sign the rendered postbacks', async () => {
+    await playMenu();
+    const [actionsMessage, quickrepliesMessage] = adapter.log.slice(-2);
+    expect(actionsMessage.payload.value[0].value).toMatchObject(PAYMENT);
+    expect(actionsMessage.payload.value[0].value.signature).toMatch(/^[0-9a-f]{64}$/);
+    expect(quickrepliesMessage.payload.value[0].value.signature).toMatch(/^[0-9a-f]{64}$/);
+    expect(quickrepliesMessage.payload.value[1]).toBe('Later');
+  });
+
+  test('should execute a signed postback', async () => {
+    await playMenu();
+    await adapter.selectQuickreply('Pay now');
+    expect(getBotTexts()).toEqual(['Paid 10.']);
+  });
+
+  test('should handle an unsigned postback with the default dialog', async () => {
+    await bot.play([new PostbackMessage(PAYMENT)]);
+    expect(getBotTexts()).toEqual(['Not understood.']);
+  });
+
+  test('should reject a postback with forged data', async () => {
+    await playMenu();
+    const signedPayment = adapter.log[1].payload.value[0].value;
+    await bot.play([new PostbackMessage({
+      ...signedPayment,
+      data: {
+        messageEntities: [{ dim: 'number', body: '0', values: [{ value: 0, type: 'integer' }] }],
+      },
+    })]);
+    expect(getBotTexts()).toEqual(['Not understood.']);
+  });
+
+  test('should ignore the rejected postbacks', async () => {
+    bot.config.postbacks.rejection = 'ignore';
+    await bot.play([new PostbackMessage(PAYMENT)]);
+    expect(adapter.log).toEqual([new PostbackMessage(PAYMENT).toJson(userId)]);
+  });
+
+  test('should reject an expired postback', async () => {
+    bot.config.postbacks.expiration = 1000;
+    await playMenu();
+    const signedPayment = adapter.log[1].payload.value[0].value;
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + 2000);
+    await bot.play([new PostbackMessage(signedPayment)]);
+    Date.now.mockRestore();
+    expect(getBotTexts()).toEqual(['Not understood.']);
+  });
+
+  test('should not execute a dialog unreachable by postback', async () => {
+    bot.config.postbacks = { rejection: 'default' };
+    await bot.play([new PostbackMessage({ name: 'admin', data: { messageEntities: [] } })]);
+    expect(getBotTexts()).toEqual(['Not understood.']);
+    await bot.play([new PostbackMessage(PAYMENT)]);
+    expect(getBotTexts()).toEqual(['Not understood.', 'Paid 10.']);
+  });
+
+  test('should only give the entities and the review action to the dialog', async () => {
+    bot.config.postbacks = { rejection: 'default' };
+    const spy = jest.spyOn(bot.dm, 'executeDialog');
+    const review = { action: 'confirm' };
+    await bot.play([new PostbackMessage({
+      name: 'payment',
+      data: { ...PAYMENT.data, review, _entities: { amount: 0 } },
+    })]);
+    const dialog = spy.mock.calls[0][1];
+    spy.mockRestore();
+    expect(dialog.data).toEqual({ ...PAYMENT.data, review });
+  });
+
+  test('should not sign the postbacks without secret', async () => {
+    bot.config.postbacks = { rejection: 'default' };
+    await bot.play([new PostbackMessage(MENU)]);
+    expect(adapter.log[1].payload.value[0].value).toEqual(PAYMENT);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const Dialog = require('../../../../src/dialogs/dialog');
+const ActionsMessage = require('../../../../src/messages/actions-message');
+const Postback = require('../../../../src/messages/postback');
+const QuickrepliesMessage = require('../../../../src/messages/quickreplies-message');
+const Quickreply = require('../../../../src/messages/quickreply');
+
+const PAYMENT = {
+  name: 'payment',
+  data: {
+    messageEntities: [{ dim: 'number', body: '10', values: [{ value: 10, type: 'integer' }] }],
+  },
+};
+
+/**
+ * MenuDialog class.
+ */
+class MenuDialog extends Dialog {
+  /**
+   * Executes.
+   * @returns {Promise.<Object>}
+   */
+  async execute(userMessage) {
+    return {
+      action: this.complete(),
+      botMessages: [
+        new ActionsMessage([new Postback('Pay', PAYMENT)]).toJson(userMessage.user),
+        new QuickrepliesMessage([new Quickreply('Pay now', PAYMENT), 'Later']).toJson(userMessage.user),
+      ],
+    };
+  }
+}
+
+module.exports = MenuDialog;
@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const path = require('path');
+const ConfigurationError = require('../../src/errors/configuration-error');
+const ScenarioRunner = require('../../src/scenario-runner');
+
+const SCENARIOS_PATH = path.join(__dirname, 'scenarios');
+
+const CONFIG = {
+  path: __dirname,
+  nlu: { name: 'local' },
+  brain: { name: 'memory' },
+};
+
+describe('ScenarioRunner', () => {
+  const runner = new ScenarioRunner(CONFIG);
+
+  describe('loadScenario', () => {
+    test('should name a scenario after its file by default', () => {
+      const scenario = ScenarioRunner.loadScenario(path.join(SCENARIOS_PATH, 'travel.json'));
+      expect(scenario.name).toBe('travel');
+      expect(scenario.turns).toHaveLength(1);
+    });
+
+    test('should load a yaml scenario', () => {
+      const scenario = ScenarioRunner.loadScenario(path.join(SCENARIOS_PATH, 'greetings.yaml'));
+      expect(scenario.name).toBe('greetings then travel');
+      expect(scenario.turns[1].user).toBe('hello');
+    });
+
+    test('should reject a missing scenario file', () => {
+      expect(() => ScenarioRunner.loadScenario(path.join(SCENARIOS_PATH, 'missing.json'))).toThrow(
+        ConfigurationError,
+      );
+    });
+  });
+
+  test('should list the scenario files of a directory', () => {
+    expect(ScenarioRunner.getScenarioFiles([SCENARIOS_PATH])).toEqual([
+      path.join(SCENARIOS_PATH, 'greetings.yaml'),
+      path.join(SCENARIOS_PATH, 'travel.json'),
+    ]);
+  });
+
+  test('should pass a scenario matching the conversation', async () => {
+    const result = await runner.run({
+      name: 'hello',
+      turns: [{ user: 'hi there', bot: ['Hello human!', { type: 'quickreplies' }] }],
+    });
+    expect(result.passed).toBe(true);
+    expect(result.turns).toEqual([
+      {
+        description: 'user: "hi there"',
+        passed: true,
+        expected: {
+          bot: [{ type: 'text', payload: { value: 'Hello human!' } }, { type: 'quickreplies' }],
+        },
+        actual: {
+          bot: [{ type: 'text', payload: { value: 'Hello human!' } }, { type: 'quickreplies' }],
+        },
+      },
+    ]);
+  });
+
+  test('should stop at the first turn not matching the conversation', async () => {
+    const result = await runner.run({
+      name: 'hello',
+      turns: [
+        {
+          postback: {
+            name: 'travel',
+            data: {
+              messageEntities: [
+                { dim: 'city', body: 'Rome', values: [{ value: 'Rome', type: 'string' }] },
+              ],
+            },
+          },
+          bot: ['/Paris/'],
+        },
+        { user: 'hello', bot: ['Hello human!'] },
+      ],
+    });
+    expect(result.passed).toBe(false);
+    expect(result.turns).toHaveLength(1);
+    expect(result.turns[0].actual).toEqual({
+      bot: [{ type: 'text', payload: { value: 'Have a nice trip to Rome!' } }],
+    });
+  });
+
+  test('should fail a scenario with unexpected dialogs', async () => {
+    const result = await runner.run({
+      name: 'hello',
+      turns: [{ user: 'hello', dialogs: [] }],
+    });
+    expect(result.passed).toBe(false);
+    expect(result.turns[0].actual).toEqual({ dialogs: ['greetings'] });
+  });
+
+  describe('scenario files', () => {
+    runner.defineTests(SCENARIOS_PATH);
+  });
+});
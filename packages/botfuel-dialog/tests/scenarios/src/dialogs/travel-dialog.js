@@ -0,0 +1,40 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const Dialog = require('../../../../src/dialogs/dialog');
+const BotTextMessage = require('../../../../src/messages/bot-text-message');
+
+/**
+ * TravelDialog class.
+ */
+class TravelDialog extends Dialog {
+  /**
+   * Executes.
+   * @returns {Promise.<Object>}
+   */
+  async execute(userMessage, data) {
+    // the city is given by the dialog data or by a postback entity
+    const cityEntity = (data.messageEntities || []).find(entity => entity.dim === 'city');
+    const city = data.city || (cityEntity && cityEntity.values[0].value) || 'somewhere';
+    return {
+      action: this.complete(),
+      botMessages: [new BotTextMessage(`Have a nice trip to ${city}!`).toJson(userMessage.user)],
+    };
+  }
+}
+
+module.exports = TravelDialog;
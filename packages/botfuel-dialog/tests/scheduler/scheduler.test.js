@@ -0,0 +1,132 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Bot = require('../../src/bot');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const PostbackMessage = require('../../src/messages/postback-message');
+
+const ONE_HOUR = 3600000;
+const TEST_USER = '1';
+
+describe('Scheduler', () => {
+  const bot = new Bot({
+    path: __dirname,
+    adapter: { name: 'test' },
+    brain: { name: 'memory' },
+  });
+  const { adapter, brain, scheduler } = bot;
+
+  beforeEach(async () => {
+    await brain.clean();
+    await brain.addUserIfNecessary(TEST_USER);
+    adapter.log = [];
+    adapter.useFakeClock(0);
+  });
+
+  test('should store the scheduled jobs in the brain', async () => {
+    const jobId = await scheduler.schedule(TEST_USER, { name: 'ping', data: {} }, ONE_HOUR);
+    expect(await brain.getJobs(TEST_USER)).toEqual([
+      {
+        id: jobId,
+        userId: TEST_USER,
+        dialog: { name: 'ping', data: {} },
+        runAt: ONE_HOUR,
+        createdAt: 0,
+      },
+    ]);
+  });
+
+  test('should execute the jobs when they are due', async () => {
+    await scheduler.schedule(TEST_USER, { name: 'ping', data: { text: 'later' } }, 2 * ONE_HOUR);
+    await scheduler.schedule(TEST_USER, { name: 'ping', data: { text: 'sooner' } }, ONE_HOUR);
+    await adapter.advanceTime(ONE_HOUR - 1);
+    expect(adapter.log).toEqual([]);
+    await adapter.advanceTime(1);
+    expect(adapter.log).toEqual([new BotTextMessage('sooner').toJson(TEST_USER)]);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log).toEqual([
+      new BotTextMessage('sooner').toJson(TEST_USER),
+      new BotTextMessage('later').toJson(TEST_USER),
+    ]);
+    expect(await brain.getJobs()).toEqual([]);
+  });
+
+  test('should not execute a cancelled job', async () => {
+    const jobId = await scheduler.schedule(TEST_USER, { name: 'ping', data: {} }, ONE_HOUR);
+    expect(await scheduler.cancel(jobId)).toBe(true);
+    expect(await scheduler.cancel(jobId)).toBe(false);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log).toEqual([]);
+  });
+
+  test('should drop the jobs of a deleted user', async () => {
+    await scheduler.schedule(TEST_USER, { name: 'ping', data: { text: 'ping' } }, ONE_HOUR);
+    // the user is deleted while the job is leased
+    await brain.leaseDueJobs(ONE_HOUR, 0);
+    await brain.deleteUser(TEST_USER);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log).toEqual([]);
+    expect(await brain.hasUser(TEST_USER)).toBe(false);
+    expect(await brain.getJobs()).toEqual([]);
+  });
+
+  test('should execute the other jobs when a job fails', async () => {
+    await brain.addUserIfNecessary('2');
+    await scheduler.schedule('2', { name: 'unknown', data: {} }, ONE_HOUR);
+    await scheduler.schedule(TEST_USER, { name: 'ping', data: { text: 'ping' } }, ONE_HOUR);
+    const jobs = await scheduler.poll();
+    expect(jobs).toHaveLength(0);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log).toEqual([new BotTextMessage('ping').toJson(TEST_USER)]);
+  });
+
+  test('should execute again a job whose execution was interrupted', async () => {
+    const { leaseDuration } = bot.config.scheduler;
+    await scheduler.schedule(TEST_USER, { name: 'ping', data: { text: 'ping' } }, ONE_HOUR);
+    // a bot stopped while executing the job does not remove it
+    await brain.leaseDueJobs(ONE_HOUR, leaseDuration);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log).toEqual([]);
+    await adapter.advanceTime(leaseDuration);
+    expect(adapter.log).toEqual([new BotTextMessage('ping').toJson(TEST_USER)]);
+    expect(await brain.getJobs()).toEqual([]);
+  });
+
+  test('should retry a failing job until the maximum attempts', async () => {
+    const { leaseDuration, maxAttempts } = bot.config.scheduler;
+    expect(maxAttempts).toBe(3);
+    await scheduler.schedule(TEST_USER, { name: 'unknown', data: {} }, ONE_HOUR);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(await brain.getJobs()).toHaveLength(1);
+    await adapter.advanceTime(leaseDuration);
+    expect(await brain.getJobs()).toHaveLength(1);
+    await adapter.advanceTime(leaseDuration);
+    expect(await brain.getJobs()).toEqual([]);
+  });
+
+  test('should execute a dialog scheduled by a dialog', async () => {
+    await bot.init();
+    const postback = new PostbackMessage({ name: 'reminder', data: { messageEntities: [] } });
+    await adapter.play([postback]);
+    const { userId } = adapter;
+    expect(adapter.log).toEqual([
+      postback.toJson(userId),
+      new BotTextMessage('I will remind you in one hour.').toJson(userId),
+    ]);
+    await adapter.advanceTime(ONE_HOUR);
+    expect(adapter.log.slice(2)).toEqual([new BotTextMessage('Time is up!').toJson(userId)]);
+  });
+});
@@ -63,6 +63,11 @@ describe('Environment utils', () => {
       expect(() => checkCredentials(config)).toThrowError(MissingCredentialsError);
     });
 
+    test('should not throw an error when replaying the nlu fixtures', async () => {
+      const config = buildConfig({ nlu: { name: 'botfuel', fixtures: 'replay' } });
+      expect(() => checkCredentials(config)).not.toThrowError(MissingCredentialsError);
+    });
+
     test('should not throw an error when not using botfuel-nlu', async () => {
       const config = buildConfig({ nlu: { name: 'custom' } });
       expect(() => checkCredentials(config)).not.toThrowError(MissingCredentialsError);
@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const BotImageMessage = require('../../src/messages/bot-image-message');
+const BotTableMessage = require('../../src/messages/bot-table-message');
+const BotTextMessage = require('../../src/messages/bot-text-message');
+const Card = require('../../src/messages/card');
+const CardsMessage = require('../../src/messages/cards-message');
+const Link = require('../../src/messages/link');
+const Postback = require('../../src/messages/postback');
+const QuickrepliesMessage = require('../../src/messages/quickreplies-message');
+const Quickreply = require('../../src/messages/quickreply');
+const { MESSAGE_FEATURES, MESSAGE_TYPES, getFallbackMessages } = require('../../src/utils/fallbacks');
+
+const USER = 'USER';
+
+const getText = text => new BotTextMessage(text).toJson(USER);
+
+describe('Fallbacks', () => {
+  test('should keep the supported messages', () => {
+    const table = new BotTableMessage({ schema: [], rows: [] }).toJson(USER);
+    expect(getFallbackMessages(table, MESSAGE_TYPES)).toEqual([table]);
+  });
+
+  test('should degrade a table to aligned text', () => {
+    const table = new BotTableMessage({
+      schema: [{ name: 'Name' }, { city: 'City' }],
+      rows: [{ name: 'John', city: 'New York' }, { name: 'Alexandra', city: 'Paris' }],
+    }).toJson(USER);
+    expect(getFallbackMessages(table, ['text'])).toEqual([
+      getText('Name      | City\nJohn      | New York\nAlexandra | Paris'),
+    ]);
+  });
+
+  test('should degrade an image to a link', () => {
+    const image = new BotImageMessage('https://botfuel.io/image.jpg').toJson(USER);
+    expect(getFallbackMessages(image, ['text'])).toEqual([getText('https://botfuel.io/image.jpg')]);
+  });
+
+  test('should degrade quick replies to numbered texts', () => {
+    const quickreplies = new QuickrepliesMessage(['yes', 'no']).toJson(USER);
+    expect(getFallbackMessages(quickreplies, ['text'])).toEqual([getText('1. yes\n2. no')]);
+  });
+
+  describe('cards', () => {
+    const buy = new Postback('Buy', { name: 'products', data: { messageEntities: [] } });
+    const details = new Link('Details', 'https://botfuel.io/hat');
+    const cards = new CardsMessage([
+      new Card('Hat', 'https://botfuel.io/hat.jpg', [buy], {
+        subtitle: 'A top hat',
+        defaultAction: details,
+      }),
+    ]).toJson(USER);
+
+    test('should degrade cards to texts and actions', () => {
+      expect(getFallbackMessages(cards, ['text', 'actions'])).toEqual([
+        getText('Hat\nA top hat\nhttps://botfuel.io/hat.jpg'),
+        {
+          type: 'actions',
+          sender: 'bot',
+          user: USER,
+          payload: { value: [details.toJson(), buy.toJson()] },
+        },
+      ]);
+    });
+
+    test('should degrade cards to texts and numbered actions', () => {
+      expect(getFallbackMessages(cards, ['text'])).toEqual([
+        getText('Hat\nA top hat\nhttps://botfuel.io/hat.jpg'),
+        getText('1. Details: https://botfuel.io/hat\n2. Buy'),
+      ]);
+    });
+  });
+
+  describe('features', () => {
+    const cards = new CardsMessage([
+      new Card('Hat', ['https://botfuel.io/hat.jpg', 'https://botfuel.io/hat-back.jpg'], []),
+    ]).toJson(USER);
+    const quickreplies = new QuickrepliesMessage([
+      new Quickreply('yes', null, 'https://botfuel.io/yes.png'),
+      'no',
+    ]).toJson(USER);
+
+    test('should keep the supported features', () => {
+      expect(getFallbackMessages(cards, MESSAGE_TYPES, MESSAGE_FEATURES)).toEqual([cards]);
+      expect(getFallbackMessages(quickreplies, MESSAGE_TYPES, MESSAGE_FEATURES)).toEqual([
+        quickreplies,
+      ]);
+    });
+
+    test('should keep the first image of the cards', () => {
+      const [fallback] = getFallbackMessages(cards, MESSAGE_TYPES);
+      expect(fallback.payload.value[0].imageUrls).toEqual(['https://botfuel.io/hat.jpg']);
+    });
+
+    test('should remove the icons of the quick replies', () => {
+      const [fallback] = getFallbackMessages(quickreplies, MESSAGE_TYPES);
+      expect(fallback.payload.value).toEqual([{ text: 'yes' }, 'no']);
+    });
+  });
+
+  test('should keep a message without fallback', () => {
+    const message = { type: 'video', sender: 'bot', user: USER, payload: { value: 'video' } };
+    expect(getFallbackMessages(message, ['text'])).toEqual([message]);
+  });
+});
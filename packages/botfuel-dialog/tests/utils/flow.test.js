@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const ConfigurationError = require('../../src/errors/configuration-error');
+const { checkFlow, loadFlow } = require('../../src/utils/flow');
+
+const BOT_PATH = path.join(__dirname, '../dialogs/flow');
+
+const getFlow = (states, start = 'question') => ({ start, states });
+
+const expectInvalid = (flow, message) => {
+  expect(() => checkFlow(flow, 'test')).toThrow(ConfigurationError);
+  expect(() => checkFlow(flow, 'test')).toThrow(`Invalid flow in dialog 'test': ${message}.`);
+};
+
+describe('Flow', () => {
+  describe('loadFlow', () => {
+    test('should return a flow object as is', () => {
+      const flow = getFlow({ question: { action: 'complete' } });
+      expect(loadFlow(flow, BOT_PATH)).toBe(flow);
+    });
+
+    test('should load a yaml flow file relative to the bot', () => {
+      const flow = loadFlow('flows/booking.yaml', BOT_PATH);
+      expect(flow.start).toBe('destination');
+      expect(flow.states.destination.transitions[0].when).toEqual({ city: ['Paris', 'London'] });
+    });
+
+    test('should throw a configuration error when the file does not exist', () => {
+      expect(() => loadFlow('flows/unknown.yaml', BOT_PATH)).toThrow(ConfigurationError);
+    });
+
+    test('should throw a configuration error when the file format is not supported', () => {
+      expect(() => loadFlow('src/dialogs/booking-dialog.js', BOT_PATH)).toThrow(
+        'expected one of: .json, .yaml, .yml',
+      );
+    });
+  });
+
+  describe('checkFlow', () => {
+    test('should accept a valid flow', () => {
+      expect(() => checkFlow(loadFlow('flows/booking.yaml', BOT_PATH), 'booking')).not.toThrow();
+    });
+
+    test('should reject a flow without states', () => {
+      expectInvalid(getFlow({}), 'the flow should define states');
+    });
+
+    test('should reject an undefined start state', () => {
+      expectInvalid(
+        getFlow({ question: { action: 'complete' } }, 'unknown'),
+        "the start state 'unknown' is not defined",
+      );
+    });
+
+    test('should reject an entity without dim', () => {
+      expectInvalid(
+        getFlow({ question: { entities: { city: {} }, transitions: [{ to: 'question' }] } }),
+        "the entity 'city' of the state 'question' has no dim",
+      );
+    });
+
+    test('should reject a state without action nor transitions', () => {
+      expectInvalid(
+        getFlow({ question: { entities: { city: { dim: 'city' } } } }),
+        "the state 'question' should define either an action or transitions",
+      );
+    });
+
+    test('should reject an unknown action', () => {
+      expectInvalid(
+        getFlow({ question: { action: 'jump' } }),
+        "unknown action 'jump' in the state 'question', expected one of: complete, next, new_conversation, return",
+      );
+    });
+
+    test('should reject a next action without dialog', () => {
+      expectInvalid(
+        getFlow({ question: { action: 'next' } }),
+        "the state 'question' should define the dialog triggered by its 'next' action",
+      );
+    });
+
+    test('should reject a transition to an unknown state', () => {
+      expectInvalid(
+        getFlow({ question: { transitions: [{ to: 'unknown' }] } }),
+        "the transition 0 of the state 'question' targets an unknown state",
+      );
+    });
+
+    test('should reject a transition referring to unknown entities', () => {
+      expectInvalid(
+        getFlow({
+          question: {
+            entities: { city: { dim: 'city' } },
+            transitions: [{ to: 'done', when: { country: 'France' } }],
+          },
+          done: { action: 'complete' },
+        }),
+        "the transition 0 of the state 'question' refers to unknown entities: country",
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const { findIntentsFile, loadIntents, parseRows } = require('../../src/utils/intents');
+const ConfigurationError = require('../../src/errors/configuration-error');
+
+const INTENTS_PATH = path.join(__dirname, '../nlus/intents');
+
+describe('Intents utils', () => {
+  describe('parseRows', () => {
+    test('should parse blocks of rows separated by empty rows', () => {
+      const intents = parseRows([
+        ['greetings'],
+        ['hello'],
+        ['hi'],
+        [''],
+        [''],
+        ['delivery', 'QnA'],
+        ['Here is your delivery information'],
+        ['When will I receive my parcel?'],
+      ]);
+      expect(intents).toEqual([
+        { label: 'greetings', type: undefined, sentences: ['hello', 'hi'] },
+        {
+          label: 'delivery',
+          type: 'QnA',
+          answer: 'Here is your delivery information',
+          sentences: ['When will I receive my parcel?'],
+        },
+      ]);
+    });
+
+    test('should parse the untyped qnas of the legacy format when the qna option is set', () => {
+      const rows = [
+        ['delivery'],
+        ['When will I receive my parcel?'],
+        ['How long is the delivery?'],
+        [''],
+        ['payment'],
+        ['You can pay with Visa.'],
+        ['Can I pay with credit card?'],
+      ];
+      expect(parseRows(rows, { qna: true })).toEqual([
+        {
+          label: 'delivery',
+          type: undefined,
+          sentences: ['When will I receive my parcel?', 'How long is the delivery?'],
+        },
+        {
+          label: 'payment',
+          type: 'QnA',
+          answer: 'You can pay with Visa.',
+          sentences: ['Can I pay with credit card?'],
+        },
+      ]);
+      expect(parseRows(rows)[1]).toEqual({
+        label: 'payment',
+        type: undefined,
+        sentences: ['You can pay with Visa.', 'Can I pay with credit card?'],
+      });
+    });
+  });
+
+  describe('loadIntents', () => {
+    test('should load intents from a json file', () => {
+      const intents = loadIntents(path.join(INTENTS_PATH, 'intents.json'));
+      expect(intents).toHaveLength(3);
+      expect(intents[0]).toEqual({
+        label: 'greetings',
+        type: 'Intent',
+        answer: undefined,
+        sentences: ['hello', 'hi there', 'good morning'],
+      });
+      expect(intents[2].type).toBe('QnA');
+      expect(intents[2].answer).toBe('Here is your delivery information');
+    });
+
+    test('should load intents from a csv file', () => {
+      const intents = loadIntents(path.join(INTENTS_PATH, 'intents.csv'));
+      expect(intents).toHaveLength(2);
+      expect(intents[0].sentences).toEqual(['hello', 'hi there']);
+      expect(intents[1].type).toBe('QnA');
+      expect(intents[1].sentences).toEqual([
+        'When will I receive my parcel?',
+        'How long, approximately, is the delivery?',
+      ]);
+    });
+
+    test('should load intents from a xlsx file', () => {
+      const intents = loadIntents(path.join(INTENTS_PATH, 'intents.xlsx'));
+      expect(intents.map(intent => intent.label)).toEqual(['goodbye', 'hello']);
+      expect(intents[0].sentences).toEqual(['see you later', 'goodbye']);
+    });
+
+    test('should load the intents of the qna sample bot', () => {
+      const intents = loadIntents(path.join(__dirname, '../../../test-qna/intents.xlsx'), {
+        qna: true,
+      });
+      expect(intents.map(intent => [intent.label, intent.type])).toEqual([
+        ['Delivery-date', 'Intent'],
+        ['Payment', 'QnA'],
+        ['Shipping', 'QnA'],
+        ['Support', 'QnA'],
+        ['Invoice', 'QnA'],
+        ['Policy', 'QnA'],
+      ]);
+      expect(intents[1].answer).toBe(
+        'You can pay for your purchase with Visa, Mastercard or using a PayPal account.',
+      );
+      expect(intents[1].sentences).toEqual([
+        'Can i pay with credit card ?',
+        'Can i pay in bitcoins ?',
+      ]);
+    });
+
+    test('should throw an error when the file does not exist', () => {
+      expect(() => loadIntents(path.join(INTENTS_PATH, 'unknown.json'))).toThrowError(
+        ConfigurationError,
+      );
+    });
+
+    test('should throw an error when the file type is not supported', () => {
+      expect(() => loadIntents(__filename)).toThrowError(ConfigurationError);
+    });
+  });
+
+  describe('findIntentsFile', () => {
+    test('should find the json file first', () => {
+      expect(findIntentsFile(INTENTS_PATH)).toBe(path.join(INTENTS_PATH, 'intents.json'));
+    });
+
+    test('should return null when there is no intents file', () => {
+      expect(findIntentsFile(__dirname)).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const {
+  signDialogData,
+  signBotMessage,
+  verifyDialogData,
+} = require('../../src/utils/postback-signature');
+
+const CONFIG = { secret: 'SECRET' };
+const USER_ID = 'USER_TEST';
+const DIALOG_DATA = { name: 'payment', data: { messageEntities: [], amount: 10 } };
+
+describe('Postback signature', () => {
+  test('should verify a signed postback', () => {
+    const signed = signDialogData(DIALOG_DATA, USER_ID, CONFIG);
+    expect(signed).toMatchObject(DIALOG_DATA);
+    expect(verifyDialogData(signed, USER_ID, CONFIG)).toBe(null);
+  });
+
+  test('should not depend on the key order', () => {
+    const signed = signDialogData(DIALOG_DATA, USER_ID, CONFIG);
+    const reordered = {
+      signature: signed.signature,
+      data: { amount: 10, messageEntities: [] },
+      name: 'payment',
+    };
+    expect(verifyDialogData(reordered, USER_ID, CONFIG)).toBe(null);
+  });
+
+  test('should reject a postback signed for another user', () => {
+    const signed = signDialogData(DIALOG_DATA, 'OTHER_USER', CONFIG);
+    expect(verifyDialogData(signed, USER_ID, CONFIG)).toBe('invalid signature');
+  });
+
+  test('should reject a postback signed with another secret', () => {
+    const signed = signDialogData(DIALOG_DATA, USER_ID, { secret: 'OTHER' });
+    expect(verifyDialogData(signed, USER_ID, CONFIG)).toBe('invalid signature');
+  });
+
+  test('should reject an unsigned postback', () => {
+    expect(verifyDialogData(DIALOG_DATA, USER_ID, CONFIG)).toBe('missing signature');
+  });
+
+  test('should reject an expired postback', () => {
+    const signed = signDialogData(DIALOG_DATA, USER_ID, { ...CONFIG, expiration: 1000 });
+    expect(verifyDialogData(signed, USER_ID, CONFIG)).toBe(null);
+    expect(verifyDialogData({ ...signed, expires: Date.now() + 5000 }, USER_ID, CONFIG)).toBe(
+      'invalid signature',
+    );
+    expect(verifyDialogData({ ...signed, expires: undefined }, USER_ID, CONFIG)).toBe(
+      'invalid signature',
+    );
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + 2000);
+    expect(verifyDialogData(signed, USER_ID, CONFIG)).toBe('expired');
+    Date.now.mockRestore();
+  });
+
+  test('should sign the postbacks of the cards', () => {
+    const botMessage = {
+      type: 'cards',
+      user: USER_ID,
+      payload: {
+        value: [
+          {
+            title: 'Card',
+            imageUrls: [],
+            actions: [
+              { type: 'link', text: 'Open', value: 'https://www.botfuel.io' },
+              { type: 'postback', text: 'Pay', value: DIALOG_DATA },
+            ],
+            defaultAction: { type: 'postback', text: 'Pay', value: DIALOG_DATA },
+          },
+        ],
+      },
+    };
+    const [card] = signBotMessage(botMessage, CONFIG).payload.value;
+    expect(card.actions[0]).toEqual(botMessage.payload.value[0].actions[0]);
+    expect(verifyDialogData(card.actions[1].value, USER_ID, CONFIG)).toBe(null);
+    expect(verifyDialogData(card.defaultAction.value, USER_ID, CONFIG)).toBe(null);
+    expect(botMessage.payload.value[0].actions[1].value).toBe(DIALOG_DATA);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright (c) 2017 - present, Botfuel (https://www.botfuel.io).
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const {
+  computeSignature,
+  validateVerificationConfig,
+  getConfiguredSchemes,
+  getRejectionReason,
+} = require('../../src/utils/request-verification');
+
+const SECRET = 'SECRET';
+const BODY = '{"user":"USER_TEST"}';
+const SCHEMES = ['signature', 'token', 'ip'];
+
+const getSignatureHeaders = (timestamp = Date.now(), body = BODY) => ({
+  'x-botfuel-timestamp': `${timestamp}`,
+  'x-botfuel-signature': computeSignature(timestamp, body, SECRET),
+});
+
+const getRequest = ({ headers = {}, ip = '127.0.0.1', body = BODY } = {}) => ({
+  headers,
+  ip,
+  rawBody: Buffer.from(body),
+});
+
+describe('Request verification', () => {
+  test('should get the configured schemes', () => {
+    expect(getConfiguredSchemes({})).toEqual([]);
+    expect(getConfiguredSchemes({ secret: SECRET, ips: ['127.0.0.1'] })).toEqual([
+      'signature',
+      'ip',
+    ]);
+  });
+
+  test('should accept any request without verification config', () => {
+    expect(getRejectionReason(getRequest(), SCHEMES, {})).toBe(null);
+  });
+
+  test('should validate the verification config', () => {
+    expect(() => validateVerificationConfig({ tokens: ['TOKEN'], ips: [] }, 'verification'))
+      .not.toThrow();
+    expect(() => validateVerificationConfig({ tokens: 'TOKEN' }, 'verification')).toThrow(
+      'Invalid adapter parameter verification: tokens should be an array of non empty strings.',
+    );
+    expect(() => validateVerificationConfig({ ips: '127.0.0.1' }, 'verification')).toThrow(
+      'Invalid adapter parameter verification: ips should be an array of non empty strings.',
+    );
+    expect(() => validateVerificationConfig({ secret: 12 }, 'verification')).toThrow(
+      'Invalid adapter parameter verification: secret should be a non empty string.',
+    );
+  });
+
+  describe('signature', () => {
+    const config = { secret: SECRET };
+
+    test('should accept a request signed with the secret', () => {
+      const req = getRequest({ headers: getSignatureHeaders() });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe(null);
+    });
+
+    test('should reject a request without signature', () => {
+      expect(getRejectionReason(getRequest(), SCHEMES, config)).toBe('missing signature');
+    });
+
+    test('should reject a request without timestamp', () => {
+      const { 'x-botfuel-signature': signature } = getSignatureHeaders();
+      const req = getRequest({ headers: { 'x-botfuel-signature': signature } });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe('missing timestamp');
+    });
+
+    test('should reject a request whose body was modified', () => {
+      const req = getRequest({
+        headers: getSignatureHeaders(),
+        body: '{"user":"OTHER_USER"}',
+      });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe('invalid signature');
+    });
+
+    test('should reject a request whose timestamp was modified', () => {
+      const headers = { ...getSignatureHeaders(), 'x-botfuel-timestamp': `${Date.now() + 1}` };
+      expect(getRejectionReason(getRequest({ headers }), SCHEMES, config)).toBe(
+        'invalid signature',
+      );
+    });
+
+    test('should reject a replayed request', () => {
+      const req = getRequest({ headers: getSignatureHeaders(Date.now() - 600000) });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe('expired signature');
+      expect(getRejectionReason(req, SCHEMES, { ...config, tolerance: 900000 })).toBe(null);
+    });
+
+    test('should reject a malformed signature', () => {
+      const headers = { ...getSignatureHeaders(), 'x-botfuel-signature': 'sha256=abc' };
+      expect(getRejectionReason(getRequest({ headers }), SCHEMES, config)).toBe(
+        'invalid signature',
+      );
+    });
+  });
+
+  describe('token', () => {
+    const config = { tokens: ['TOKEN_1', 'TOKEN_2'] };
+
+    test('should accept a request with one of the tokens', () => {
+      const req = getRequest({ headers: { authorization: 'Bearer TOKEN_2' } });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe(null);
+    });
+
+    test('should reject a request without token', () => {
+      expect(getRejectionReason(getRequest(), SCHEMES, config)).toBe('missing bearer token');
+    });
+
+    test('should reject a request with another token', () => {
+      const req = getRequest({ headers: { authorization: 'Bearer TOKEN' } });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe('invalid bearer token');
+    });
+  });
+
+  describe('ip', () => {
+    const config = { ips: ['10.0.0.1'] };
+
+    test('should accept a request from an allowed ip mapped to ipv6', () => {
+      const req = getRequest({ ip: '::ffff:10.0.0.1' });
+      expect(getRejectionReason(req, SCHEMES, config)).toBe(null);
+    });
+
+    test('should reject a request from another ip', () => {
+      expect(getRejectionReason(getRequest(), SCHEMES, config)).toBe('ip 127.0.0.1 not allowed');
+    });
+
+    test('should use the socket address of a plain http request', () => {
+      const req = { headers: {}, connection: { remoteAddress: '::ffff:10.0.0.1' } };
+      expect(getRejectionReason(req, SCHEMES, config)).toBe(null);
+    });
+  });
+
+  test('should only check the given schemes', () => {
+    const config = { tokens: ['TOKEN'], ips: ['10.0.0.1'] };
+    expect(getRejectionReason(getRequest(), ['ip'], config)).toBe('ip 127.0.0.1 not allowed');
+    expect(getRejectionReason(getRequest({ ip: '10.0.0.1' }), ['ip'], config)).toBe(null);
+  });
+});
@@ -17,7 +17,9 @@
 // require('../../src/logger-manager').configure({ logger: 'botfuel'});
 
 const PromptView = require('../../src/views/prompt-view');
+const ActionsMessage = require('../../src/messages/actions-message');
 const BotTextMessage = require('../../src/messages/bot-text-message');
+const Postback = require('../../src/messages/postback');
 
 describe('PromptView', () => {
   describe('renderEntities', () => {
@@ -57,5 +59,60 @@ describe('PromptView', () => {
         ]);
       });
     });
+
+    describe('when rejected entities', () => {
+      test('should display the rejected entities with their errors', () => {
+        expect(
+          view.render(
+            {
+              user: null,
+            },
+            {
+              matchedEntities: {},
+              missingEntities: new Map([['name1', {}]]),
+              invalidEntities: { name1: { value: {}, error: 'invalid_name' } },
+            },
+          ),
+        ).toEqual([
+          new BotTextMessage('Entities rejected: name1 (invalid_name)'),
+          new BotTextMessage('Entities needed: name1'),
+          new BotTextMessage('Which name1?'),
+        ]);
+      });
+    });
+
+    describe('when reviewing', () => {
+      test('should display a summary with edit and confirm postbacks', () => {
+        expect(
+          view.render(
+            {
+              user: null,
+            },
+            {
+              matchedEntities: { name1: { body: 'value1' }, name2: [{ body: 'a' }, { body: 'b' }] },
+              missingEntities: new Map(),
+              reviewing: true,
+              dialogName: 'test',
+            },
+          ),
+        ).toEqual([
+          new BotTextMessage('Summary:\nname1: value1\nname2: a, b'),
+          new ActionsMessage([
+            new Postback('Edit name1', {
+              name: 'test',
+              data: { messageEntities: [], review: { action: 'edit', entity: 'name1' } },
+            }),
+            new Postback('Edit name2', {
+              name: 'test',
+              data: { messageEntities: [], review: { action: 'edit', entity: 'name2' } },
+            }),
+            new Postback('Confirm', {
+              name: 'test',
+              data: { messageEntities: [], review: { action: 'confirm' } },
+            }),
+          ]),
+        ]);
+      });
+    });
   });
 });